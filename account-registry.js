@@ -0,0 +1,57 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Authenticated Xbox Live accounts of one server, keyed by email. AuthManager writes
+ * refreshed clients here and the session/friend managers read the current client on
+ * every request, so new credentials apply immediately
+ */
+class AccountRegistry extends EventEmitter {
+    constructor(accounts = []) {
+        super();
+
+        this.accounts = new Map();
+        accounts.forEach(account => this.accounts.set(account.email, account));
+    }
+
+    set(account) {
+        const previous = this.accounts.get(account.email);
+        this.accounts.set(account.email, account);
+
+        this.emit(previous ? 'accountUpdated' : 'accountAdded', {
+            email: account.email,
+            xuid: account.xuid,
+            expiresAt: account.expiresAt
+        });
+    }
+
+    get(email) {
+        return this.accounts.get(email);
+    }
+
+    has(email) {
+        return this.accounts.has(email);
+    }
+
+    delete(email) {
+        const removed = this.accounts.delete(email);
+        if (removed) {
+            this.emit('accountRemoved', { email });
+        }
+        return removed;
+    }
+
+    emails() {
+        return Array.from(this.accounts.keys());
+    }
+
+    // Registration order, the first account is the default session host
+    getAll() {
+        return Array.from(this.accounts.values());
+    }
+
+    get size() {
+        return this.accounts.size;
+    }
+}
+
+module.exports = { AccountRegistry };
@@ -1,10 +1,14 @@
 const fs = require('fs');
-const path = require('path');
 const { EventEmitter } = require('events');
-const prismarineAuth = require('prismarine-auth');
-const { XboxAuthRecovery } = require('./xbox-auth-recovery');
+const { Titles } = require('prismarine-auth');
+const { XboxAuthRecovery, InteractionRequiredError } = require('./xbox-auth-recovery');
+const { TokenStore } = require('./token-store');
+const { AccountRegistry } = require('./account-registry');
+const { XboxLiveClient } = require('./xbox-live-client');
+const { classifyError, describeError } = require('./xbox-errors');
 
-const { Authflow, Titles } = prismarineAuth;
+// Delay before retrying a failed silent refresh
+const TOKEN_REFRESH_RETRY_DELAY = 5 * 60 * 1000;
 
 /**
  * Simplified Authentication Manager based on jrcarl624/FriendConnect approach
@@ -17,22 +21,33 @@ class AuthManager extends EventEmitter {
         this.tokenPath = options.tokenPath || './auth/';
         this.maxRetries = options.maxRetries || 3;
         this.retryDelay = options.retryDelay || 5000;
+        this.xbl = options.xboxLiveClient || new XboxLiveClient();
+        // Whole sign-ins are retried with the shared jittered backoff, spaced by auth.retryDelay
+        this.retryPolicy = this.xbl.retryPolicy.with({ maxRetries: this.maxRetries, baseDelay: this.retryDelay });
         this.preferredMethod = options.preferredMethod || 'switch';
         this.serverId = options.serverId;
         this.logger = options.logger;
 
-        this.authenticatedAccounts = new Map();
+        this.accountRegistry = options.accountRegistry || new AccountRegistry();
+        this.failedAccounts = new Map(); // email -> describeError() summary of the last sign-in failure
         this.authFlows = new Map();
         this.tokenRefreshTimers = new Map();
 
-        this.delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+        // Token caches are encrypted at rest when auth.encryptTokens is set
+        this.tokenStore = new TokenStore({
+            tokenPath: this.tokenPath,
+            encrypt: options.encryptTokens,
+            keyFile: options.tokenKeyFile,
+            logger: this.logger
+        });
 
         // Initialize simplified Xbox authentication
         this.xboxAuthRecovery = new XboxAuthRecovery({
             logger: this.logger,
             tokenPath: this.tokenPath,
-            maxRetries: 3,
-            retryDelay: 5000
+            tokenStore: this.tokenStore,
+            onDeviceCode: (prompt) => this.emit('deviceCode', prompt),
+            xboxLiveClient: this.xbl
         });
 
         // Ensure auth directory exists
@@ -47,11 +62,84 @@ class AuthManager extends EventEmitter {
     }
 
     async initializeAccounts() {
-        this.logger.info(`🔐 [${this.serverId}] Starting Microsoft authentication process...`);
-        return await this.promptForMicrosoftAuthentication();
+        if (this.accounts.length === 0) {
+            this.logger.info(`🔐 [${this.serverId}] Starting Microsoft authentication process...`);
+            return await this.promptForMicrosoftAuthentication();
+        }
+
+        const emails = this.getConfiguredEmails();
+        this.logger.info(`🔐 [${this.serverId}] Authenticating ${emails.length} account(s): ${emails.join(', ')}`);
+
+        // Device code prompts for every account are shown at once so they can be completed in any order
+        const results = await Promise.allSettled(emails.map(email => this.authenticateAccount(email)));
+
+        const clients = [];
+        results.forEach((result, index) => {
+            const email = emails[index];
+
+            if (result.status === 'fulfilled') {
+                this.failedAccounts.delete(email);
+                clients.push(result.value);
+            } else {
+                const failure = describeError(result.reason, 'xsts');
+                this.failedAccounts.set(email, failure);
+                this.emit('authenticationFailed', {
+                    email,
+                    error: failure.message,
+                    code: failure.code,
+                    xerr: failure.xerr,
+                    remediation: failure.remediation
+                });
+            }
+        });
+
+        if (clients.length === 0) {
+            throw new Error(`None of the ${emails.length} configured account(s) could be authenticated`);
+        }
+
+        if (clients.length < emails.length) {
+            this.logger.warning(`⚠️ [${this.serverId}] Continuing with ${clients.length}/${emails.length} authenticated accounts`);
+        } else {
+            this.logger.success(`✅ [${this.serverId}] All ${clients.length} accounts authenticated`);
+        }
+
+        // Keep the configured order so the first working account hosts the session
+        return clients;
     }
 
-    async authenticateAccount(email, attempt = 1) {
+    getConfiguredEmails() {
+        const seen = new Set();
+        const emails = [];
+
+        for (const account of this.accounts) {
+            const email = account.trim();
+            if (seen.has(email.toLowerCase())) {
+                this.logger.warning(`⚠️ [${this.serverId}] Ignoring duplicate account ${email}`);
+                continue;
+            }
+            seen.add(email.toLowerCase());
+            emails.push(email);
+        }
+
+        return emails;
+    }
+
+    async authenticateAccount(email) {
+        try {
+            return await this.retryPolicy.run((attempt) => this.signIn(email, attempt), {
+                onRetry: (error, attempt, delay) => {
+                    this.logger.warning(`⚠️ [${this.serverId}] Auth attempt ${attempt} failed for ${email}, retrying in ${delay}ms...`);
+                }
+            });
+
+        } catch (error) {
+            this.logger.error(`❌ [${this.serverId}] Authentication failed for ${email}${error.retryable === false ? '' : ` after ${this.maxRetries + 1} attempts`}`);
+            this.provideAuthenticationGuidance(email, error);
+            throw error;
+        }
+    }
+
+    async signIn(email, attempt) {
         try {
             this.logger.info(`🔐 [${this.serverId}] Authenticating ${email} (attempt ${attempt}/${this.maxRetries + 1})...`);
 
@@ -68,7 +156,7 @@ class AuthManager extends EventEmitter {
             });
 
             // Store authenticated account
-            this.authenticatedAccounts.set(email, client);
+            this.accountRegistry.set(client);
 
             // Schedule token refresh
             this.scheduleTokenRefresh(email, client);
@@ -79,33 +167,41 @@ class AuthManager extends EventEmitter {
             return client;
 
         } catch (error) {
-            if (attempt <= this.maxRetries) {
-                this.logger.warning(`⚠️ [${this.serverId}] Auth attempt ${attempt} failed for ${email}, retrying in ${this.retryDelay}ms...`);
-                await this.delay(this.retryDelay * attempt);
-                return this.authenticateAccount(email, attempt + 1);
-            }
-
-            this.logger.error(`❌ [${this.serverId}] Authentication failed for ${email} after ${this.maxRetries + 1} attempts`);
-            this.provideAuthenticationGuidance(email, error);
-            throw error;
+            throw classifyError(error, 'xsts');
         }
     }
 
     scheduleTokenRefresh(email, client) {
+        // Schedule refresh for 1 hour before expiration
+        const refreshTime = client.expiresAt - Date.now() - (60 * 60 * 1000);
+        this.setRefreshTimer(email, Math.max(refreshTime, 60 * 1000));
+    }
+
+    setRefreshTimer(email, refreshDelay) {
         // Clear any existing refresh timer
         if (this.tokenRefreshTimers.has(email)) {
             clearTimeout(this.tokenRefreshTimers.get(email));
         }
 
-        // Schedule refresh for 1 hour before expiration
-        const refreshTime = client.expiresAt - Date.now() - (60 * 60 * 1000);
-        const refreshDelay = Math.max(refreshTime, 60 * 60 * 1000); // At least 1 hour from now
-
         const timer = setTimeout(async () => {
+            this.tokenRefreshTimers.delete(email);
             try {
                 await this.refreshAccountToken(email);
             } catch (error) {
-                this.logger.error(`❌ [${this.serverId}] Token refresh failed for ${email}:`, error.message);
+                // A failed interactive sign-in already had its device-code prompt, and waiting
+                // won't revive an expired token; the health status reports the account instead
+                const client = this.accountRegistry.get(email);
+                if (this.failedAccounts.has(email) || !client || (client.expiresAt && client.expiresAt <= Date.now())) {
+                    if (!this.failedAccounts.has(email)) {
+                        this.failedAccounts.set(email, describeError(error, 'xsts'));
+                    }
+                    this.logger.error(`❌ [${this.serverId}] Stopped refreshing the token for ${email}, sign in again with the refresh-tokens action or a restart`);
+                    return;
+                }
+
+                // Keep trying while the current token is still usable
+                this.logger.warning(`⚠️ [${this.serverId}] Retrying token refresh for ${email} in ${TOKEN_REFRESH_RETRY_DELAY / 1000}s`);
+                this.setRefreshTimer(email, TOKEN_REFRESH_RETRY_DELAY);
             }
         }, refreshDelay);
 
@@ -117,13 +213,33 @@ class AuthManager extends EventEmitter {
         try {
             this.logger.info(`🔄 [${this.serverId}] Refreshing token for ${email}...`);
 
-            const oldClient = this.authenticatedAccounts.get(email);
+            const oldClient = this.accountRegistry.get(email);
             if (!oldClient) {
                 throw new Error('Account not found in authenticated accounts');
             }
 
-            // Re-authenticate the account
-            const newClient = await this.authenticateAccount(email, 1);
+            let newClient;
+            try {
+                newClient = await this.xboxAuthRecovery.refreshSilently(email, oldClient);
+                this.accountRegistry.set(newClient);
+                this.scheduleTokenRefresh(email, newClient);
+            } catch (error) {
+                if (!(error instanceof InteractionRequiredError)) {
+                    throw error;
+                }
+
+                // Only a revoked or expired refresh token needs a human
+                this.logger.warning(`⚠️ [${this.serverId}] Refresh token for ${email} is no longer valid, starting interactive sign-in`);
+                this.emit('interactionRequired', { email });
+                try {
+                    newClient = await this.authenticateAccount(email);
+                } catch (signInError) {
+                    this.failedAccounts.set(email, describeError(signInError, 'xsts'));
+                    throw signInError;
+                }
+            }
+
+            this.failedAccounts.delete(email);
 
             this.logger.success(`✅ [${this.serverId}] Token refreshed for ${email}`);
             this.emit('tokenRefreshed', { email, xuid: newClient.xuid });
@@ -132,6 +248,7 @@ class AuthManager extends EventEmitter {
 
         } catch (error) {
             this.logger.error(`❌ [${this.serverId}] Token refresh failed for ${email}:`, error.message);
+            this.emit('tokenRefreshFailed', { email, error });
             throw error;
         }
     }
@@ -139,7 +256,7 @@ class AuthManager extends EventEmitter {
     async refreshTokens() {
         this.logger.info(`🔄 [${this.serverId}] Refreshing all tokens...`);
 
-        const refreshPromises = Array.from(this.authenticatedAccounts.keys()).map(email => 
+        const refreshPromises = this.accountRegistry.emails().map(email => 
             this.refreshAccountToken(email).catch(error => ({ email, error }))
         );
 
@@ -148,65 +265,79 @@ class AuthManager extends EventEmitter {
         const failed = results.filter(r => r.error);
         if (failed.length > 0) {
             this.logger.warning(`⚠️ [${this.serverId}] ${failed.length} token refresh(es) failed:`);
-            failed.forEach(f => this.logger.warning(`   ❌ ${f.email}: ${f.error.message}`));
+            failed.forEach(f => {
+                const { remediation } = describeError(f.error, 'xsts');
+                this.logger.warning(`   ❌ ${f.email}: ${f.error.message}${remediation ? ` (${remediation})` : ''}`);
+            });
         }
 
         this.logger.success(`✅ [${this.serverId}] Token refresh completed`);
     }
 
+    /**
+     * Explain a failed sign-in using the error catalogue entry for it
+     */
     provideAuthenticationGuidance(email, error) {
-        this.logger.error(`❌ ===============================`);
-        this.logger.error(`❌ AUTHENTICATION FAILED`);
-        this.logger.error(`❌ ===============================`);
-        this.logger.error(`❌ Account: ${email}`);
-        this.logger.error(`❌ Error: ${error.message}`);
-        this.logger.error(`❌ Common causes:`);
-        this.logger.error(`❌   1. Account doesn't own Minecraft`);
-        this.logger.error(`❌   2. Account has no Xbox Live access`);
-        this.logger.error(`❌   3. Account hasn't played Minecraft before`);
-        this.logger.error(`❌   4. Network/authentication server issues`);
-        this.logger.error(`❌   5. Two-factor authentication required`);
-        this.logger.error(`❌ ===============================`);
-        this.logger.error(`❌ Solutions:`);
-        this.logger.error(`❌   1. Use demo mode: Set "demoMode": true in config.json`);
-        this.logger.error(`❌   2. Use different account that owns Minecraft`);
-        this.logger.error(`❌   3. Purchase Minecraft for this account`);
-        this.logger.error(`❌   4. Check Xbox Live account status`);
-        this.logger.error(`❌   5. Complete authentication within time limit`);
-        this.logger.error(`❌ ===============================`);
+        const { message, code, xerr, remediation } = describeError(error, 'xsts');
+
+        this.logger.error(`❌ [${this.serverId}] ${email}: ${message}`);
+        if (code) {
+            this.logger.error(`❌ [${this.serverId}] Error code: ${code}${xerr ? ` (XErr ${xerr})` : ''}`);
+        }
+        if (remediation) {
+            this.logger.error(`💡 [${this.serverId}] ${remediation}`);
+        }
     }
 
     async promptForMicrosoftAuthentication() {
         this.logger.info(`🔐 [${this.serverId}] Starting Microsoft authentication process...`);
         this.logger.info(`📋 [${this.serverId}] You can use any Microsoft account email address.`);
 
-        // Use a placeholder email for the authentication process
-        const email = 'user@example.com';
+        // Without configured accounts a single unnamed account is used, cached under auth/default
+        const email = 'default';
 
         try {
             const client = await this.authenticateAccount(email);
             return [client];
         } catch (error) {
             this.logger.error(`❌ [${this.serverId}] Microsoft authentication failed: ${error.message}`);
-            this.logger.error(`❌ [${this.serverId}] Please ensure you have a valid Microsoft account with Xbox Live access.`);
-            this.logger.error(`❌ [${this.serverId}] The account must own Minecraft to create sessions.`);
             throw error;
         }
     }
 
     getAuthenticatedAccounts() {
-        return Array.from(this.authenticatedAccounts.values());
+        return this.accountRegistry.getAll();
     }
 
     async getHealthStatus() {
         try {
             const now = Date.now();
-            const accounts = Array.from(this.authenticatedAccounts.values());
+            const accounts = this.accountRegistry.getAll();
+
+            const failedAccounts = Array.from(this.failedAccounts, ([email, failure]) => ({
+                email,
+                error: failure.message,
+                code: failure.code,
+                xerr: failure.xerr,
+                remediation: failure.remediation
+            }));
 
             if (accounts.length === 0) {
-                return { healthy: false, reason: 'No authenticated accounts' };
+                return {
+                    healthy: false,
+                    reason: 'No authenticated accounts',
+                    remediation: failedAccounts[0]?.remediation || null,
+                    failedAccounts
+                };
             }
 
+            const accountStatus = accounts.map(a => ({
+                email: a.email,
+                xuid: a.xuid,
+                method: a.authMethod,
+                expiresAt: a.expiresAt
+            }));
+
             // Check for expiring tokens (within 1 hour)
             const expiringSoon = accounts.filter(account => 
                 account.expiresAt && (account.expiresAt - now) < (60 * 60 * 1000)
@@ -216,19 +347,17 @@ class AuthManager extends EventEmitter {
                 return { 
                     healthy: false, 
                     reason: `${expiringSoon.length} account(s) have tokens expiring soon`,
-                    expiringAccounts: expiringSoon.map(a => a.email)
+                    expiringAccounts: expiringSoon.map(a => a.email),
+                    accountStatus,
+                    failedAccounts
                 };
             }
 
             return { 
                 healthy: true, 
                 accountCount: accounts.length,
-                accountStatus: accounts.map(a => ({
-                    email: a.email,
-                    xuid: a.xuid,
-                    method: a.authMethod,
-                    expiresAt: a.expiresAt
-                }))
+                accountStatus,
+                failedAccounts
             };
 
         } catch (error) {
@@ -0,0 +1,124 @@
+const dgram = require('dgram');
+const crypto = require('crypto');
+
+// RakNet offline message identifiers
+const UNCONNECTED_PING = 0x01;
+const UNCONNECTED_PONG = 0x1c;
+const OFFLINE_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+
+/**
+ * Bedrock server query using the RakNet unconnected ping
+ */
+class BedrockPinger {
+    constructor(options) {
+        this.host = options.host;
+        this.port = options.port || 19132;
+        this.timeout = options.timeout || 5000;
+        this.clientGuid = crypto.randomBytes(8);
+    }
+
+    async ping() {
+        const startedAt = Date.now();
+        const response = await this.sendPing();
+        return {
+            ...this.parsePong(response),
+            latency: Date.now() - startedAt
+        };
+    }
+
+    sendPing() {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket(this.host.includes(':') ? 'udp6' : 'udp4');
+            const packet = this.buildPing();
+
+            // A send error is also emitted as 'error' and a pong can arrive after the timeout,
+            // closing the socket twice throws ERR_SOCKET_DGRAM_NOT_RUNNING
+            let done = false;
+            const finish = (error, message) => {
+                if (done) {
+                    return;
+                }
+                done = true;
+                clearTimeout(timeoutId);
+                socket.close();
+                error ? reject(error) : resolve(message);
+            };
+
+            const timeoutId = setTimeout(() => {
+                finish(new Error(`Ping to ${this.host}:${this.port} timed out after ${this.timeout}ms`));
+            }, this.timeout);
+
+            socket.on('message', (message) => {
+                if (message[0] === UNCONNECTED_PONG) {
+                    finish(null, message);
+                }
+            });
+
+            socket.on('error', (error) => finish(error));
+
+            socket.send(packet, this.port, this.host, (error) => {
+                if (error) {
+                    finish(error);
+                }
+            });
+        });
+    }
+
+    buildPing() {
+        const packet = Buffer.alloc(33);
+        packet.writeUInt8(UNCONNECTED_PING, 0);
+        packet.writeBigInt64BE(BigInt(Date.now()), 1);
+        OFFLINE_MAGIC.copy(packet, 9);
+        this.clientGuid.copy(packet, 25);
+        return packet;
+    }
+
+    /**
+     * Parse an unconnected pong. The payload is a semicolon separated string:
+     * edition;motd;protocol;version;players;maxPlayers;serverId;levelName;gameMode;gameModeId;portV4;portV6
+     */
+    parsePong(message) {
+        // id (1) + time (8) + server GUID (8) + magic (16) + string length (2)
+        const headerLength = 35;
+        if (message.length < headerLength || message[0] !== UNCONNECTED_PONG) {
+            throw new Error('Invalid unconnected pong packet');
+        }
+
+        const length = message.readUInt16BE(33);
+        if (message.length < headerLength + length) {
+            throw new Error('Unconnected pong is truncated');
+        }
+
+        const fields = message.toString('utf8', headerLength, headerLength + length).split(';');
+
+        if (fields.length < 6) {
+            throw new Error('Unconnected pong is missing server information');
+        }
+
+        const toNumber = (value) => {
+            const number = parseInt(value, 10);
+            return Number.isNaN(number) ? undefined : number;
+        };
+
+        return {
+            edition: fields[0],
+            motd: stripFormatting(fields[1]),
+            protocol: toNumber(fields[2]),
+            version: fields[3],
+            playerCount: toNumber(fields[4]),
+            maxPlayers: toNumber(fields[5]),
+            serverId: fields[6],
+            levelName: fields[7] ? stripFormatting(fields[7]) : undefined,
+            gameMode: fields[8],
+            portV4: toNumber(fields[10]),
+            portV6: toNumber(fields[11])
+        };
+    }
+}
+
+// Remove Minecraft § formatting codes from MOTD strings
+function stripFormatting(text) {
+    return (text || '').replace(/§./g, '').trim();
+}
+
+module.exports = { BedrockPinger, stripFormatting };
@@ -0,0 +1,129 @@
+const { EventEmitter } = require('events');
+const { XboxLiveError } = require('./xbox-errors');
+
+const DEFAULT_BREAKER = {
+    failureThreshold: 5,
+    resetTimeout: 60000
+};
+
+/**
+ * Thrown instead of calling through an open breaker, retryAfter is how long
+ * until it lets a trial call through (ms)
+ */
+class CircuitOpenError extends XboxLiveError {
+    constructor(name, retryAfter) {
+        super(`Circuit ${name} is open, next attempt in ${Math.ceil(retryAfter / 1000)}s`, { code: 'CIRCUIT_OPEN' });
+        this.name = 'CircuitOpenError';
+        this.circuit = name;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Stops calling something that keeps failing. Closed counts consecutive
+ * failures, open rejects every call for resetTimeout, half-open lets a single
+ * trial through that closes or reopens the breaker. Emits 'stateChange'
+ */
+class CircuitBreaker extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.name = options.name;
+        this.failureThreshold = options.failureThreshold || DEFAULT_BREAKER.failureThreshold;
+        this.resetTimeout = options.resetTimeout || DEFAULT_BREAKER.resetTimeout;
+
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+        this.lastFailure = null;
+    }
+
+    /**
+     * Open and not yet due for a trial call
+     */
+    isOpen() {
+        return this.state === 'open' && Date.now() < this.openedAt + this.resetTimeout;
+    }
+
+    /**
+     * Claim a call, throws CircuitOpenError while open or while the half-open
+     * trial is still running. Every claim must end in recordSuccess() or recordFailure()
+     */
+    acquire() {
+        if (this.state === 'open') {
+            const retryAfter = this.openedAt + this.resetTimeout - Date.now();
+            if (retryAfter > 0) {
+                throw new CircuitOpenError(this.name, retryAfter);
+            }
+            this.transition('half-open');
+        }
+
+        if (this.state === 'half-open') {
+            if (this.trialInFlight) {
+                throw new CircuitOpenError(this.name, 0);
+            }
+            this.trialInFlight = true;
+        }
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.trialInFlight = false;
+
+        if (this.state !== 'closed') {
+            this.openedAt = null;
+            this.transition('closed');
+        }
+    }
+
+    recordFailure(error) {
+        this.failures++;
+        this.trialInFlight = false;
+        this.lastFailure = { message: error?.message || String(error), at: Date.now() };
+
+        if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+            this.openedAt = Date.now();
+            this.transition('open');
+        }
+    }
+
+    /**
+     * acquire(), run operation and record how it went
+     */
+    async run(operation) {
+        this.acquire();
+
+        try {
+            const result = await operation();
+            this.recordSuccess();
+            return result;
+        } catch (error) {
+            this.recordFailure(error);
+            throw error;
+        }
+    }
+
+    transition(state) {
+        const from = this.state;
+        this.state = state;
+        this.emit('stateChange', { name: this.name, from, to: state, failures: this.failures, retryAt: this.getRetryAt() });
+    }
+
+    getRetryAt() {
+        return this.state === 'open' ? this.openedAt + this.resetTimeout : null;
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            failureThreshold: this.failureThreshold,
+            openedAt: this.openedAt,
+            retryAt: this.getRetryAt(),
+            lastFailure: this.lastFailure
+        };
+    }
+}
+
+module.exports = { CircuitBreaker, CircuitOpenError, DEFAULT_BREAKER };
@@ -1,5 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { DEFAULT_BASE_URLS } = require('./xbox-live-client.js');
+const { DEFAULT_RETRY } = require('./retry-policy.js');
+const { DEFAULT_BREAKER } = require('./circuit-breaker.js');
 
 /**
  * Enhanced Configuration Validator with comprehensive validation and auto-correction
@@ -12,9 +15,20 @@ class ConfigValidator {
             port: 19132,
             hostName: "FriendConnect Server",
             worldName: "Join via Friends Tab",
-            version: "1.21.51",
-            protocol: 685,
+            version: "auto",
+            protocol: "auto",
             maxPlayers: 40,
+            pingServerForInfo: true,
+            
+            // Lobby fields that always use the configured value instead of the server ping
+            constants: {
+                hostName: true,
+                worldName: true,
+                connectedPlayers: false,
+                maxConnectedPlayers: false,
+                version: false,
+                protocol: false
+            },
             
             // Account settings
             demoMode: false,
@@ -25,12 +39,19 @@ class ConfigValidator {
                 maxReconnectAttempts: 10,
                 reconnectDelay: 5000,
                 heartbeatInterval: 60000,
-                autoRecover: true
+                autoRecover: true,
+                pingTimeout: 5000,
+                enableRTA: true,
+                memberPollInterval: 30000,
+                joinHistorySize: 100,
+                hostFailoverThreshold: 3
             },
             
             // Authentication settings
             auth: {
                 tokenPath: "./auth/",
+                encryptTokens: false,
+                tokenKeyFile: "",
                 maxRetries: 3,
                 retryDelay: 5000
             },
@@ -39,7 +60,20 @@ class ConfigValidator {
             friends: {
                 maxConcurrentRequests: 5,
                 requestDelay: 1000,
-                autoAcceptFriends: true
+                autoAcceptFriends: true,
+                rateLimitBackoff: 30000,
+                maxRateLimitBackoff: 900000,
+                incomingPollInterval: 60000,
+                autoPrune: true,
+                pruneThreshold: 50,
+                pruneBatchSize: 25,
+                acceptRules: {
+                    allowlist: [],
+                    denylist: [],
+                    minGamerscore: 0,
+                    minAccountAge: 0,
+                    maxAcceptsPerHour: 100
+                }
             },
             
             // Monitoring settings
@@ -50,7 +84,40 @@ class ConfigValidator {
                 maxFailures: 3,
                 restartOnCriticalFailure: false,
                 maxInactivityTime: 300000,
-                statsInterval: 300000
+                statsInterval: 300000,
+                // Recoveries of a server pause after failureThreshold failed attempts in a row
+                circuitBreaker: { failureThreshold: 3, resetTimeout: 300000 },
+                enableHealthEndpoint: false,
+                healthEndpointHost: "127.0.0.1",
+                healthEndpointPort: 8080
+            },
+            
+            // State persistence settings
+            persistence: {
+                enabled: true,
+                driver: "json",
+                saveInterval: 60000
+            },
+            
+            // Device-code notifications (Discord-compatible webhook)
+            notifications: {
+                webhookUrl: "",
+                webhookUsername: "FriendConnect"
+            },
+            
+            // Gamertag lookups shared by every server
+            profiles: {
+                cachePath: "./data/profiles.json",
+                ttl: 86400000
+            },
+            
+            // Xbox Live service endpoints, empty baseUrls entries keep the real services.
+            // retry is the backoff every Xbox Live call shares, circuitBreaker pauses a failing service
+            xboxLive: {
+                baseUrls: {},
+                timeout: 30000,
+                retry: { ...DEFAULT_RETRY },
+                circuitBreaker: { ...DEFAULT_BREAKER }
             },
             
             // Global settings
@@ -71,8 +138,8 @@ class ConfigValidator {
             port: { type: 'number', required: true, min: 1, max: 65535 },
             hostName: { type: 'string', required: true, maxLength: 64 },
             worldName: { type: 'string', required: true, maxLength: 64 },
-            version: { type: 'string', required: true, pattern: /^\d+\.\d+\.\d+$/ },
-            protocol: { type: 'number', required: true, min: 1 },
+            version: { type: 'string', required: true, pattern: /^(auto|\d+\.\d+\.\d+)$/ },
+            protocol: { type: ['number', 'string'], required: true, min: 1 },
             maxPlayers: { type: 'number', required: true, min: 1, max: 100 },
 
             demoMode: { type: 'boolean', required: false }
@@ -162,7 +229,9 @@ class ConfigValidator {
                     worldName: server.worldName || this.defaultConfig.worldName,
                     version: server.version || this.defaultConfig.version,
                     protocol: server.protocol || this.defaultConfig.protocol,
-                    maxPlayers: server.maxPlayers || this.defaultConfig.maxPlayers
+                    maxPlayers: server.maxPlayers || this.defaultConfig.maxPlayers,
+                    pingServerForInfo: server.pingServerForInfo !== false,
+                    constants: { ...this.defaultConfig.constants, ...(server.constants || {}) }
                 };
                 
                 // Copy any additional fields from the original server config (like accounts if present)
@@ -177,7 +246,7 @@ class ConfigValidator {
         }
         
         // Deep merge nested objects
-        ['session', 'auth', 'friends', 'monitoring', 'global', 'debugging'].forEach(section => {
+        ['session', 'auth', 'friends', 'monitoring', 'persistence', 'notifications', 'profiles', 'xboxLive', 'global', 'debugging'].forEach(section => {
             if (section in this.defaultConfig) {
                 result[section] = { ...this.defaultConfig[section], ...(result[section] || {}) };
             }
@@ -224,13 +293,13 @@ class ConfigValidator {
             }
             
             // Validate version format
-            if (!server.version || !/^\d+\.\d+\.\d+$/.test(server.version)) {
-                throw new Error(`${serverContext}: version must be in format X.Y.Z (e.g., 1.21.51)`);
+            if (!server.version || !/^(auto|\d+\.\d+\.\d+)$/.test(server.version)) {
+                throw new Error(`${serverContext}: version must be "auto" or in format X.Y.Z (e.g., 1.21.51)`);
             }
             
             // Validate protocol
-            if (!server.protocol || server.protocol < 1) {
-                throw new Error(`${serverContext}: protocol must be a positive number`);
+            if (server.protocol !== 'auto' && !(Number.isInteger(server.protocol) && server.protocol >= 1)) {
+                throw new Error(`${serverContext}: protocol must be "auto" or a positive number`);
             }
             
             // Validate maxPlayers
@@ -238,6 +307,16 @@ class ConfigValidator {
                 throw new Error(`${serverContext}: maxPlayers must be between 1 and 100`);
             }
             
+            // Validate ping overrides
+            Object.entries(server.constants).forEach(([field, value]) => {
+                if (!(field in this.defaultConfig.constants)) {
+                    throw new Error(`${serverContext}: unknown constants field "${field}"`);
+                }
+                if (typeof value !== 'boolean') {
+                    throw new Error(`${serverContext}: constants.${field} must be a boolean`);
+                }
+            });
+            
             // Validate accounts field - ensure it's an array or convert to empty array
             if (server.accounts === undefined || server.accounts === null) {
                 server.accounts = [];
@@ -248,7 +327,13 @@ class ConfigValidator {
                 // If accounts exists but is not an array, force it to be an empty array
                 server.accounts = [];
             }
-            
+
+            server.accounts.forEach((account, accountIndex) => {
+                if (typeof account !== 'string' || !this.isValidEmail(account.trim())) {
+                    throw new Error(`${serverContext}: accounts[${accountIndex}] must be a Microsoft account email address`);
+                }
+            });
+
             // Log accounts validation for debugging
             console.log(`🔍 ${serverContext} accounts validation: { hasAccounts: ${server.accounts !== undefined}, isArray: ${Array.isArray(server.accounts)}, length: ${server.accounts?.length || 0} }`);
             
@@ -274,6 +359,26 @@ class ConfigValidator {
             if (config.session.reconnectDelay < 1000 || config.session.reconnectDelay > 60000) {
                 throw new Error('session.reconnectDelay must be between 1000ms and 60000ms');
             }
+            
+            if (typeof config.session.enableRTA !== 'boolean') {
+                throw new Error('session.enableRTA must be a boolean');
+            }
+            
+            if (config.session.memberPollInterval !== 0 && (config.session.memberPollInterval < 5000 || config.session.memberPollInterval > 600000)) {
+                throw new Error('session.memberPollInterval must be 0 (disabled) or between 5s and 10min');
+            }
+            
+            if (config.session.joinHistorySize < 1 || config.session.joinHistorySize > 10000) {
+                throw new Error('session.joinHistorySize must be between 1 and 10000');
+            }
+
+            if (config.session.hostFailoverThreshold < 1 || config.session.hostFailoverThreshold > 20) {
+                throw new Error('session.hostFailoverThreshold must be between 1 and 20');
+            }
+            
+            if (config.session.pingTimeout < 500 || config.session.pingTimeout > 30000) {
+                throw new Error('session.pingTimeout must be between 500ms and 30000ms');
+            }
         }
         
         // Validate auth settings
@@ -285,6 +390,14 @@ class ConfigValidator {
             if (config.auth.retryDelay < 1000 || config.auth.retryDelay > 30000) {
                 throw new Error('auth.retryDelay must be between 1000ms and 30000ms');
             }
+            
+            if (config.auth.encryptTokens !== undefined && typeof config.auth.encryptTokens !== 'boolean') {
+                throw new Error('auth.encryptTokens must be a boolean');
+            }
+            
+            if (config.auth.tokenKeyFile !== undefined && typeof config.auth.tokenKeyFile !== 'string') {
+                throw new Error('auth.tokenKeyFile must be a string');
+            }
         }
         
         // Validate friend settings
@@ -296,6 +409,32 @@ class ConfigValidator {
             if (config.friends.requestDelay < 500 || config.friends.requestDelay > 10000) {
                 throw new Error('friends.requestDelay must be between 500ms and 10000ms');
             }
+
+            if (config.friends.rateLimitBackoff < 1000 || config.friends.rateLimitBackoff > 600000) {
+                throw new Error('friends.rateLimitBackoff must be between 1s and 10min');
+            }
+
+            if (config.friends.maxRateLimitBackoff < config.friends.rateLimitBackoff || config.friends.maxRateLimitBackoff > 3600000) {
+                throw new Error('friends.maxRateLimitBackoff must be between friends.rateLimitBackoff and 1h');
+            }
+
+            if (config.friends.incomingPollInterval !== 0 && (config.friends.incomingPollInterval < 15000 || config.friends.incomingPollInterval > 3600000)) {
+                throw new Error('friends.incomingPollInterval must be 0 (disabled) or between 15s and 1h');
+            }
+
+            this.validateAcceptRules(config.friends.acceptRules);
+
+            if (typeof config.friends.autoPrune !== 'boolean') {
+                throw new Error('friends.autoPrune must be a boolean');
+            }
+
+            if (config.friends.pruneThreshold < 0 || config.friends.pruneThreshold > 500) {
+                throw new Error('friends.pruneThreshold must be between 0 and 500');
+            }
+
+            if (config.friends.pruneBatchSize < 1 || config.friends.pruneBatchSize > 200) {
+                throw new Error('friends.pruneBatchSize must be between 1 and 200');
+            }
         }
         
         // Validate monitoring settings
@@ -311,11 +450,117 @@ class ConfigValidator {
             if (config.monitoring.criticalThreshold < 0.1 || config.monitoring.criticalThreshold > 1.0) {
                 throw new Error('monitoring.criticalThreshold must be between 0.1 and 1.0');
             }
+            
+            validateCircuitBreaker('monitoring.circuitBreaker', config.monitoring.circuitBreaker);
+            
+            if (config.monitoring.enableHealthEndpoint) {
+                const port = config.monitoring.healthEndpointPort;
+                if (!Number.isInteger(port) || port < 1 || port > 65535) {
+                    throw new Error('monitoring.healthEndpointPort must be a port number between 1 and 65535');
+                }
+            }
+        }
+        
+        // Validate persistence settings
+        if (config.persistence) {
+            if (typeof config.persistence.enabled !== 'boolean') {
+                throw new Error('persistence.enabled must be a boolean');
+            }
+            
+            if (!['json', 'sqlite'].includes(config.persistence.driver)) {
+                throw new Error('persistence.driver must be "json" or "sqlite"');
+            }
+            
+            if (config.persistence.saveInterval < 5000 || config.persistence.saveInterval > 3600000) {
+                throw new Error('persistence.saveInterval must be between 5s and 1h');
+            }
+        }
+        
+        // Validate notification settings
+        if (config.notifications) {
+            if (config.notifications.webhookUrl && !/^https?:\/\//.test(config.notifications.webhookUrl)) {
+                throw new Error('notifications.webhookUrl must be an http(s) URL');
+            }
+            
+            if (typeof config.notifications.webhookUsername !== 'string') {
+                throw new Error('notifications.webhookUsername must be a string');
+            }
+        }
+        
+        // Validate profile lookup settings
+        if (config.profiles) {
+            if (config.profiles.cachePath !== null && typeof config.profiles.cachePath !== 'string') {
+                throw new Error('profiles.cachePath must be a string (empty keeps the cache in memory)');
+            }
+            
+            if (config.profiles.ttl < 60000 || config.profiles.ttl > 30 * 86400000) {
+                throw new Error('profiles.ttl must be between 1min and 30 days');
+            }
+        }
+        
+        // Validate Xbox Live endpoint overrides
+        if (config.xboxLive) {
+            const baseUrls = config.xboxLive.baseUrls || {};
+            if (typeof baseUrls !== 'object' || Array.isArray(baseUrls)) {
+                throw new Error('xboxLive.baseUrls must be an object of service name to URL');
+            }
+            
+            for (const [service, url] of Object.entries(baseUrls)) {
+                if (!DEFAULT_BASE_URLS[service]) {
+                    throw new Error(`xboxLive.baseUrls.${service} is not a known service (${Object.keys(DEFAULT_BASE_URLS).join(', ')})`);
+                }
+                if (url && !/^(https?|wss?):\/\//.test(url)) {
+                    throw new Error(`xboxLive.baseUrls.${service} must be an http(s) or ws(s) URL`);
+                }
+            }
+            
+            if (config.xboxLive.timeout < 1000 || config.xboxLive.timeout > 300000) {
+                throw new Error('xboxLive.timeout must be between 1s and 5min');
+            }
+            
+            const retry = { ...DEFAULT_RETRY, ...(config.xboxLive.retry || {}) };
+            if (!Number.isInteger(retry.maxRetries) || retry.maxRetries < 0 || retry.maxRetries > 10) {
+                throw new Error('xboxLive.retry.maxRetries must be between 0 and 10');
+            }
+            if (retry.baseDelay < 100 || retry.baseDelay > 60000) {
+                throw new Error('xboxLive.retry.baseDelay must be between 100ms and 1min');
+            }
+            if (retry.maxDelay < retry.baseDelay || retry.maxDelay > 600000) {
+                throw new Error('xboxLive.retry.maxDelay must be between baseDelay and 10min');
+            }
+            if (retry.jitter < 0 || retry.jitter > 1) {
+                throw new Error('xboxLive.retry.jitter must be between 0 and 1');
+            }
+            
+            validateCircuitBreaker('xboxLive.circuitBreaker', config.xboxLive.circuitBreaker);
         }
         
         console.log('✅ Advanced settings validation passed');
     }
 
+    validateAcceptRules(rules) {
+        if (rules === undefined) {
+            return;
+        }
+
+        if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+            throw new Error('friends.acceptRules must be an object');
+        }
+
+        ['allowlist', 'denylist'].forEach(list => {
+            if (rules[list] !== undefined && (!Array.isArray(rules[list]) ||
+                rules[list].some(entry => typeof entry !== 'string' && typeof entry !== 'number'))) {
+                throw new Error(`friends.acceptRules.${list} must be an array of XUIDs or gamertags`);
+            }
+        });
+
+        ['minGamerscore', 'minAccountAge', 'maxAcceptsPerHour'].forEach(key => {
+            if (rules[key] !== undefined && (typeof rules[key] !== 'number' || rules[key] < 0)) {
+                throw new Error(`friends.acceptRules.${key} must be a number of at least 0`);
+            }
+        });
+    }
+
     isValidEmail(email) {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         return emailRegex.test(email);
@@ -380,9 +625,18 @@ class ConfigValidator {
                     "port": 19132,
                     "hostName": "My Minecraft Server",
                     "worldName": "Join via Friends Tab - My Server",
-                    "version": "1.21.51",
-                    "protocol": 685,
+                    "version": "auto",
+                    "protocol": "auto",
                     "maxPlayers": 40,
+                    "pingServerForInfo": true,
+                    "constants": {
+                        "hostName": true,
+                        "worldName": true,
+                        "connectedPlayers": false,
+                        "maxConnectedPlayers": false,
+                        "version": false,
+                        "protocol": false
+                    },
                     "accounts": [
                         "account1@example.com",
                         "account2@example.com"
@@ -390,26 +644,50 @@ class ConfigValidator {
                 }
             ],
             "_servers_comment": "You can configure multiple servers by adding more objects to this array",
+            "_version_comment": "\"auto\" follows the version and protocol reported by the server ping",
+            "_constants_comment": "Fields set to true always use the configured value, false fields are taken from the live server ping",
             
             "session": {
                 "autoReconnect": true,
                 "maxReconnectAttempts": 10,
                 "reconnectDelay": 5000,
                 "heartbeatInterval": 60000,
-                "autoRecover": true
+                "autoRecover": true,
+                "pingTimeout": 5000,
+                "enableRTA": true,
+                "memberPollInterval": 30000,
+                "joinHistorySize": 100,
+                "hostFailoverThreshold": 3
             },
             
             "auth": {
                 "tokenPath": "./auth/",
+                "encryptTokens": false,
+                "tokenKeyFile": "",
                 "maxRetries": 3,
                 "retryDelay": 5000
             },
+            "_auth_comment": "encryptTokens seals the token caches with the key in FRIENDCONNECT_TOKEN_KEY or tokenKeyFile, npm run migrate-tokens encrypts existing caches",
             
             "friends": {
                 "maxConcurrentRequests": 5,
                 "requestDelay": 1000,
-                "autoAcceptFriends": true
+                "autoAcceptFriends": true,
+                "rateLimitBackoff": 30000,
+                "maxRateLimitBackoff": 900000,
+                "incomingPollInterval": 60000,
+                "autoPrune": true,
+                "pruneThreshold": 50,
+                "pruneBatchSize": 25,
+                "acceptRules": {
+                    "allowlist": [],
+                    "denylist": [],
+                    "minGamerscore": 0,
+                    "minAccountAge": 0,
+                    "maxAcceptsPerHour": 100
+                }
             },
+            "_friends_comment": "Throttled accounts wait for Xbox Live's Retry-After, or rateLimitBackoff doubling per 429 up to maxRateLimitBackoff when none is sent. acceptRules lists take XUIDs or gamertags, minAccountAge is in years on Xbox Live and maxAcceptsPerHour 0 removes the cap. Accounts with fewer than pruneThreshold of their 1000 friend slots left unfollow inactive players, at most pruneBatchSize per poll (never bots or favorites)",
             
             "monitoring": {
                 "checkInterval": 60000,
@@ -418,8 +696,53 @@ class ConfigValidator {
                 "maxFailures": 3,
                 "restartOnCriticalFailure": false,
                 "maxInactivityTime": 300000,
-                "statsInterval": 300000
+                "statsInterval": 300000,
+                "enableHealthEndpoint": false,
+                "healthEndpointHost": "127.0.0.1",
+                "healthEndpointPort": 8080,
+                "healthEndpointToken": "",
+                "circuitBreaker": {
+                    "failureThreshold": 3,
+                    "resetTimeout": 300000
+                }
             },
+            "_monitoring_comment": "healthEndpointToken (or FRIENDCONNECT_API_TOKEN) protects the status API with a Bearer token and is required when healthEndpointHost is not a loopback address. circuitBreaker pauses a server's recoveries for resetTimeout ms after failureThreshold failed attempts in a row",
+            
+            "persistence": {
+                "enabled": true,
+                "driver": "json",
+                "path": "./data/state.json",
+                "saveInterval": 60000
+            },
+            "_persistence_comment": "Use \"driver\": \"sqlite\" with \"path\": \"./data/state.db\" after installing better-sqlite3",
+            
+            "notifications": {
+                "webhookUrl": "",
+                "webhookUsername": "FriendConnect"
+            },
+            "_notifications_comment": "Device-code sign-in prompts are posted to webhookUrl (or FRIENDCONNECT_WEBHOOK_URL, Discord-compatible) and listed on the status API at /login",
+            
+            "profiles": {
+                "cachePath": "./data/profiles.json",
+                "ttl": 86400000
+            },
+            "_profiles_comment": "Gamertags shown in logs and events are looked up in batches and cached in cachePath for ttl ms",
+            
+            "xboxLive": {
+                "baseUrls": {},
+                "timeout": 30000,
+                "retry": {
+                    "maxRetries": 3,
+                    "baseDelay": 1000,
+                    "maxDelay": 30000,
+                    "jitter": 0.2
+                },
+                "circuitBreaker": {
+                    "failureThreshold": 5,
+                    "resetTimeout": 60000
+                }
+            },
+            "_xboxLive_comment": "Override service URLs (sessionDirectory, social, peopleHub, profile, xsts, rta) to run against a stand-in such as xbox-live-mock.js. retry sets the exponential backoff shared by all Xbox Live calls for timeouts, dropped connections and 5xx responses; jitter spreads each delay by that fraction. circuitBreaker stops calling a service for resetTimeout ms after failureThreshold such failures in a row",
             
             "global": {
                 "continueOnServerFailure": false
@@ -434,4 +757,19 @@ class ConfigValidator {
     }
 }
 
+// Breaker settings are optional, missing fields fall back to the defaults
+function validateCircuitBreaker(name, breaker) {
+    if (!breaker) {
+        return;
+    }
+    
+    const { failureThreshold, resetTimeout } = { ...DEFAULT_BREAKER, ...breaker };
+    if (!Number.isInteger(failureThreshold) || failureThreshold < 1 || failureThreshold > 100) {
+        throw new Error(`${name}.failureThreshold must be between 1 and 100`);
+    }
+    if (resetTimeout < 1000 || resetTimeout > 3600000) {
+        throw new Error(`${name}.resetTimeout must be between 1s and 1h`);
+    }
+}
+
 module.exports = { ConfigValidator };
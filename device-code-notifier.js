@@ -0,0 +1,103 @@
+const fetch = require('node-fetch');
+
+// Discord embed colors
+const COLOR_PENDING = 0xf1c40f;
+const COLOR_COMPLETED = 0x2ecc71;
+
+/**
+ * Keeps the pending Microsoft device-code prompts of every server so they can be
+ * shown on the status API login page, and forwards them to an optional webhook
+ */
+class DeviceCodeNotifier {
+    constructor(options = {}) {
+        this.webhookUrl = options.webhookUrl || null;
+        this.webhookUsername = options.webhookUsername || 'FriendConnect';
+        this.logger = options.logger;
+
+        this.pending = new Map();
+    }
+
+    add(prompt) {
+        const entry = {
+            serverId: prompt.serverId,
+            email: prompt.email,
+            userCode: prompt.userCode,
+            verificationUri: prompt.verificationUri,
+            link: `${prompt.verificationUri}?otc=${prompt.userCode}`,
+            expiresAt: prompt.expiresAt,
+            createdAt: Date.now()
+        };
+
+        this.pending.set(`${entry.serverId}:${entry.email}`, entry);
+
+        this.sendWebhook({
+            title: `🔐 Microsoft sign-in required for ${entry.email}`,
+            url: entry.link,
+            description: `Open ${entry.link} or visit ${entry.verificationUri} and enter **${entry.userCode}**`,
+            color: COLOR_PENDING,
+            fields: [
+                { name: 'Server', value: entry.serverId, inline: true },
+                { name: 'Code', value: entry.userCode, inline: true },
+                { name: 'Expires', value: `<t:${Math.floor(entry.expiresAt / 1000)}:R>`, inline: true }
+            ]
+        });
+    }
+
+    complete(serverId, email) {
+        if (!this.pending.delete(`${serverId}:${email}`)) {
+            return;
+        }
+
+        this.sendWebhook({
+            title: `✅ ${email} signed in`,
+            color: COLOR_COMPLETED,
+            fields: [{ name: 'Server', value: serverId, inline: true }]
+        });
+    }
+
+    // The prompt was abandoned (authentication failed), no notification needed
+    cancel(serverId, email) {
+        this.pending.delete(`${serverId}:${email}`);
+    }
+
+    getPending() {
+        const now = Date.now();
+
+        for (const [key, entry] of this.pending) {
+            if (entry.expiresAt <= now) {
+                this.pending.delete(key);
+            }
+        }
+
+        return Array.from(this.pending.values())
+            .sort((a, b) => a.expiresAt - b.expiresAt)
+            .map(entry => ({ ...entry, expiresIn: Math.round((entry.expiresAt - now) / 1000) }));
+    }
+
+    async sendWebhook(embed) {
+        if (!this.webhookUrl) {
+            return;
+        }
+
+        try {
+            const response = await fetch(this.webhookUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: this.webhookUsername,
+                    embeds: [{ ...embed, timestamp: new Date().toISOString() }]
+                }),
+                timeout: 10000
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+        } catch (error) {
+            // A broken webhook must never block authentication
+            this.logger.warning(`⚠️ Device code webhook failed: ${error.message}`);
+        }
+    }
+}
+
+module.exports = { DeviceCodeNotifier };
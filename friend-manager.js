@@ -1,5 +1,21 @@
-const fetch = require('node-fetch');
 const { EventEmitter } = require('events');
+const { AccountRegistry } = require('./account-registry');
+const { RateLimiter, RateLimitError, checkRateLimit } = require('./rate-limiter');
+const { FriendRequestRules } = require('./friend-request-rules');
+const { ProfileResolver } = require('./profile-resolver');
+const { XboxLiveClient } = require('./xbox-live-client');
+const { XboxLiveError, fromResponse } = require('./xbox-errors');
+
+// XUIDs per peoplehub profile lookup
+const PROFILE_BATCH_SIZE = 100;
+
+// Xbox Live accounts can follow at most this many people
+const FRIEND_LIMIT = 1000;
+const PEOPLE_PAGE_SIZE = 500;
+
+// A request throttled this often is dropped, accepts are queued again by the next poll
+// and cross-friendships by the next refresh
+const MAX_RATE_LIMIT_RETRIES = 5;
 
 /**
  * Enhanced Friend Manager with smart request handling and monitoring
@@ -8,47 +24,115 @@ class FriendManager extends EventEmitter {
     constructor(options) {
         super();
         
-        this.accounts = options.accounts || [];
+        this.accountRegistry = options.accountRegistry || new AccountRegistry(options.accounts || []);
         this.maxConcurrentRequests = options.maxConcurrentRequests || 5;
         this.requestDelay = options.requestDelay || 1000;
         this.autoAcceptFriends = options.autoAcceptFriends !== false;
+        this.incomingPollInterval = options.incomingPollInterval ?? 60000;
+        this.acceptRules = new FriendRequestRules(options.acceptRules);
+        this.friendLimit = options.friendLimit || FRIEND_LIMIT;
+        this.autoPrune = options.autoPrune !== false;
+        this.pruneThreshold = options.pruneThreshold ?? 50; // Prune when fewer slots are left
+        this.pruneBatchSize = options.pruneBatchSize || 25;
+        this.getLastSeen = options.getLastSeen || (() => null);
+        this.getBotXuids = options.getBotXuids || (() => new Set()); // Other bots that must never be unfollowed, null when unknown
         this.serverId = options.serverId;
         this.logger = options.logger;
+        this.xbl = options.xboxLiveClient || new XboxLiveClient();
+        this.profiles = options.profileResolver || new ProfileResolver({ getAccount: () => this.accounts[0], xboxLiveClient: this.xbl, logger: this.logger });
         
-        this.friendships = new Map(); // Track established friendships
+        this.friendships = new Map(options.friendships || []); // Track established friendships (restored from the state store)
         this.pendingRequests = new Set(); // Track pending friend requests
         this.requestQueue = []; // Queue for rate-limited requests
         this.isProcessing = false;
+        this.queueResumeTimer = null;
+        this.incomingPollTimer = null;
+        this.isPolling = false;
+        this.seenRequests = new Set(); // XUIDs of followers already reported
+        this.ignoredRequests = new Map(); // XUID -> reason the rules rejected it
+        this.capacity = new Map(); // email -> { following, updatedAt }
+        this.rateLimiter = new RateLimiter({
+            defaultBackoff: options.rateLimitBackoff,
+            maxBackoff: options.maxRateLimitBackoff
+        });
         
         this.delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    // Always the latest clients, so refreshed tokens are used right away
+    get accounts() {
+        return this.accountRegistry.getAll();
+    }
+
+    resolveAccount(account) {
+        return this.accountRegistry.get(account.email) || account;
+    }
+
     async setupCrossFriendships() {
         this.logger.info(`👥 [${this.serverId}] Setting up cross-friendships between ${this.accounts.length} accounts...`);
         
+        // One people list per account instead of a status check per account pair
+        const following = new Map(); // email -> XUIDs the account follows, null when the list is unavailable
+        for (const account of this.accounts) {
+            try {
+                const people = await this.getPeople(account);
+                following.set(account.email, new Set(people.filter(person => person.isFollowedByCaller).map(person => person.xuid)));
+            } catch (error) {
+                this.logger.warning(`⚠️ [${this.serverId}] Could not read the people list of ${account.email}, checking its friendships one by one:`, error.message);
+                following.set(account.email, null);
+            }
+        }
+
         const friendshipTasks = [];
         
-        // Create friendship tasks for all account pairs
+        // Create friendship tasks for the missing edges
         for (let i = 0; i < this.accounts.length; i++) {
             for (let j = 0; j < this.accounts.length; j++) {
                 if (i !== j) {
                     const fromAccount = this.accounts[i];
                     const toAccount = this.accounts[j];
+                    const followed = following.get(fromAccount.email);
+
+                    if (followed?.has(toAccount.xuid)) {
+                        this.markEstablished(fromAccount, toAccount);
+                        continue;
+                    }
+
+                    // The list is authoritative, a restored friendship it doesn't contain was removed
+                    if (followed) {
+                        this.friendships.delete(`${fromAccount.xuid}-${toAccount.xuid}`);
+                    }
                     
                     friendshipTasks.push({
                         from: fromAccount,
                         to: toAccount,
+                        verified: Boolean(followed),
                         priority: 1 // All cross-friendships have same priority
                     });
                 }
             }
         }
         
+        this.logger.debug(`👥 [${this.serverId}] ${friendshipTasks.length} of ${this.accounts.length * (this.accounts.length - 1)} cross-friendships missing`);
+
         // Add tasks to queue and start processing
         this.requestQueue.push(...friendshipTasks);
         await this.processRequestQueue();
         
-        this.logger.success(`✅ [${this.serverId}] Cross-friendship setup completed`);
+        if (this.requestQueue.length > 0) {
+            this.logger.info(`⏳ [${this.serverId}] Cross-friendship setup continues in the background, ${this.requestQueue.length} requests wait for rate limits`);
+        } else {
+            this.logger.success(`✅ [${this.serverId}] Cross-friendship setup completed`);
+        }
+    }
+
+    markEstablished(from, to) {
+        this.friendships.set(`${from.xuid}-${to.xuid}`, {
+            from: from.email,
+            to: to.email,
+            established: true,
+            timestamp: Date.now()
+        });
     }
 
     async processRequestQueue() {
@@ -62,8 +146,17 @@ class FriendManager extends EventEmitter {
         try {
             // Process requests in batches to respect rate limits
             while (this.requestQueue.length > 0) {
-                const batch = this.requestQueue.splice(0, this.maxConcurrentRequests);
-                const batchPromises = batch.map(task => this.processFriendshipTask(task));
+                const batch = this.takeReadyTasks();
+
+                // Every queued account is backing off, resume in the background so startup isn't held up
+                if (batch.length === 0) {
+                    const wait = Math.min(...this.requestQueue.map(task => this.rateLimiter.getWaitTime(getTaskEmail(task))));
+                    this.logger.debug(`⏳ [${this.serverId}] All queued accounts are rate limited, resuming in ${Math.ceil(wait / 1000)}s`);
+                    this.scheduleQueueResume(wait);
+                    break;
+                }
+
+                const batchPromises = batch.map(task => this.processTask(task));
                 
                 await Promise.allSettled(batchPromises);
                 
@@ -77,7 +170,68 @@ class FriendManager extends EventEmitter {
         }
     }
 
-    async processFriendshipTask(task) {
+    scheduleQueueResume(wait) {
+        clearTimeout(this.queueResumeTimer);
+        this.queueResumeTimer = setTimeout(() => {
+            this.queueResumeTimer = null;
+            this.processRequestQueue();
+        }, wait);
+    }
+
+    /**
+     * Remove up to maxConcurrentRequests tasks from the queue whose account is not backing off
+     */
+    takeReadyTasks() {
+        const batch = [];
+
+        for (let i = 0; i < this.requestQueue.length && batch.length < this.maxConcurrentRequests;) {
+            if (this.rateLimiter.isThrottled(getTaskEmail(this.requestQueue[i]))) {
+                i++;
+            } else {
+                batch.push(...this.requestQueue.splice(i, 1));
+            }
+        }
+
+        return batch;
+    }
+
+    async processTask(task) {
+        try {
+            if (task.type === 'accept') {
+                await this.processAcceptTask(task);
+            } else {
+                await this.processFriendshipTask(task);
+            }
+            this.rateLimiter.reset(getTaskEmail(task));
+
+        } catch (error) {
+            if (!(error instanceof RateLimitError)) {
+                throw error;
+            }
+
+            const email = getTaskEmail(task);
+            const wait = this.rateLimiter.throttle(email, error);
+            task.rateLimits = (task.rateLimits || 0) + 1;
+
+            if (task.rateLimits > MAX_RATE_LIMIT_RETRIES) {
+                this.logger.warning(`⚠️ [${this.serverId}] ${email} is still rate limited by Xbox Live, dropping the request after ${MAX_RATE_LIMIT_RETRIES} retries`);
+            } else {
+                // Throttled requests go back in the queue, they are retried once the account's backoff ends
+                this.requestQueue.push(task);
+                this.logger.warning(`⏳ [${this.serverId}] ${email} is rate limited by Xbox Live, retrying in ${Math.ceil(wait / 1000)}s`);
+            }
+            this.emit('rateLimited', { email, retryAfter: wait, queued: this.requestQueue.length });
+        }
+    }
+
+    async processFriendshipTask(queuedTask) {
+        // Queued tasks may predate a token refresh
+        const task = {
+            ...queuedTask,
+            from: this.resolveAccount(queuedTask.from),
+            to: this.resolveAccount(queuedTask.to)
+        };
+
         try {
             const friendshipKey = `${task.from.xuid}-${task.to.xuid}`;
             
@@ -86,15 +240,9 @@ class FriendManager extends EventEmitter {
                 return;
             }
 
-            // Check if already friends
-            const areAlreadyFriends = await this.checkFriendshipStatus(task.from, task.to.xuid);
-            if (areAlreadyFriends) {
-                this.friendships.set(friendshipKey, {
-                    from: task.from.email,
-                    to: task.to.email,
-                    established: true,
-                    timestamp: Date.now()
-                });
+            // Check if already friends, unless the people list already showed the edge missing
+            if (!task.verified && await this.checkFriendshipStatus(task.from, task.to.xuid)) {
+                this.markEstablished(task.from, task.to);
                 return;
             }
 
@@ -102,38 +250,64 @@ class FriendManager extends EventEmitter {
             await this.sendFriendRequest(task.from, task.to.xuid);
             
             // Record friendship
-            this.friendships.set(friendshipKey, {
-                from: task.from.email,
-                to: task.to.email,
-                established: true,
-                timestamp: Date.now()
-            });
+            this.markEstablished(task.from, task.to);
 
+            const gamertags = await this.profiles.getGamertags([task.from.xuid, task.to.xuid]);
             this.emit('friendshipEstablished', { 
                 from: task.from.email, 
                 to: task.to.email,
                 fromXuid: task.from.xuid,
-                toXuid: task.to.xuid
+                toXuid: task.to.xuid,
+                fromGamertag: gamertags.get(task.from.xuid),
+                toGamertag: gamertags.get(task.to.xuid)
             });
 
             this.logger.debug(`👥 [${this.serverId}] Friendship: ${task.from.email} → ${task.to.email}`);
 
         } catch (error) {
-            this.logger.warning(`⚠️ [${this.serverId}] Friendship failed: ${task.from.email} → ${task.to.email}: ${error.message}`);
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+
+            this.logger.warning(`⚠️ [${this.serverId}] Friendship failed: ${task.from.email} → ${task.to.email}: ${error.message}${error.remediation ? ` (${error.remediation})` : ''}`);
+            this.emit('error', error);
+        }
+    }
+
+    async processAcceptTask(queuedTask) {
+        const account = this.resolveAccount(queuedTask.account);
+        const gamertag = queuedTask.gamertag || await this.profiles.getGamertag(queuedTask.xuid);
+
+        try {
+            await this.acceptFriendRequest(account, queuedTask.xuid);
+            this.acceptRules.recordAccept();
+            this.seenRequests.delete(queuedTask.xuid);
+            this.updateCapacity(account, (this.capacity.get(account.email)?.following || 0) + 1);
+            this.emit('friendRequestAccepted', {
+                account: account.email,
+                xuid: queuedTask.xuid,
+                from: gamertag || queuedTask.xuid
+            });
+
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+
+            this.logger.warning(`⚠️ [${this.serverId}] Failed to accept friend request for ${account.email} from ${gamertag || queuedTask.xuid}: ${error.message}${error.remediation ? ` (${error.remediation})` : ''}`);
             this.emit('error', error);
         }
     }
 
     async checkFriendshipStatus(fromAccount, toXuid) {
         try {
-            const response = await fetch(`https://social.xboxlive.com/users/me/people/xuid(${toXuid})`, {
-                method: 'GET',
-                headers: {
-                    'Authorization': fromAccount.authHeader,
-                    'x-xbl-contract-version': '1'
-                }
+            const response = await this.xbl.request('social', `/users/me/people/xuid(${toXuid})`, {
+                account: fromAccount,
+                contractVersion: '1'
             });
 
+            await checkRateLimit(response, fromAccount);
+
             if (response.status === 200) {
                 const data = await response.json();
                 return data.isFollowedByCaller || data.isFollowingCaller;
@@ -142,23 +316,28 @@ class FriendManager extends EventEmitter {
             return false;
 
         } catch (error) {
+            // Sending a request while throttled would only extend the backoff
+            if (error instanceof RateLimitError) {
+                throw error;
+            }
+
             // If we can't check, assume not friends
             return false;
         }
     }
 
     async sendFriendRequest(fromAccount, toXuid) {
-        const response = await fetch(`https://social.xboxlive.com/users/me/people/xuid(${toXuid})`, {
+        const response = await this.xbl.request('social', `/users/me/people/xuid(${toXuid})`, {
             method: 'PUT',
-            headers: {
-                'Authorization': fromAccount.authHeader,
-                'Content-Type': 'application/json',
-                'x-xbl-contract-version': '1'
-            }
+            account: fromAccount,
+            contractVersion: '1',
+            headers: { 'Content-Type': 'application/json' }
         });
 
+        await checkRateLimit(response, fromAccount);
+
         if (!response.ok) {
-            throw new Error(`Friend request failed: ${response.status} ${response.statusText}`);
+            throw await fromResponse(response, 'Friend request failed', 'social');
         }
 
         return response;
@@ -176,85 +355,381 @@ class FriendManager extends EventEmitter {
         this.logger.success(`✅ [${this.serverId}] Friendships refreshed`);
     }
 
+    /**
+     * Check every account for new followers now and then every incomingPollInterval
+     */
+    startIncomingRequestPolling() {
+        if (!this.autoAcceptFriends || !this.incomingPollInterval || this.incomingPollTimer) {
+            return;
+        }
+
+        this.logger.info(`📨 [${this.serverId}] Polling incoming friend requests every ${this.incomingPollInterval / 1000}s`);
+
+        this.incomingPollTimer = setInterval(() => this.pollIncomingRequests(), this.incomingPollInterval);
+        this.pollIncomingRequests();
+    }
+
+    stopIncomingRequestPolling() {
+        if (this.incomingPollTimer) {
+            clearInterval(this.incomingPollTimer);
+            this.incomingPollTimer = null;
+        }
+    }
+
+    // A slow poll (large people lists, rate limits) must not overlap the next one
+    async pollIncomingRequests() {
+        if (this.isPolling) {
+            return;
+        }
+
+        this.isPolling = true;
+        try {
+            await this.monitorIncomingFriendRequests();
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
     async monitorIncomingFriendRequests() {
         if (!this.autoAcceptFriends) {
             return;
         }
 
-        this.logger.info(`📨 [${this.serverId}] Starting friend request monitoring...`);
+        this.logger.debug(`📨 [${this.serverId}] Checking incoming friend requests...`);
+
+        const peopleByAccount = new Map();
 
         for (const account of this.accounts) {
+            if (this.rateLimiter.isThrottled(account.email)) {
+                continue;
+            }
+
             try {
-                await this.checkIncomingRequests(account);
+                const people = await this.getPeople(account);
+                peopleByAccount.set(account.email, { account, people });
+
+                if (this.autoPrune) {
+                    await this.pruneFollowing(account, people);
+                }
             } catch (error) {
                 this.logger.warning(`⚠️ [${this.serverId}] Failed to check requests for ${account.email}:`, error.message);
             }
         }
+
+        try {
+            await this.queueIncomingRequests(peopleByAccount);
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                this.rateLimiter.throttle(error.email, error);
+            }
+            this.logger.warning(`⚠️ [${this.serverId}] Failed to process incoming friend requests:`, error.message);
+        }
+
+        await this.processRequestQueue();
     }
 
-    async checkIncomingRequests(account) {
+    /**
+     * The account's full people list (all pages), also refreshes its capacity
+     */
+    async getPeople(account) {
         try {
-            const response = await fetch('https://social.xboxlive.com/users/me/people', {
-                method: 'GET',
-                headers: {
-                    'Authorization': account.authHeader,
-                    'x-xbl-contract-version': '1'
+            const people = [];
+
+            for (let startIndex = 0; ;) {
+                const response = await this.xbl.request('social', `/users/me/people?startIndex=${startIndex}&maxItems=${PEOPLE_PAGE_SIZE}`, {
+                    account,
+                    contractVersion: '1'
+                });
+
+                await checkRateLimit(response, account);
+
+                if (!response.ok) {
+                    throw await fromResponse(response, 'Failed to get people list', 'social');
+                }
+
+                const data = await response.json();
+                const page = data.people || [];
+                people.push(...page);
+
+                startIndex += page.length;
+                if (page.length === 0 || startIndex >= (data.totalCount || 0)) {
+                    break;
+                }
+            }
+
+            this.updateCapacity(account, people.filter(person => person.isFollowedByCaller).length);
+
+            return people;
+
+        } catch (error) {
+            if (error instanceof RateLimitError) {
+                this.rateLimiter.throttle(account.email, error);
+                throw error;
+            }
+            // Classified errors keep their catalogue code for the caller
+            if (error instanceof XboxLiveError) {
+                throw error;
+            }
+            throw new Error(`Error reading people list: ${error.message}`);
+        }
+    }
+
+    /**
+     * Run the accept rules over every pending follower and queue each accepted one on
+     * the account with the most free slots among the accounts the player follows
+     */
+    async queueIncomingRequests(peopleByAccount) {
+        const botXuids = new Set(this.accounts.map(account => account.xuid));
+        const queuedAccepts = this.requestQueue.filter(task => task.type === 'accept');
+        const queued = new Set(queuedAccepts.map(task => task.xuid));
+
+        // Cross-friendship requests between the bots are handled by setupCrossFriendships()
+        const pending = new Map(); // xuid -> { request, accounts }
+        for (const { account, people } of peopleByAccount.values()) {
+            for (const person of people) {
+                if (!person.isFollowingCaller || person.isFollowedByCaller || botXuids.has(person.xuid) ||
+                    queued.has(person.xuid) || this.ignoredRequests.has(person.xuid)) {
+                    continue;
+                }
+
+                if (!pending.has(person.xuid)) {
+                    pending.set(person.xuid, { request: person, accounts: [] });
                 }
+                pending.get(person.xuid).accounts.push(account);
+            }
+        }
+
+        if (pending.size === 0) {
+            return;
+        }
+
+        const lookupAccount = peopleByAccount.values().next().value.account;
+        const profiles = this.acceptRules.needsProfiles()
+            ? await this.getProfiles(lookupAccount, Array.from(pending.keys()))
+            : new Map();
+        const gamertags = await this.profiles.getGamertags(Array.from(pending.keys()).filter(xuid => !profiles.has(xuid)));
+
+        const freeSlots = new Map(this.accounts.map(account => [account.email, this.getFreeSlots(account.email)]));
+        let remainingAccepts = this.acceptRules.getRemainingAccepts() - queuedAccepts.length;
+
+        for (const [xuid, { request, accounts }] of pending) {
+            const profile = profiles.get(xuid) || null;
+            const gamertag = profile?.gamertag || request.gamertag || gamertags.get(xuid);
+            const emails = accounts.map(account => account.email);
+
+            if (!this.seenRequests.has(xuid)) {
+                this.seenRequests.add(xuid);
+                this.emit('friendRequestReceived', { accounts: emails, xuid, from: gamertag || xuid });
+            }
+
+            const decision = this.acceptRules.evaluate(xuid, profile);
+            if (!decision.accept) {
+                if (!decision.retry) {
+                    this.ignoredRequests.set(xuid, decision.reason);
+                    this.emit('friendRequestIgnored', { accounts: emails, xuid, from: gamertag || xuid, reason: decision.reason });
+                }
+                continue;
+            }
+
+            // Over the hourly cap the request stays pending and is picked up by a later poll
+            if (remainingAccepts <= 0) {
+                this.logger.debug(`⏳ [${this.serverId}] Hourly accept cap reached, leaving the remaining requests pending`);
+                break;
+            }
+
+            const target = accounts.reduce((best, account) =>
+                freeSlots.get(account.email) > freeSlots.get(best.email) ? account : best);
+
+            // Every account the player follows is full, wait for pruning to free a slot
+            if (freeSlots.get(target.email) <= 0) {
+                this.logger.debug(`⏳ [${this.serverId}] No free friend slot for ${gamertag || xuid}, leaving the request pending`);
+                continue;
+            }
+
+            // Accepts share the rate-limited queue with the cross-friendship requests
+            this.requestQueue.push({ type: 'accept', account: target, xuid, gamertag });
+            freeSlots.set(target.email, freeSlots.get(target.email) - 1);
+            remainingAccepts--;
+        }
+    }
+
+    updateCapacity(account, following) {
+        const previous = this.capacity.get(account.email);
+        this.capacity.set(account.email, { following, updatedAt: Date.now() });
+
+        const wasFull = previous && previous.following >= this.friendLimit;
+        if (following >= this.friendLimit && !wasFull) {
+            this.logger.warning(`⚠️ [${this.serverId}] ${account.email} reached the Xbox Live friend limit (${this.friendLimit})`);
+            this.emit('capacityReached', { account: account.email, following, limit: this.friendLimit });
+        }
+    }
+
+    /**
+     * Slots left on an account, minus the accepts already queued for it
+     */
+    getFreeSlots(email) {
+        const following = this.capacity.get(email)?.following || 0;
+        const queued = this.requestQueue.filter(task => task.type === 'accept' && task.account.email === email).length;
+
+        return this.friendLimit - following - queued;
+    }
+
+    getCapacity() {
+        return this.accounts.map(account => {
+            const capacity = this.capacity.get(account.email);
+            return {
+                email: account.email,
+                following: capacity ? capacity.following : null,
+                limit: this.friendLimit,
+                free: capacity ? this.getFreeSlots(account.email) : null,
+                updatedAt: capacity ? capacity.updatedAt : null
+            };
+        });
+    }
+
+    /**
+     * Unfollow players once an account runs low on slots. Players who stopped following
+     * the bot go first, then the ones least recently added or seen in the session.
+     * Bot accounts of every server and favorites are never removed
+     */
+    async pruneFollowing(account, people) {
+        const following = people.filter(person => person.isFollowedByCaller);
+        const free = this.friendLimit - following.length;
+        if (free >= this.pruneThreshold) {
+            return;
+        }
+
+        // An unknown bot xuid could be any followed player, unfollowing it would break a cross-friendship
+        const otherBots = this.getBotXuids();
+        if (!otherBots || this.accounts.some(bot => !bot.xuid)) {
+            this.logger.debug(`🧹 [${this.serverId}] Skipping prune on ${account.email} until every bot account's xuid is known`);
+            return;
+        }
+
+        const botXuids = new Set([...otherBots, ...this.accounts.map(bot => bot.xuid)]);
+        const lastActivity = person => Math.max(Date.parse(person.addedDateTimeUtc) || 0, this.getLastSeen(person.xuid) || 0);
+
+        const candidates = following
+            .filter(person => !botXuids.has(person.xuid) && !person.isFavorite)
+            .sort((a, b) => (a.isFollowingCaller - b.isFollowingCaller) || (lastActivity(a) - lastActivity(b)))
+            // At most a batch per poll, the next poll continues while the account stays below the threshold
+            .slice(0, this.pruneBatchSize);
+
+        const removed = [];
+        for (const person of candidates) {
+            try {
+                await this.removeFriend(account, person.xuid);
+                removed.push({ xuid: person.xuid, gamertag: this.profiles.peek(person.xuid) });
+            } catch (error) {
+                if (error instanceof RateLimitError) {
+                    this.rateLimiter.throttle(account.email, error);
+                    break;
+                }
+                this.logger.warning(`⚠️ [${this.serverId}] Failed to unfollow ${this.profiles.label(person.xuid)} from ${account.email}: ${error.message}`);
+            }
+
+            await this.delay(this.requestDelay);
+        }
+
+        if (removed.length > 0) {
+            this.updateCapacity(account, following.length - removed.length);
+            this.logger.info(`🧹 [${this.serverId}] Unfollowed ${removed.length} inactive player(s) on ${account.email} to free friend slots`);
+            this.emit('friendsPruned', { account: account.email, removed, free: this.getFreeSlots(account.email) });
+        }
+    }
+
+    async removeFriend(account, xuid) {
+        const response = await this.xbl.request('social', `/users/me/people/xuid(${xuid})`, {
+            method: 'DELETE',
+            account,
+            contractVersion: '1'
+        });
+
+        await checkRateLimit(response, account);
+
+        if (!response.ok && response.status !== 404) {
+            throw await fromResponse(response, 'Failed to remove friend', 'social');
+        }
+    }
+
+    /**
+     * Gamertag, gamerscore and years on Xbox Live of the given users, keyed by XUID
+     */
+    async getProfiles(account, xuids) {
+        const profiles = new Map();
+
+        for (let i = 0; i < xuids.length; i += PROFILE_BATCH_SIZE) {
+            const batch = xuids.slice(i, i + PROFILE_BATCH_SIZE);
+            const response = await this.xbl.request('peopleHub', `/users/me/people/xuids(${batch.join(',')})/decoration/detail`, {
+                account,
+                contractVersion: '3',
+                headers: { 'Accept-Language': 'en-US' }
             });
 
+            await checkRateLimit(response, account);
+
             if (!response.ok) {
-                throw new Error(`Failed to get people list: ${response.status}`);
+                throw await fromResponse(response, 'Failed to look up profiles', 'peopleHub');
             }
 
             const data = await response.json();
-            const pendingRequests = data.people?.filter(person => 
-                person.isFollowingCaller && !person.isFollowedByCaller
-            ) || [];
-
-            for (const request of pendingRequests) {
-                await this.acceptFriendRequest(account, request.xuid);
-                this.emit('friendRequestAccepted', {
-                    account: account.email,
-                    from: request.gamertag || request.xuid
+            for (const person of data.people || []) {
+                this.profiles.remember(person.xuid, person.gamertag);
+                profiles.set(person.xuid, {
+                    gamertag: person.gamertag,
+                    gamerscore: Number(person.gamerScore) || 0,
+                    accountAge: Number(person.detail?.tenure) || 0
                 });
             }
-
-        } catch (error) {
-            throw new Error(`Error checking incoming requests: ${error.message}`);
         }
+
+        return profiles;
     }
 
     async acceptFriendRequest(account, fromXuid) {
         try {
-            const response = await fetch(`https://social.xboxlive.com/users/me/people/xuid(${fromXuid})`, {
+            const response = await this.xbl.request('social', `/users/me/people/xuid(${fromXuid})`, {
                 method: 'PUT',
-                headers: {
-                    'Authorization': account.authHeader,
-                    'Content-Type': 'application/json',
-                    'x-xbl-contract-version': '1'
-                }
+                account,
+                contractVersion: '1',
+                headers: { 'Content-Type': 'application/json' }
             });
 
+            await checkRateLimit(response, account);
+
             if (!response.ok) {
-                throw new Error(`Failed to accept friend request: ${response.status}`);
+                throw await fromResponse(response, 'Failed to accept friend request', 'social');
             }
 
-            this.logger.info(`✅ [${this.serverId}] Friend request accepted: ${account.email} ← ${fromXuid}`);
+            this.logger.info(`✅ [${this.serverId}] Friend request accepted: ${account.email} ← ${this.profiles.label(fromXuid)}`);
 
         } catch (error) {
+            if (error instanceof RateLimitError || error instanceof XboxLiveError) {
+                throw error;
+            }
             throw new Error(`Error accepting friend request: ${error.message}`);
         }
     }
 
+    exportFriendships() {
+        return Array.from(this.friendships.entries());
+    }
+
     getFriendshipStats() {
         const total = this.friendships.size;
         const established = Array.from(this.friendships.values()).filter(f => f.established).length;
+        const remainingAccepts = this.acceptRules.getRemainingAccepts();
         
         return {
             total,
             established,
             pending: total - established,
-            accounts: this.accounts.length
+            accounts: this.accounts.length,
+            ignoredRequests: this.ignoredRequests.size,
+            acceptsRemainingThisHour: Number.isFinite(remainingAccepts) ? remainingAccepts : null,
+            capacity: this.getCapacity(),
+            queued: this.requestQueue.length,
+            rateLimited: this.rateLimiter.getThrottledAccounts()
         };
     }
 
@@ -272,6 +747,16 @@ class FriendManager extends EventEmitter {
                 };
             }
 
+            // New players can no longer be accepted on any account
+            const tracked = stats.capacity.filter(account => account.free !== null);
+            if (tracked.length > 0 && tracked.every(account => account.free <= 0)) {
+                return {
+                    healthy: false,
+                    reason: `All accounts reached the Xbox Live friend limit (${this.friendLimit})`,
+                    stats
+                };
+            }
+
             return { 
                 healthy: true, 
                 healthPercentage: healthPercentage.toFixed(1),
@@ -286,13 +771,23 @@ class FriendManager extends EventEmitter {
     async stop() {
         this.logger.info(`🛑 [${this.serverId}] Stopping friend manager...`);
         
+        this.stopIncomingRequestPolling();
+        clearTimeout(this.queueResumeTimer);
+        this.queueResumeTimer = null;
+
         // Clear queues and caches
         this.requestQueue = [];
         this.pendingRequests.clear();
+        this.rateLimiter.clear();
         this.isProcessing = false;
         
         this.logger.success(`✅ [${this.serverId}] Friend manager stopped`);
     }
 }
 
+// The account whose rate limit a queued task counts against
+function getTaskEmail(task) {
+    return task.type === 'accept' ? task.account.email : task.from.email;
+}
+
 module.exports = { FriendManager };
@@ -0,0 +1,91 @@
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Decides which incoming friend requests are auto-accepted. The denylist always wins,
+ * allowlisted players skip the gamerscore/age checks, and every accept counts
+ * against the per-hour cap
+ */
+class FriendRequestRules {
+    constructor(options = {}) {
+        this.allowlist = toMatchSet(options.allowlist);
+        this.denylist = toMatchSet(options.denylist);
+        this.minGamerscore = options.minGamerscore || 0;
+        this.minAccountAge = options.minAccountAge || 0; // Years on Xbox Live
+        this.maxAcceptsPerHour = options.maxAcceptsPerHour || 0; // 0 = unlimited
+
+        this.acceptTimes = [];
+    }
+
+    /**
+     * Whether gamertags, gamerscores or account ages must be looked up before evaluate()
+     */
+    needsProfiles() {
+        return this.minGamerscore > 0 || this.minAccountAge > 0 ||
+            hasGamertags(this.allowlist) || hasGamertags(this.denylist);
+    }
+
+    /**
+     * Returns { accept, reason } for a follower, profile is { gamertag, gamerscore, accountAge }
+     * or null when it could not be looked up. retry is set when the request should be
+     * evaluated again on the next poll instead of being ignored
+     */
+    evaluate(xuid, profile) {
+        if (matches(this.denylist, xuid, profile)) {
+            return { accept: false, reason: 'denylisted' };
+        }
+
+        // Without the profile a denylisted gamertag could slip through
+        if (!profile && this.needsProfiles()) {
+            return { accept: false, retry: true, reason: 'profile unavailable' };
+        }
+
+        if (matches(this.allowlist, xuid, profile)) {
+            return { accept: true, reason: 'allowlisted' };
+        }
+
+        if (this.minGamerscore > 0 || this.minAccountAge > 0) {
+            if (profile.gamerscore < this.minGamerscore) {
+                return { accept: false, reason: `gamerscore ${profile.gamerscore} below ${this.minGamerscore}` };
+            }
+
+            if (profile.accountAge < this.minAccountAge) {
+                return { accept: false, reason: `account age ${profile.accountAge}y below ${this.minAccountAge}y` };
+            }
+        }
+
+        return { accept: true, reason: 'rules passed' };
+    }
+
+    recordAccept() {
+        this.acceptTimes.push(Date.now());
+    }
+
+    /**
+     * Accepts left in the current hour, Infinity without a cap
+     */
+    getRemainingAccepts() {
+        if (!this.maxAcceptsPerHour) {
+            return Infinity;
+        }
+
+        const since = Date.now() - HOUR;
+        this.acceptTimes = this.acceptTimes.filter(time => time > since);
+
+        return Math.max(0, this.maxAcceptsPerHour - this.acceptTimes.length);
+    }
+}
+
+// XUIDs are numeric, anything else in a list is a gamertag
+function toMatchSet(entries = []) {
+    return new Set(entries.map(entry => String(entry).trim().toLowerCase()).filter(Boolean));
+}
+
+function hasGamertags(set) {
+    return Array.from(set).some(entry => !/^\d+$/.test(entry));
+}
+
+function matches(set, xuid, profile) {
+    return set.has(String(xuid)) || Boolean(profile?.gamertag && set.has(profile.gamertag.toLowerCase()));
+}
+
+module.exports = { FriendRequestRules };
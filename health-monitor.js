@@ -212,6 +212,8 @@ class HealthMonitor extends EventEmitter {
             serverId,
             healthy: latestCheck?.healthy || false,
             reason: latestCheck?.reason || 'No health data',
+            remediation: latestCheck?.details?.remediation || null,
+            circuits: latestCheck?.details?.circuits || null,
             failures,
             maxFailures: this.config.maxFailures,
             lastCheck: latestCheck?.timestamp,
@@ -259,6 +261,20 @@ class HealthMonitor extends EventEmitter {
         }
     }
 
+    // Export health history so it survives restarts
+    exportHistory() {
+        return Object.fromEntries(this.healthHistory);
+    }
+
+    // Restore persisted health history for the servers being monitored
+    restoreHistory(history = {}) {
+        for (const [serverId, entries] of Object.entries(history)) {
+            if (this.healthHistory.has(serverId) && Array.isArray(entries)) {
+                this.healthHistory.set(serverId, entries.slice(-10));
+            }
+        }
+    }
+
     // Reset failure count for a server (useful after manual recovery)
     resetServerFailures(serverId) {
         this.failures.set(serverId, 0);
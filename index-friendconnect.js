@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+
+/**
+ * FriendConnect Bot v3.1 - Multi-server orchestrator
+ * Validates the configuration, starts one FriendConnectManager per configured server
+ * and keeps them alive through the HealthMonitor
+ */
+
+const fs = require('fs');
+const { FriendConnectManager } = require('./multi-server-manager.js');
+const { HealthMonitor } = require('./health-monitor.js');
+const { ConfigValidator } = require('./config-validator.js');
+const { Logger } = require('./logger.js');
+const { StatusServer } = require('./status-server.js');
+const { createStateStore } = require('./state-store.js');
+const { DeviceCodeNotifier } = require('./device-code-notifier.js');
+const { ProfileResolver } = require('./profile-resolver.js');
+const { XboxLiveClient } = require('./xbox-live-client.js');
+const { CircuitOpenError } = require('./circuit-breaker.js');
+
+class FriendConnectBot {
+    constructor(options = {}) {
+        this.configPath = options.configPath || './config.json';
+        this.config = null;
+        this.logger = options.logger || null;
+
+        this.managers = new Map();
+        this.recoveries = new Map(); // serverId -> recovery still running
+        this.healthMonitor = null;
+        this.statusServer = null;
+        this.deviceCodes = null;
+        this.profileResolver = null;
+        this.xboxLiveClient = null;
+        this.stateStore = null;
+        this.statsInterval = null;
+        this.saveInterval = null;
+        this.isShuttingDown = false;
+    }
+
+    loadConfig() {
+        try {
+            return JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load ${this.configPath}: ${error.message}`);
+        }
+    }
+
+    createLogger() {
+        const debugging = this.config.debugging || {};
+
+        return new Logger({
+            level: debugging.enableDebugMode ? 'debug' : (debugging.logLevel || 'info')
+        });
+    }
+
+    async start() {
+        const validator = new ConfigValidator();
+        this.config = await validator.validate(this.loadConfig());
+
+        if (!this.logger) {
+            this.logger = this.createLogger();
+        }
+
+        this.logger.startup(`🚀 Starting FriendConnect Bot with ${this.config.servers.length} server(s)...`);
+
+        await this.openStateStore();
+
+        this.deviceCodes = new DeviceCodeNotifier({
+            webhookUrl: process.env.FRIENDCONNECT_WEBHOOK_URL || this.config.notifications.webhookUrl,
+            webhookUsername: this.config.notifications.webhookUsername,
+            logger: this.logger
+        });
+
+        this.xboxLiveClient = new XboxLiveClient({
+            baseUrls: this.config.xboxLive.baseUrls,
+            timeout: this.config.xboxLive.timeout,
+            retry: this.config.xboxLive.retry,
+            circuitBreaker: this.config.xboxLive.circuitBreaker,
+            logger: this.logger
+        });
+
+        // Shared by all servers so a player is only looked up once
+        this.profileResolver = new ProfileResolver({
+            path: this.config.profiles.cachePath,
+            ttl: this.config.profiles.ttl,
+            getAccount: () => this.getLookupAccount(),
+            xboxLiveClient: this.xboxLiveClient,
+            logger: this.logger
+        });
+
+        // Started before the servers so device-code prompts are reachable while they sign in
+        await this.startStatusServer();
+
+        for (const serverConfig of this.config.servers) {
+            try {
+                await this.startServer(serverConfig);
+            } catch (error) {
+                if (!this.config.global.continueOnServerFailure) {
+                    this.logger.error(`❌ Server ${serverConfig.id} failed to start and continueOnServerFailure is disabled`);
+                    await this.stop();
+                    throw error;
+                }
+
+                this.logger.warning(`⚠️ Server ${serverConfig.id} failed to start, continuing with remaining servers`);
+            }
+        }
+
+        const runningServers = Array.from(this.managers.values()).filter(manager => manager.initialized);
+        if (runningServers.length === 0) {
+            await this.stop();
+            throw new Error('No servers could be started');
+        }
+
+        this.startHealthMonitoring();
+        this.startStatsReporting();
+        this.startStatePersistence();
+
+        this.logger.success(`🎉 Enhanced FriendConnect Bot is now active! (${runningServers.length}/${this.managers.size} servers running)`);
+    }
+
+    // Any signed-in account of any server can look profiles up
+    getLookupAccount() {
+        for (const manager of this.managers.values()) {
+            const account = manager.authManager?.accountRegistry.getAll()[0];
+            if (account) {
+                return account;
+            }
+        }
+        return null;
+    }
+
+    // Servers can share followers, none of them may unfollow another server's bot
+    getBotXuids() {
+        const xuids = new Set();
+        for (const manager of this.managers.values()) {
+            for (const account of manager.authManager?.accountRegistry.getAll() || []) {
+                if (account.xuid) {
+                    xuids.add(account.xuid);
+                }
+            }
+        }
+        return xuids;
+    }
+
+    async startServer(serverConfig) {
+        const manager = new FriendConnectManager({
+            serverId: serverConfig.id,
+            server: serverConfig.server,
+            port: serverConfig.port,
+            hostName: serverConfig.hostName,
+            worldName: serverConfig.worldName,
+            version: serverConfig.version,
+            protocol: serverConfig.protocol,
+            maxPlayers: serverConfig.maxPlayers,
+            pingServerForInfo: serverConfig.pingServerForInfo,
+            constants: serverConfig.constants,
+            accounts: serverConfig.accounts,
+            state: await this.readState(`server:${serverConfig.id}`),
+            profileResolver: this.profileResolver,
+            getAllBotXuids: () => this.getBotXuids(),
+            xboxLiveClient: this.xboxLiveClient,
+            globalConfig: this.config,
+            logger: this.logger
+        });
+
+        // Keep failed servers registered so the health monitor can retry them
+        this.managers.set(serverConfig.id, manager);
+
+        // An unhandled 'error' event would crash every other server in this process
+        manager.on('error', () => {});
+        manager.on('recoveryFailed', ({ serverId, error }) => {
+            this.logger.warning(`⚠️ [${serverId}] Will retry recovery on the next failed health check: ${error.message}`);
+        });
+
+        manager.on('deviceCode', (prompt) => this.deviceCodes.add(prompt));
+        manager.on('accountConnected', ({ email }) => this.deviceCodes.complete(serverConfig.id, email));
+        manager.on('authenticationFailed', ({ serverId, email }) => this.deviceCodes.cancel(serverId, email));
+
+        await manager.initialize();
+        return manager;
+    }
+
+    startHealthMonitoring() {
+        this.healthMonitor = new HealthMonitor(this.config.monitoring);
+
+        this.healthMonitor.on('serverDown', (serverId, result) => {
+            this.logger.warning(`🚨 [${serverId}] Server marked as down: ${result.reason}`);
+            this.recoverServer(serverId);
+        });
+
+        this.healthMonitor.on('criticalFailure', (error, results) => {
+            this.logger.error(`🚨 ${error.message}`);
+            this.handleCriticalFailure(results);
+        });
+
+        this.healthMonitor.startMonitoring(
+            Array.from(this.managers.keys()),
+            (serverId) => this.managers.get(serverId).getHealthStatus()
+        );
+
+        this.readState('healthHistory').then(history => this.healthMonitor?.restoreHistory(history || {}));
+    }
+
+    async openStateStore() {
+        const persistence = this.config.persistence;
+        if (!persistence.enabled) {
+            return;
+        }
+
+        try {
+            const store = createStateStore(persistence);
+            await store.open();
+            this.stateStore = store;
+            this.logger.info(`💾 State persistence enabled (${persistence.driver})`);
+        } catch (error) {
+            // Running without persisted state only makes the next restart slower
+            this.logger.warning('⚠️ State store unavailable, continuing without persistence:', error.message);
+        }
+    }
+
+    async readState(key) {
+        if (!this.stateStore) {
+            return null;
+        }
+
+        try {
+            return await this.stateStore.read(key);
+        } catch (error) {
+            this.logger.warning(`⚠️ Could not read persisted state ${key}:`, error.message);
+            return null;
+        }
+    }
+
+    startStatePersistence() {
+        if (!this.stateStore) {
+            return;
+        }
+
+        this.saveInterval = setInterval(() => this.saveState(), this.config.persistence.saveInterval);
+    }
+
+    async saveState() {
+        if (!this.stateStore) {
+            return;
+        }
+
+        try {
+            for (const [serverId, manager] of this.managers) {
+                await this.stateStore.write(`server:${serverId}`, manager.getPersistentState());
+            }
+
+            if (this.healthMonitor) {
+                await this.stateStore.write('healthHistory', this.healthMonitor.exportHistory());
+            }
+
+            this.logger.debug('💾 State saved');
+        } catch (error) {
+            this.logger.warning('⚠️ Failed to save state:', error.message);
+        }
+    }
+
+    async startStatusServer() {
+        const monitoring = this.config.monitoring;
+        if (!monitoring.enableHealthEndpoint) {
+            return;
+        }
+
+        this.statusServer = new StatusServer({
+            bot: this,
+            host: monitoring.healthEndpointHost,
+            port: monitoring.healthEndpointPort,
+            token: process.env.FRIENDCONNECT_API_TOKEN || monitoring.healthEndpointToken,
+            logger: this.logger
+        });
+
+        try {
+            await this.statusServer.start();
+        } catch (error) {
+            // The bot keeps running without its status API
+            this.logger.error('❌ Status API failed to start:', error.message);
+            this.statusServer = null;
+        }
+    }
+
+    /**
+     * options.force bypasses the server's recovery breaker (manual recovery)
+     */
+    async recoverServer(serverId, options = {}) {
+        const manager = this.managers.get(serverId);
+        if (!manager || this.isShuttingDown) {
+            return false;
+        }
+
+        // Every failed health check asks again, let them wait for the attempt that is already running
+        if (this.recoveries.has(serverId)) {
+            return this.recoveries.get(serverId);
+        }
+
+        const recovery = this.attemptRecovery(serverId, manager, options)
+            .finally(() => this.recoveries.delete(serverId));
+        this.recoveries.set(serverId, recovery);
+
+        return recovery;
+    }
+
+    async attemptRecovery(serverId, manager, options) {
+        try {
+            // Servers that never came up are initialized by recover(), behind the same breaker
+            await manager.recover(options);
+
+            this.healthMonitor?.resetServerFailures(serverId);
+            return true;
+
+        } catch (error) {
+            // The manager already logged why its recovery is paused
+            if (!(error instanceof CircuitOpenError)) {
+                this.logger.error(`❌ [${serverId}] Recovery attempt failed:`, error.message);
+            }
+            return false;
+        }
+    }
+
+    async handleCriticalFailure(results) {
+        const unhealthyServers = results.filter(result => !result.healthy).map(result => result.serverId);
+        const recovered = await Promise.all(unhealthyServers.map(serverId => this.recoverServer(serverId)));
+
+        if (recovered.every(Boolean)) {
+            return;
+        }
+
+        // A restart can't fix an Xbox Live outage, it would only add a storm of sign-ins
+        const openEndpoints = this.xboxLiveClient ? this.xboxLiveClient.getOpenCircuits() : [];
+        if (openEndpoints.length > 0) {
+            this.logger.warning(`⏸️ Xbox Live ${openEndpoints.join(', ')} unavailable, waiting for it to come back instead of restarting`);
+            return;
+        }
+
+        if (this.config.monitoring.restartOnCriticalFailure && !this.isShuttingDown) {
+            this.logger.error('💥 Critical failure persists after recovery, exiting so the container can restart');
+            await this.stop();
+            process.exit(1);
+        }
+    }
+
+    startStatsReporting() {
+        const interval = this.config.monitoring.statsInterval;
+        if (!interval) {
+            return;
+        }
+
+        this.statsInterval = setInterval(() => this.logStats(), interval);
+    }
+
+    logStats() {
+        for (const manager of this.managers.values()) {
+            const stats = manager.getStats();
+            this.logger.info(`📊 [${stats.serverId}] ${stats.initialized ? 'running' : 'down'} | sessions: ${stats.sessionsCreated} | accounts: ${stats.accountsConnected} | friendships: ${stats.friendshipsEstablished} | reconnects: ${stats.reconnectAttempts} | errors: ${stats.errors}`);
+        }
+    }
+
+    async stop() {
+        if (this.isShuttingDown) {
+            return;
+        }
+
+        this.isShuttingDown = true;
+        this.logger?.info('🛑 Shutting down FriendConnect Bot...');
+
+        if (this.statsInterval) {
+            clearInterval(this.statsInterval);
+            this.statsInterval = null;
+        }
+
+        if (this.saveInterval) {
+            clearInterval(this.saveInterval);
+            this.saveInterval = null;
+        }
+
+        if (this.statusServer) {
+            await this.statusServer.stop();
+            this.statusServer = null;
+        }
+
+        // Save before the health monitor and managers clear their in-memory state
+        await this.saveState();
+
+        if (this.healthMonitor) {
+            this.healthMonitor.stop();
+            this.healthMonitor = null;
+        }
+
+        for (const manager of this.managers.values()) {
+            try {
+                await manager.stop();
+            } catch (error) {
+                // Keep stopping the remaining servers
+            }
+        }
+
+        if (this.stateStore) {
+            await this.stateStore.close();
+            this.stateStore = null;
+        }
+
+        this.profileResolver?.save();
+
+        this.logger?.success('✅ FriendConnect Bot stopped');
+    }
+}
+
+// Run the bot if this script is executed directly
+if (require.main === module) {
+    const bot = new FriendConnectBot({ configPath: process.env.FRIENDCONNECT_CONFIG || './config.json' });
+
+    const shutdown = async () => {
+        await bot.stop();
+        process.exit(0);
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+    bot.start().catch(error => {
+        console.error('❌ FriendConnect Bot failed to start:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { FriendConnectBot };
@@ -19,8 +19,8 @@ console.log('🚀 Starting FriendConnect Official Implementation...');
 console.log(`📡 Server: ${serverConfig.hostName || 'FriendConnect Server'}`);
 console.log(`🌍 World: ${serverConfig.worldName || 'Join via Friends Tab'}`);
 console.log(`📍 Address: ${serverConfig.ip || 'localhost'}:${serverConfig.port || 19132}`);
-console.log(`🎮 Version: ${serverConfig.version || '1.21.51'}`);
-console.log(`🔧 Protocol: ${serverConfig.protocol || 685}`);
+console.log(`🎮 Version: ${serverConfig.version || 'auto'}`);
+console.log(`🔧 Protocol: ${serverConfig.protocol || 'auto'}`);
 
 // Create session with official FriendConnect
 const session = new FriendConnectSession({
@@ -31,8 +31,8 @@ const session = new FriendConnectSession({
     port: serverConfig.port || 19132,
     
     // Version info
-    version: serverConfig.version || "1.21.51",
-    protocol: serverConfig.protocol || 685,
+    version: serverConfig.version || "auto",
+    protocol: serverConfig.protocol || "auto",
     
     // Player counts
     connectedPlayers: serverConfig.connectedPlayers || 0,
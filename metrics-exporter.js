@@ -0,0 +1,144 @@
+/**
+ * Prometheus text format exporter for FriendConnect session, auth and friendship metrics
+ */
+class MetricsExporter {
+    constructor(options) {
+        this.bot = options.bot;
+        this.prefix = options.prefix || 'friendconnect';
+    }
+
+    async render() {
+        const metrics = new Map();
+        const add = (name, type, help, labels, value) => {
+            if (value === undefined || value === null || Number.isNaN(value)) {
+                return;
+            }
+            if (!metrics.has(name)) {
+                metrics.set(name, { type, help, samples: [] });
+            }
+            metrics.get(name).samples.push({ labels, value });
+        };
+
+        for (const [serverId, manager] of this.bot.managers) {
+            const server = { server: serverId };
+            const stats = manager.stats;
+
+            add('sessions_created_total', 'counter', 'Xbox Live sessions created', server, stats.sessionsCreated);
+            add('reconnect_attempts_total', 'counter', 'Session reconnect attempts', server, stats.reconnectAttempts);
+            add('errors_total', 'counter', 'Errors raised by the server managers', server, stats.errors);
+            add('host_failovers_total', 'counter', 'Session host handovers to another account', server, stats.hostFailovers);
+            add('player_joins_total', 'counter', 'Players that joined through the Friends tab session', server, stats.playerJoins);
+            add('friend_rate_limits_total', 'counter', 'Xbox Live social requests throttled with HTTP 429', server, stats.rateLimits);
+            add('friend_requests_accepted_total', 'counter', 'Incoming friend requests accepted', server, stats.friendRequestsAccepted);
+            add('friend_requests_ignored_total', 'counter', 'Incoming friend requests rejected by the accept rules', server, stats.friendRequestsIgnored);
+            add('friends_pruned_total', 'counter', 'Inactive players unfollowed to free friend slots', server, stats.friendsPruned);
+            add('friendships_established_total', 'counter', 'Friendships established between accounts', server, stats.friendshipsEstablished);
+            add('accounts_connected', 'gauge', 'Authenticated Xbox Live accounts', server, stats.accountsConnected);
+            add('server_initialized', 'gauge', 'Whether the server manager is initialized (1) or not (0)', server, manager.initialized ? 1 : 0);
+            add('last_activity_timestamp_seconds', 'gauge', 'Unix time of the last session activity', server, toSeconds(stats.lastActivity));
+
+            this.collectHealth(add, serverId, server);
+            this.collectSession(add, manager, server);
+            this.collectFriends(add, manager, serverId);
+            await this.collectAuth(add, manager, serverId);
+        }
+
+        this.collectCircuits(add);
+
+        return this.format(metrics);
+    }
+
+    collectHealth(add, serverId, server) {
+        const healthMonitor = this.bot.healthMonitor;
+        if (!healthMonitor) {
+            return;
+        }
+
+        const health = healthMonitor.getServerHealth(serverId);
+        add('health_check_failures', 'gauge', 'Consecutive failed health checks', server, health.failures);
+        add('server_healthy', 'gauge', 'Result of the latest health check (1 healthy, 0 unhealthy)', server, health.lastCheck ? (health.healthy ? 1 : 0) : undefined);
+    }
+
+    collectSession(add, manager, server) {
+        const sessionManager = manager.sessionManager;
+        const active = Boolean(sessionManager?.isRunning && sessionManager.sessionInstance);
+
+        add('session_active', 'gauge', 'Whether the Friends tab session is running (1) or not (0)', server, active ? 1 : 0);
+
+        if (!sessionManager) {
+            return;
+        }
+
+        add('session_players', 'gauge', 'Non-bot members currently in the Friends tab session', server, sessionManager.sessionMembers.size);
+        add('session_last_heartbeat_timestamp_seconds', 'gauge', 'Unix time of the last successful session heartbeat', server, toSeconds(sessionManager.lastHeartbeat));
+        add('session_heartbeat_latency_seconds', 'gauge', 'Duration of the last successful session heartbeat request', server, toSeconds(sessionManager.lastHeartbeatLatency));
+    }
+
+    collectFriends(add, manager, serverId) {
+        if (!manager.friendManager) {
+            return;
+        }
+
+        for (const account of manager.friendManager.getCapacity()) {
+            const labels = { server: serverId, account: account.email };
+            add('account_following', 'gauge', 'People the account follows (Xbox Live caps this at 1000)', labels, account.following);
+            add('account_friend_slots_free', 'gauge', 'Friend slots left on the account after queued accepts', labels, account.free);
+        }
+    }
+
+    async collectAuth(add, manager, serverId) {
+        if (!manager.authManager) {
+            return;
+        }
+
+        const authHealth = await manager.authManager.getHealthStatus();
+        for (const account of authHealth.accountStatus || []) {
+            add('token_expiry_timestamp_seconds', 'gauge', 'Unix time at which the account XSTS token expires',
+                { server: serverId, account: account.email }, toSeconds(account.expiresAt));
+        }
+    }
+
+    collectCircuits(add) {
+        const help = 'Circuit breaker state (0 closed, 1 half-open, 2 open)';
+
+        for (const [serverId, manager] of this.bot.managers) {
+            add('recovery_circuit_state', 'gauge', help, { server: serverId }, CIRCUIT_STATES[manager.recoveryBreaker?.state]);
+        }
+
+        const endpoints = this.bot.xboxLiveClient ? this.bot.xboxLiveClient.getCircuitStatus() : {};
+        for (const [service, status] of Object.entries(endpoints)) {
+            add('xbox_circuit_state', 'gauge', help, { service }, CIRCUIT_STATES[status.state]);
+        }
+    }
+
+    format(metrics) {
+        const lines = [];
+
+        for (const [name, metric] of metrics) {
+            const fullName = `${this.prefix}_${name}`;
+            lines.push(`# HELP ${fullName} ${metric.help}`);
+            lines.push(`# TYPE ${fullName} ${metric.type}`);
+
+            for (const sample of metric.samples) {
+                const labels = Object.entries(sample.labels)
+                    .map(([key, value]) => `${key}="${escapeLabel(value)}"`)
+                    .join(',');
+                lines.push(`${fullName}{${labels}} ${sample.value}`);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+const CIRCUIT_STATES = { closed: 0, 'half-open': 1, open: 2 };
+
+function toSeconds(ms) {
+    return typeof ms === 'number' ? ms / 1000 : undefined;
+}
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+module.exports = { MetricsExporter };
@@ -1,8 +1,17 @@
 const { SessionManager } = require('./session-manager.js');
 const { FriendManager } = require('./friend-manager.js');
 const { AuthManager } = require('./auth-manager.js');
+const { ProfileResolver } = require('./profile-resolver.js');
+const { XboxLiveClient } = require('./xbox-live-client.js');
+const { CircuitBreaker } = require('./circuit-breaker.js');
 const { EventEmitter } = require('events');
 
+// Fail the session over when the host's refresh fails this close to expiry
+const HOST_TOKEN_EXPIRY_MARGIN = 5 * 60 * 1000;
+
+// Used when monitoring.circuitBreaker is not configured
+const RECOVERY_BREAKER = { failureThreshold: 3, resetTimeout: 5 * 60 * 1000 };
+
 /**
  * Enhanced FriendConnect Manager with multi-server support
  * Manages Xbox Live sessions, authentication, and friend management for multiple servers
@@ -16,24 +25,101 @@ class FriendConnectManager extends EventEmitter {
         this.port = options.port;
         this.hostName = options.hostName || "FriendConnect Server";
         this.worldName = options.worldName || "Join via Friends Tab";
+        this.version = options.version;
+        this.protocol = options.protocol;
+        this.maxPlayers = options.maxPlayers;
+        this.pingServerForInfo = options.pingServerForInfo;
+        this.constants = options.constants;
         this.accounts = options.accounts || [];
+        this.getAllBotXuids = options.getAllBotXuids || (() => new Set());
         this.config = options.globalConfig || {};
         this.logger = options.logger;
+        this.xboxLiveClient = options.xboxLiveClient || new XboxLiveClient({
+            baseUrls: this.config.xboxLive?.baseUrls,
+            timeout: this.config.xboxLive?.timeout,
+            retry: this.config.xboxLive?.retry,
+            circuitBreaker: this.config.xboxLive?.circuitBreaker,
+            logger: this.logger
+        });
+        this.profileResolver = options.profileResolver || new ProfileResolver({
+            getAccount: () => this.authManager?.accountRegistry.getAll()[0],
+            xboxLiveClient: this.xboxLiveClient,
+            logger: this.logger
+        });
         
         this.authManager = null;
         this.sessionManager = null;
         this.friendManager = null;
         this.initialized = false;
         this.recovering = false;
+        this.recoveryBreaker = this.createRecoveryBreaker();
         
         this.stats = {
             sessionsCreated: 0,
             accountsConnected: 0,
             friendshipsEstablished: 0,
             reconnectAttempts: 0,
+            playerJoins: 0,
+            hostFailovers: 0,
+            rateLimits: 0,
+            friendRequestsAccepted: 0,
+            friendRequestsIgnored: 0,
+            friendsPruned: 0,
             lastActivity: Date.now(),
             errors: 0
         };
+        
+        this.restoredState = options.state || {};
+        this.restoreStats(this.restoredState.stats);
+    }
+
+    // Counters that carry over between restarts
+    restoreStats(stats = {}) {
+        ['sessionsCreated', 'friendshipsEstablished', 'reconnectAttempts', 'playerJoins', 'hostFailovers', 'friendRequestsAccepted', 'errors'].forEach(key => {
+            if (typeof stats[key] === 'number') {
+                this.stats[key] = stats[key];
+            }
+        });
+    }
+
+    getPersistentState() {
+        return {
+            stats: {
+                sessionsCreated: this.stats.sessionsCreated,
+                friendshipsEstablished: this.stats.friendshipsEstablished,
+                reconnectAttempts: this.stats.reconnectAttempts,
+                playerJoins: this.stats.playerJoins,
+                hostFailovers: this.stats.hostFailovers,
+                friendRequestsAccepted: this.stats.friendRequestsAccepted,
+                errors: this.stats.errors
+            },
+            friendships: this.friendManager ? this.friendManager.exportFriendships() : (this.restoredState.friendships || []),
+            joinHistory: this.sessionManager ? this.sessionManager.getJoinHistory() : (this.restoredState.joinHistory || []),
+            savedAt: Date.now()
+        };
+    }
+
+    /**
+     * Stops session errors and health checks from retriggering recover() while
+     * recoveries keep failing (monitoring.circuitBreaker)
+     */
+    createRecoveryBreaker() {
+        const breaker = new CircuitBreaker({
+            name: `${this.serverId}-recovery`,
+            ...RECOVERY_BREAKER,
+            ...this.config.monitoring?.circuitBreaker
+        });
+
+        breaker.on('stateChange', ({ from, to, failures, retryAt }) => {
+            if (to === 'open') {
+                this.logger.warning(`🔌 [${this.serverId}] ${failures} recoveries failed in a row, pausing recovery for ${Math.ceil((retryAt - Date.now()) / 1000)}s`);
+            } else if (to === 'half-open') {
+                this.logger.info(`🔌 [${this.serverId}] Trying one recovery before resuming automatic recovery`);
+            }
+            this.emit('circuitStateChange', { serverId: this.serverId, circuit: 'recovery', from, to });
+        });
+
+        return breaker;
     }
 
     async initialize() {
@@ -42,15 +128,22 @@ class FriendConnectManager extends EventEmitter {
             
             // Validate configuration
             this.validateConfiguration();
+
+            // A failed earlier attempt leaves its managers behind, their refresh timers,
+            // heartbeat, RTA connection and poller would keep running next to the new ones
+            await this.stopManagers();
             
             // Initialize authentication manager
             this.authManager = new AuthManager({
                 accounts: this.accounts,
                 tokenPath: this.config.auth?.tokenPath || './auth/',
+                encryptTokens: this.config.auth?.encryptTokens || false,
+                tokenKeyFile: this.config.auth?.tokenKeyFile,
                 maxRetries: this.config.auth?.maxRetries || 3,
                 retryDelay: this.config.auth?.retryDelay || 5000,
                 preferredMethod: this.config.auth?.preferredMethod || 'android',
                 mobileOptimized: this.config.auth?.mobileOptimized || true,
+                xboxLiveClient: this.xboxLiveClient,
                 serverId: this.serverId,
                 logger: this.logger
             });
@@ -68,10 +161,22 @@ class FriendConnectManager extends EventEmitter {
 
             // Initialize friend manager
             this.friendManager = new FriendManager({
-                accounts: authenticatedAccounts,
+                accountRegistry: this.authManager.accountRegistry,
                 maxConcurrentRequests: this.config.friends?.maxConcurrentRequests || 5,
                 requestDelay: this.config.friends?.requestDelay || 1000,
-                autoAcceptFriends: this.config.friends?.autoAcceptFriends || true,
+                autoAcceptFriends: this.config.friends?.autoAcceptFriends !== false,
+                incomingPollInterval: this.config.friends?.incomingPollInterval ?? 60000,
+                acceptRules: this.config.friends?.acceptRules,
+                autoPrune: this.config.friends?.autoPrune !== false,
+                pruneThreshold: this.config.friends?.pruneThreshold ?? 50,
+                pruneBatchSize: this.config.friends?.pruneBatchSize || 25,
+                getLastSeen: xuid => this.sessionManager?.getLastSeen(xuid) ?? null,
+                getBotXuids: () => this.getBotXuids(),
+                profileResolver: this.profileResolver,
+                rateLimitBackoff: this.config.friends?.rateLimitBackoff || 30000,
+                maxRateLimitBackoff: this.config.friends?.maxRateLimitBackoff || 900000,
+                friendships: this.friendManager ? this.friendManager.exportFriendships() : this.restoredState.friendships,
+                xboxLiveClient: this.xboxLiveClient,
                 serverId: this.serverId,
                 logger: this.logger
             });
@@ -81,26 +186,37 @@ class FriendConnectManager extends EventEmitter {
 
             // Initialize friendships
             await this.friendManager.setupCrossFriendships();
+            this.friendManager.startIncomingRequestPolling();
 
             // Initialize session manager
             this.sessionManager = new SessionManager({
                 hostAccount: authenticatedAccounts[0],
-                allAccounts: authenticatedAccounts,
+                accountRegistry: this.authManager.accountRegistry,
                 serverConfig: {
                     ip: this.server,
                     port: this.port,
                     hostName: this.hostName,
                     worldName: this.worldName,
-                    version: this.config.version || "1.21.51",
-                    protocol: this.config.protocol || 685,
-                    maxPlayers: this.config.maxPlayers || 40
+                    version: this.version || this.config.version || "auto",
+                    protocol: this.protocol || this.config.protocol || "auto",
+                    maxPlayers: this.maxPlayers || this.config.maxPlayers || 40,
+                    pingServerForInfo: this.pingServerForInfo,
+                    constants: this.constants
                 },
                 sessionConfig: {
                     autoReconnect: this.config.session?.autoReconnect || true,
                     maxReconnectAttempts: this.config.session?.maxReconnectAttempts || 10,
                     reconnectDelay: this.config.session?.reconnectDelay || 5000,
-                    heartbeatInterval: this.config.session?.heartbeatInterval || 60000
+                    heartbeatInterval: this.config.session?.heartbeatInterval || 60000,
+                    pingTimeout: this.config.session?.pingTimeout || 5000,
+                    enableRTA: this.config.session?.enableRTA !== false,
+                    memberPollInterval: this.config.session?.memberPollInterval ?? 30000,
+                    joinHistorySize: this.config.session?.joinHistorySize || 100,
+                    hostFailoverThreshold: this.config.session?.hostFailoverThreshold || 3
                 },
+                joinHistory: this.sessionManager ? this.sessionManager.getJoinHistory() : this.restoredState.joinHistory,
+                profileResolver: this.profileResolver,
+                xboxLiveClient: this.xboxLiveClient,
                 serverId: this.serverId,
                 logger: this.logger
             });
@@ -125,6 +241,20 @@ class FriendConnectManager extends EventEmitter {
         }
     }
 
+    async stopManagers() {
+        if (this.sessionManager) {
+            await this.sessionManager.stop();
+        }
+
+        if (this.friendManager) {
+            await this.friendManager.stop();
+        }
+
+        if (this.authManager) {
+            await this.authManager.stop();
+        }
+    }
+
     validateConfiguration() {
         if (!this.server) {
             throw new Error('Server hostname/IP is required');
@@ -143,6 +273,18 @@ class FriendConnectManager extends EventEmitter {
         this.logger.debug(`🔍 [${this.serverId}] Configuration validated`);
     }
 
+    /**
+     * XUIDs of the bots of every server, null while one of this server's accounts has not signed in
+     */
+    getBotXuids() {
+        const signedIn = new Map((this.authManager?.accountRegistry.getAll() || [])
+            .map(account => [account.email.toLowerCase(), account.xuid]));
+        if (this.accounts.some(email => !signedIn.get(email.trim().toLowerCase()))) {
+            return null;
+        }
+        return new Set([...signedIn.values(), ...this.getAllBotXuids()]);
+    }
+
     setupAuthEventListeners() {
         this.authManager.on('accountAuthenticated', (data) => {
             this.logger.info(`🔐 [${this.serverId}] Account authenticated: ${data.email}`);
@@ -150,18 +292,35 @@ class FriendConnectManager extends EventEmitter {
         });
 
         this.authManager.on('authenticationFailed', (data) => {
-            this.logger.error(`❌ [${this.serverId}] Authentication failed: ${data.email} - ${data.error}`);
+            this.logger.error(`❌ [${this.serverId}] Authentication failed: ${data.email} - ${data.error}${data.code ? ` [${data.code}]` : ''}`);
             this.stats.errors++;
+            this.emit('authenticationFailed', { serverId: this.serverId, ...data });
+        });
+
+        this.authManager.on('deviceCode', (data) => {
+            this.emit('deviceCode', { serverId: this.serverId, ...data });
         });
 
         this.authManager.on('tokenRefreshed', (data) => {
             this.logger.debug(`🔄 [${this.serverId}] Token refreshed: ${data.email}`);
         });
+
+        // Hand the session over before the host's last token runs out
+        this.authManager.on('tokenRefreshFailed', (data) => {
+            const host = this.sessionManager?.hostAccount;
+            if (!host || data.email !== host.email) {
+                return;
+            }
+
+            if (host.expiresAt && host.expiresAt - Date.now() < HOST_TOKEN_EXPIRY_MARGIN) {
+                this.sessionManager.failoverHost('token refresh failed');
+            }
+        });
     }
 
     setupFriendEventListeners() {
         this.friendManager.on('friendshipEstablished', (data) => {
-            this.logger.info(`👥 [${this.serverId}] Friendship: ${data.from} → ${data.to}`);
+            this.logger.info(`👥 [${this.serverId}] Friendship: ${data.fromGamertag || data.from} → ${data.toGamertag || data.to}`);
             this.stats.friendshipsEstablished++;
             this.emit('friendshipEstablished', data);
         });
@@ -172,6 +331,27 @@ class FriendConnectManager extends EventEmitter {
 
         this.friendManager.on('friendRequestAccepted', (data) => {
             this.logger.info(`✅ [${this.serverId}] Friend request accepted: ${data.from}`);
+            this.stats.friendRequestsAccepted++;
+            this.emit('friendRequestAccepted', { serverId: this.serverId, ...data });
+        });
+
+        this.friendManager.on('capacityReached', (data) => {
+            this.emit('capacityReached', { serverId: this.serverId, ...data });
+        });
+
+        this.friendManager.on('friendsPruned', (data) => {
+            this.stats.friendsPruned += data.removed.length;
+            this.emit('friendsPruned', { serverId: this.serverId, ...data });
+        });
+
+        this.friendManager.on('friendRequestIgnored', (data) => {
+            this.logger.info(`🚫 [${this.serverId}] Friend request ignored: ${data.from} (${data.reason})`);
+            this.stats.friendRequestsIgnored++;
+        });
+
+        this.friendManager.on('rateLimited', (data) => {
+            this.stats.rateLimits++;
+            this.emit('rateLimited', { serverId: this.serverId, ...data });
         });
 
         this.friendManager.on('error', (error) => {
@@ -203,6 +383,39 @@ class FriendConnectManager extends EventEmitter {
             this.emit('sessionRecovered', data);
         });
 
+        this.sessionManager.on('versionChanged', (data) => {
+            this.emit('versionChanged', { serverId: this.serverId, ...data });
+        });
+
+        this.sessionManager.on('member_join', (data) => {
+            this.logger.info(`👤 [${this.serverId}] Player joined session: ${data.gamertag || data.xuid} (${data.xuid})`);
+            this.stats.playerJoins++;
+            this.stats.lastActivity = Date.now();
+            this.emit('member_join', { serverId: this.serverId, ...data });
+        });
+
+        this.sessionManager.on('member_leave', (data) => {
+            this.logger.info(`👋 [${this.serverId}] Player left session: ${data.gamertag || data.xuid} after ${Math.round(data.duration / 1000)}s`);
+            this.emit('member_leave', { serverId: this.serverId, ...data });
+        });
+
+        this.sessionManager.on('session_changed', (data) => {
+            this.logger.debug(`🔔 [${this.serverId}] Session changed (change ${data.changeNumber})`);
+            this.emit('session_changed', { serverId: this.serverId, ...data });
+        });
+
+        this.sessionManager.on('hostChanged', (data) => {
+            this.logger.warning(`👑 [${this.serverId}] Session host changed: ${data.previous} → ${data.current} (${data.reason})`);
+            this.stats.hostFailovers++;
+            this.stats.lastActivity = Date.now();
+            this.emit('hostChanged', { serverId: this.serverId, ...data });
+        });
+
+        this.sessionManager.on('hostFailoverFailed', (data) => {
+            this.logger.error(`❌ [${this.serverId}] No account could take over the session from ${data.email} (${data.reason})`);
+            this.emit('hostFailoverFailed', { serverId: this.serverId, ...data });
+        });
+
         this.sessionManager.on('reconnectAttempt', (data) => {
             this.logger.warning(`🔄 [${this.serverId}] Reconnect attempt ${data.attempt}/${data.maxAttempts}`);
             this.stats.reconnectAttempts++;
@@ -213,9 +426,14 @@ class FriendConnectManager extends EventEmitter {
             this.logger.error(`❌ [${this.serverId}] Session error:`, error.message);
             this.stats.errors++;
             
-            // Attempt recovery if not already recovering
-            if (!this.recovering && this.config.session?.autoRecover) {
-                this.recover();
+            // attemptReconnect() or failoverHost() is still recreating the session, and an open breaker means recent recoveries failed
+            if (this.recovering || this.sessionManager.reconnecting || this.sessionManager.failoverInProgress || this.recoveryBreaker.isOpen()) {
+                return;
+            }
+
+            if (this.config.session?.autoRecover) {
+                // recover() reports its own failure through 'recoveryFailed'
+                this.recover().catch(() => {});
             }
         });
 
@@ -225,41 +443,43 @@ class FriendConnectManager extends EventEmitter {
         });
     }
 
-    async recover() {
+    /**
+     * Rebuild session, tokens and friendships, or initialize a server that never came up.
+     * Refused while the recovery breaker is open unless force is set (manual recovery from the status API)
+     */
+    async recover(options = {}) {
         if (this.recovering) {
             this.logger.warning(`⚠️ [${this.serverId}] Recovery already in progress`);
             return;
         }
 
+        if (!options.force) {
+            try {
+                this.recoveryBreaker.acquire();
+            } catch (error) {
+                this.logger.warning(`⏸️ [${this.serverId}] Recovery skipped: ${error.message}`);
+                throw error;
+            }
+        }
+
         this.recovering = true;
         this.logger.info(`🏥 [${this.serverId}] Starting recovery process...`);
 
         try {
-            // Stop current session if running
-            if (this.sessionManager) {
-                await this.sessionManager.stop();
-            }
-
-            // Refresh authentication tokens
-            if (this.authManager) {
-                await this.authManager.refreshTokens();
-            }
-
-            // Re-establish friendships
-            if (this.friendManager) {
-                await this.friendManager.refreshFriendships();
-            }
-
-            // Recreate session
-            if (this.sessionManager) {
-                await this.sessionManager.createSession();
-                this.stats.sessionsCreated++;
+            // A server that never came up needs a full initialization, paused by the same breaker
+            // so a failing sign-in isn't retried (with a new device code) on every health check
+            if (!this.initialized) {
+                await this.initialize();
+            } else {
+                await this.restartManagers();
             }
 
+            this.recoveryBreaker.recordSuccess();
             this.logger.success(`✅ [${this.serverId}] Recovery completed successfully`);
             this.emit('recovered', { serverId: this.serverId });
 
         } catch (error) {
+            this.recoveryBreaker.recordFailure(error);
             this.logger.error(`❌ [${this.serverId}] Recovery failed:`, error.message);
             this.stats.errors++;
             this.emit('recoveryFailed', { serverId: this.serverId, error });
@@ -269,7 +489,53 @@ class FriendConnectManager extends EventEmitter {
         }
     }
 
+    async restartManagers() {
+        // Stop current session if running
+        if (this.sessionManager) {
+            await this.sessionManager.stop();
+        }
+
+        // Refresh authentication tokens
+        if (this.authManager) {
+            await this.authManager.refreshTokens();
+        }
+
+        // Re-establish friendships
+        if (this.friendManager) {
+            await this.friendManager.refreshFriendships();
+        }
+
+        // Recreate session
+        if (this.sessionManager) {
+            await this.sessionManager.createSession();
+            this.stats.sessionsCreated++;
+        }
+    }
+
+    /**
+     * Health of the server plus the state of its recovery breaker and the
+     * Xbox Live endpoint breakers
+     */
     async getHealthStatus() {
+        const health = await this.checkHealth();
+        const circuits = this.getCircuitStatus();
+        const openEndpoints = Object.keys(circuits.xboxLive).filter(service => circuits.xboxLive[service].state === 'open');
+
+        if (!health.healthy && openEndpoints.length > 0) {
+            health.reason = `${health.reason} (Xbox Live ${openEndpoints.join(', ')} unavailable)`;
+        }
+
+        return { ...health, circuits };
+    }
+
+    getCircuitStatus() {
+        return {
+            recovery: this.recoveryBreaker.getStatus(),
+            xboxLive: this.xboxLiveClient.getCircuitStatus()
+        };
+    }
+
+    async checkHealth() {
         try {
             const now = Date.now();
             const timeSinceLastActivity = now - this.stats.lastActivity;
@@ -289,22 +555,35 @@ class FriendConnectManager extends EventEmitter {
             if (this.sessionManager) {
                 const sessionHealth = await this.sessionManager.getHealthStatus();
                 if (!sessionHealth.healthy) {
-                    return { healthy: false, reason: `Session unhealthy: ${sessionHealth.reason}` };
+                    return {
+                        healthy: false,
+                        reason: `Session unhealthy: ${sessionHealth.reason}`,
+                        code: sessionHealth.lastError?.code || null,
+                        remediation: sessionHealth.lastError?.remediation || null
+                    };
                 }
             }
 
             // Check authentication health
+            let failedAccounts = [];
             if (this.authManager) {
                 const authHealth = await this.authManager.getHealthStatus();
+                failedAccounts = authHealth.failedAccounts || [];
                 if (!authHealth.healthy) {
-                    return { healthy: false, reason: `Auth unhealthy: ${authHealth.reason}` };
+                    return {
+                        healthy: false,
+                        reason: `Auth unhealthy: ${authHealth.reason}`,
+                        remediation: authHealth.remediation || null,
+                        failedAccounts
+                    };
                 }
             }
 
             return { 
                 healthy: true, 
                 stats: this.stats,
-                lastActivity: this.stats.lastActivity
+                lastActivity: this.stats.lastActivity,
+                failedAccounts
             };
 
         } catch (error) {
@@ -327,20 +606,7 @@ class FriendConnectManager extends EventEmitter {
         this.logger.info(`🛑 [${this.serverId}] Stopping FriendConnect Manager...`);
 
         try {
-            // Stop session manager
-            if (this.sessionManager) {
-                await this.sessionManager.stop();
-            }
-
-            // Stop friend manager
-            if (this.friendManager) {
-                await this.friendManager.stop();
-            }
-
-            // Stop auth manager
-            if (this.authManager) {
-                await this.authManager.stop();
-            }
+            await this.stopManagers();
 
             this.initialized = false;
             this.logger.success(`✅ [${this.serverId}] Manager stopped successfully`);
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const { checkRateLimit } = require('./rate-limiter');
+const { XboxLiveClient } = require('./xbox-live-client');
+
+const BATCH_SIZE = 100; // Most XUIDs the profile settings batch endpoint accepts
+const DEFAULT_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * Resolves gamertags and XUIDs through the Xbox Live profile settings endpoint.
+ * Lookups made within batchDelay of each other share one request, and results
+ * are cached on disk so restarts don't look every player up again
+ */
+class ProfileResolver {
+    constructor(options = {}) {
+        this.cachePath = options.path || null; // null keeps the cache in memory only
+        this.ttl = options.ttl || DEFAULT_TTL;
+        this.batchDelay = options.batchDelay ?? 50;
+        this.getAccount = options.getAccount || (() => null); // Any signed-in account can look profiles up
+        this.xbl = options.xboxLiveClient || new XboxLiveClient();
+        this.logger = options.logger;
+
+        this.cache = new Map(); // xuid -> { gamertag, resolvedAt }
+        this.pending = new Map(); // xuid -> resolve callbacks waiting for the next batch
+        this.batchTimer = null;
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    load() {
+        if (!this.cachePath || !fs.existsSync(this.cachePath)) {
+            return;
+        }
+
+        try {
+            const entries = JSON.parse(fs.readFileSync(this.cachePath, 'utf8'));
+            Object.entries(entries).forEach(([xuid, entry]) => this.cache.set(xuid, entry));
+        } catch (error) {
+            // Only costs a fresh round of lookups
+            this.logger?.warning(`⚠️ Profile cache ${this.cachePath} is unreadable, starting empty: ${error.message}`);
+        }
+    }
+
+    /**
+     * Cached gamertag without a lookup, for log lines. Expired entries still count here
+     */
+    peek(xuid) {
+        return this.cache.get(String(xuid))?.gamertag || null;
+    }
+
+    // Gamertag if known, otherwise the XUID
+    label(xuid) {
+        return this.peek(xuid) || String(xuid);
+    }
+
+    remember(xuid, gamertag) {
+        if (!xuid || !gamertag) {
+            return;
+        }
+
+        this.cache.set(String(xuid), { gamertag, resolvedAt: Date.now() });
+        this.scheduleSave();
+    }
+
+    async getGamertag(xuid) {
+        const gamertags = await this.getGamertags([xuid]);
+        return gamertags.get(String(xuid)) || null;
+    }
+
+    /**
+     * Map of xuid -> gamertag (null when unknown). Never throws, a failed lookup
+     * falls back to whatever the cache still has
+     */
+    async getGamertags(xuids) {
+        const result = new Map();
+        const lookups = [];
+
+        for (const xuid of xuids.map(String)) {
+            const entry = this.cache.get(xuid);
+            if (entry && Date.now() - entry.resolvedAt < this.ttl) {
+                result.set(xuid, entry.gamertag);
+            } else {
+                lookups.push(this.enqueue(xuid).then(gamertag => result.set(xuid, gamertag || this.peek(xuid))));
+            }
+        }
+
+        await Promise.all(lookups);
+        return result;
+    }
+
+    async getXuid(gamertag) {
+        const wanted = gamertag.toLowerCase();
+        for (const [xuid, entry] of this.cache) {
+            if (entry.gamertag.toLowerCase() === wanted && Date.now() - entry.resolvedAt < this.ttl) {
+                return xuid;
+            }
+        }
+
+        const account = this.getAccount();
+        if (!account) {
+            return null;
+        }
+
+        try {
+            const response = await this.xbl.request('profile', `/users/gt(${encodeURIComponent(gamertag)})/profile/settings?settings=Gamertag`, {
+                account,
+                contractVersion: '2'
+            });
+
+            await checkRateLimit(response, account);
+
+            if (response.status === 404) {
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const profile = (await response.json()).profileUsers?.[0];
+            if (!profile) {
+                return null;
+            }
+
+            this.remember(profile.id, getSetting(profile, 'Gamertag') || gamertag);
+            return profile.id;
+
+        } catch (error) {
+            this.logger?.warning(`⚠️ Gamertag lookup for ${gamertag} failed: ${error.message}`);
+            return null;
+        }
+    }
+
+    enqueue(xuid) {
+        return new Promise(resolve => {
+            if (!this.pending.has(xuid)) {
+                this.pending.set(xuid, []);
+            }
+            this.pending.get(xuid).push(resolve);
+
+            if (!this.batchTimer) {
+                this.batchTimer = setTimeout(() => this.flushBatch(), this.batchDelay);
+            }
+        });
+    }
+
+    async flushBatch() {
+        this.batchTimer = null;
+
+        const pending = this.pending;
+        this.pending = new Map();
+
+        const xuids = Array.from(pending.keys());
+        for (let i = 0; i < xuids.length; i += BATCH_SIZE) {
+            const batch = xuids.slice(i, i + BATCH_SIZE);
+            const gamertags = await this.fetchGamertags(batch);
+
+            batch.forEach(xuid => pending.get(xuid).forEach(resolve => resolve(gamertags.get(xuid) || null)));
+        }
+    }
+
+    async fetchGamertags(xuids) {
+        const gamertags = new Map();
+
+        const account = this.getAccount();
+        if (!account) {
+            return gamertags;
+        }
+
+        try {
+            const response = await this.xbl.request('profile', '/users/batch/profile/settings', {
+                method: 'POST',
+                account,
+                contractVersion: '2',
+                body: { userIds: xuids, settings: ['Gamertag'] }
+            });
+
+            await checkRateLimit(response, account);
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const data = await response.json();
+            for (const profile of data.profileUsers || []) {
+                const gamertag = getSetting(profile, 'Gamertag');
+                if (gamertag) {
+                    gamertags.set(profile.id, gamertag);
+                    this.remember(profile.id, gamertag);
+                }
+            }
+        } catch (error) {
+            this.logger?.debug(`🏷️ Profile lookup for ${xuids.length} XUID(s) failed: ${error.message}`);
+        }
+
+        return gamertags;
+    }
+
+    // Lookups come in bursts, write the cache once they settle
+    scheduleSave() {
+        if (!this.cachePath || this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => this.save(), 1000);
+        this.saveTimer.unref?.();
+    }
+
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        if (!this.cachePath) {
+            return;
+        }
+
+        try {
+            // Expired entries are dropped once they are a full TTL past expiry
+            const cutoff = Date.now() - this.ttl * 2;
+            const entries = {};
+            for (const [xuid, entry] of this.cache) {
+                if (entry.resolvedAt > cutoff) {
+                    entries[xuid] = entry;
+                }
+            }
+
+            fs.mkdirSync(path.dirname(this.cachePath), { recursive: true });
+            const tempPath = `${this.cachePath}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(entries));
+            fs.renameSync(tempPath, this.cachePath);
+        } catch (error) {
+            this.logger?.warning(`⚠️ Failed to save profile cache: ${error.message}`);
+        }
+    }
+}
+
+function getSetting(profile, id) {
+    return profile.settings?.find(setting => setting.id === id)?.value || null;
+}
+
+module.exports = { ProfileResolver };
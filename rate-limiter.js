@@ -0,0 +1,124 @@
+const { XboxLiveError } = require('./xbox-errors');
+
+// Used when Xbox Live throttles without saying for how long
+const DEFAULT_BACKOFF = 30 * 1000;
+const MAX_BACKOFF = 15 * 60 * 1000;
+
+/**
+ * Xbox Live answered 429, retryAfter is how long the account must wait (ms)
+ */
+class RateLimitError extends XboxLiveError {
+    // Not retried in place, the RateLimiter holds the whole account back instead
+    constructor(email, retryAfter, message) {
+        super(message || `Rate limited, retry in ${Math.ceil(retryAfter / 1000)}s`, { status: 429 });
+        this.name = 'RateLimitError';
+        this.email = email;
+        this.retryAfter = retryAfter;
+    }
+}
+
+/**
+ * Wait time announced by a throttled response: Retry-After (seconds or HTTP date),
+ * else the periodInSeconds of the Xbox Live throttle body. Null when neither is present
+ */
+async function parseRetryAfter(response) {
+    const header = response.headers.get('retry-after');
+
+    if (header) {
+        const seconds = Number(header);
+        if (Number.isFinite(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(header);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+    }
+
+    try {
+        const body = await response.json();
+        if (body?.periodInSeconds > 0) {
+            return body.periodInSeconds * 1000;
+        }
+    } catch (error) {
+        // Throttle responses don't always have a JSON body
+    }
+
+    return null;
+}
+
+/**
+ * Throw a RateLimitError for a 429 response, do nothing otherwise
+ */
+async function checkRateLimit(response, account) {
+    if (response.status !== 429) {
+        return;
+    }
+
+    const retryAfter = await parseRetryAfter(response);
+    const error = new RateLimitError(account.email, retryAfter ?? 0);
+    error.announced = retryAfter !== null;
+    throw error;
+}
+
+/**
+ * Per-account backoff for Xbox Live social requests. Announced waits are honoured
+ * as-is, unannounced throttling doubles the wait on every consecutive 429
+ */
+class RateLimiter {
+    constructor(options = {}) {
+        this.defaultBackoff = options.defaultBackoff || DEFAULT_BACKOFF;
+        this.maxBackoff = options.maxBackoff || MAX_BACKOFF;
+
+        this.accounts = new Map(); // email -> { until, strikes }
+    }
+
+    /**
+     * Record a 429 for an account, returns the time to wait in ms
+     */
+    throttle(email, error = {}) {
+        const state = this.accounts.get(email) || { until: 0, strikes: 0 };
+        state.strikes++;
+
+        const backoff = error.announced
+            ? error.retryAfter
+            : this.defaultBackoff * Math.pow(2, state.strikes - 1);
+        const wait = Math.min(backoff, this.maxBackoff);
+
+        state.until = Math.max(state.until, Date.now() + wait);
+        this.accounts.set(email, state);
+
+        return wait;
+    }
+
+    // A request went through, the next 429 starts from the default backoff again
+    reset(email) {
+        this.accounts.delete(email);
+    }
+
+    getWaitTime(email) {
+        const state = this.accounts.get(email);
+        return state ? Math.max(0, state.until - Date.now()) : 0;
+    }
+
+    isThrottled(email) {
+        return this.getWaitTime(email) > 0;
+    }
+
+    getThrottledAccounts() {
+        return Array.from(this.accounts.keys())
+            .filter(email => this.isThrottled(email))
+            .map(email => ({
+                email,
+                retryIn: Math.ceil(this.getWaitTime(email) / 1000),
+                strikes: this.accounts.get(email).strikes
+            }));
+    }
+
+    clear() {
+        this.accounts.clear();
+    }
+}
+
+module.exports = { RateLimiter, RateLimitError, parseRetryAfter, checkRateLimit };
@@ -0,0 +1,61 @@
+const DEFAULT_RETRY = {
+    maxRetries: 3,
+    baseDelay: 1000,
+    maxDelay: 30000,
+    jitter: 0.2 // Each delay is spread ±20% so servers failing together don't retry in lockstep
+};
+
+/**
+ * Exponential backoff with jitter, shared by every Xbox Live caller (xboxLive.retry).
+ * Modules with their own attempt limits derive from it through with()
+ */
+class RetryPolicy {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_RETRY, ...withoutUndefined(options) };
+        this.maxRetries = this.options.maxRetries;
+        this.baseDelay = this.options.baseDelay;
+        this.maxDelay = Math.max(this.options.maxDelay, this.options.baseDelay);
+        this.jitter = this.options.jitter;
+    }
+
+    with(overrides = {}) {
+        return new RetryPolicy({ ...this.options, ...withoutUndefined(overrides) });
+    }
+
+    /**
+     * Wait before retry number attempt (1-based)
+     */
+    getDelay(attempt) {
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+        const spread = delay * this.jitter;
+        return Math.round(Math.min(this.maxDelay, delay - spread + Math.random() * spread * 2));
+    }
+
+    /**
+     * Run operation(attempt) until it succeeds, throws something shouldRetry rejects
+     * or maxRetries retries are used up. onRetry(error, attempt, delay) runs before each wait
+     */
+    async run(operation, options = {}) {
+        const shouldRetry = options.shouldRetry || (error => error.retryable === true);
+
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await operation(attempt);
+            } catch (error) {
+                if (attempt > this.maxRetries || !shouldRetry(error)) {
+                    throw error;
+                }
+
+                const delay = this.getDelay(attempt);
+                options.onRetry?.(error, attempt, delay);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+}
+
+function withoutUndefined(options) {
+    return Object.fromEntries(Object.entries(options || {}).filter(([, value]) => value !== undefined));
+}
+
+module.exports = { RetryPolicy, DEFAULT_RETRY };
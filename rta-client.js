@@ -0,0 +1,227 @@
+const WebSocket = require('ws');
+const { EventEmitter } = require('events');
+
+const RTA_URL = 'wss://rta.xboxlive.com/connect';
+const RTA_PROTOCOL = 'rta.xboxlive.com.V2';
+const CONNECTIONS_URI = 'https://sessiondirectory.xboxlive.com/connections/';
+
+// RTA message types
+const MessageType = {
+    SUBSCRIBE: 1,
+    UNSUBSCRIBE: 2,
+    EVENT: 3,
+    RESYNC: 4
+};
+
+/**
+ * Xbox Real-Time Activity client that keeps the MPSD connection alive
+ * and delivers session shoulder taps
+ */
+class RTAClient extends EventEmitter {
+    constructor(options) {
+        super();
+
+        // Called on every (re)connect so refreshed tokens are picked up
+        this.getAuthHeader = options.getAuthHeader;
+        this.url = options.url || RTA_URL;
+        this.reconnectDelay = options.reconnectDelay || 5000;
+        this.maxReconnectDelay = options.maxReconnectDelay || 60000;
+        this.connectTimeout = options.connectTimeout || 15000;
+        this.serverId = options.serverId;
+        this.logger = options.logger;
+
+        this.socket = null;
+        this.connectionId = null;
+        this.connectionSubscriptionId = null;
+        this.sequence = 0;
+        this.pendingSubscriptions = new Map();
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.stopped = false;
+    }
+
+    /**
+     * Open the socket and subscribe to MPSD connections. Resolves with the
+     * ConnectionId that session members must use as their connection
+     */
+    async connect() {
+        this.stopped = false;
+
+        await this.openSocket();
+
+        const { subscriptionId, data } = await this.subscribe(CONNECTIONS_URI);
+        if (!data?.ConnectionId) {
+            throw new Error('RTA subscription did not return a ConnectionId');
+        }
+
+        this.connectionSubscriptionId = subscriptionId;
+        this.connectionId = data.ConnectionId;
+        this.reconnectAttempts = 0;
+
+        this.logger.debug(`🔌 [${this.serverId}] RTA connected (connection ${this.connectionId})`);
+        this.emit('connected', { connectionId: this.connectionId });
+
+        return this.connectionId;
+    }
+
+    openSocket() {
+        return new Promise((resolve, reject) => {
+            const socket = new WebSocket(this.url, RTA_PROTOCOL, {
+                headers: { 'Authorization': this.getAuthHeader() },
+                handshakeTimeout: this.connectTimeout
+            });
+
+            socket.once('open', () => {
+                this.socket = socket;
+                resolve();
+            });
+
+            socket.once('unexpected-response', (req, res) => {
+                // ws leaves the request and socket open once this is handled
+                req.destroy();
+                socket.terminate();
+                reject(new Error(`RTA handshake failed: ${res.statusCode}`));
+            });
+
+            socket.on('message', (data) => this.handleMessage(data));
+
+            socket.on('error', (error) => {
+                if (this.socket !== socket) {
+                    reject(error);
+                    return;
+                }
+                this.logger.warning(`⚠️ [${this.serverId}] RTA socket error:`, error.message);
+            });
+
+            socket.on('close', (code, reason) => {
+                if (this.socket === socket) {
+                    this.handleClose(code, reason.toString());
+                } else {
+                    reject(new Error(`RTA socket closed during handshake (${code})`));
+                }
+            });
+        });
+    }
+
+    subscribe(uri) {
+        const sequence = ++this.sequence;
+
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                this.pendingSubscriptions.delete(sequence);
+                reject(new Error(`RTA subscription to ${uri} timed out`));
+            }, this.connectTimeout);
+
+            this.pendingSubscriptions.set(sequence, { resolve, reject, timeoutId, uri });
+            this.socket.send(JSON.stringify([MessageType.SUBSCRIBE, sequence, uri]));
+        });
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (error) {
+            this.logger.debug(`🔍 [${this.serverId}] Ignoring malformed RTA message`);
+            return;
+        }
+
+        const [type] = message;
+
+        if (type === MessageType.SUBSCRIBE) {
+            const [, sequence, status, subscriptionId, data] = message;
+            const pending = this.pendingSubscriptions.get(sequence);
+            if (!pending) {
+                return;
+            }
+
+            clearTimeout(pending.timeoutId);
+            this.pendingSubscriptions.delete(sequence);
+
+            if (status === 0) {
+                pending.resolve({ subscriptionId, data });
+            } else {
+                pending.reject(new Error(`RTA subscription to ${pending.uri} failed with status ${status}`));
+            }
+        } else if (type === MessageType.EVENT) {
+            const [, subscriptionId, data] = message;
+            if (subscriptionId === this.connectionSubscriptionId && Array.isArray(data?.shoulderTaps)) {
+                data.shoulderTaps.forEach(tap => this.emit('shoulderTap', tap));
+            }
+        } else if (type === MessageType.RESYNC) {
+            // The service dropped events, consumers should re-read their resources
+            this.emit('resync');
+        }
+    }
+
+    handleClose(code, reason) {
+        this.socket = null;
+        this.connectionId = null;
+        this.connectionSubscriptionId = null;
+
+        for (const pending of this.pendingSubscriptions.values()) {
+            clearTimeout(pending.timeoutId);
+            pending.reject(new Error('RTA socket closed'));
+        }
+        this.pendingSubscriptions.clear();
+
+        if (this.stopped) {
+            return;
+        }
+
+        this.logger.warning(`⚠️ [${this.serverId}] RTA connection dropped (${code}${reason ? `: ${reason}` : ''})`);
+        this.emit('disconnected', { code, reason });
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        if (this.stopped || this.reconnectTimer) {
+            return;
+        }
+
+        this.reconnectAttempts++;
+        const delay = Math.min(this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1), this.maxReconnectDelay);
+
+        this.logger.info(`🔄 [${this.serverId}] Reconnecting RTA in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+
+            try {
+                const connectionId = await this.connect();
+                this.emit('reconnected', { connectionId });
+            } catch (error) {
+                this.logger.warning(`⚠️ [${this.serverId}] RTA reconnect failed:`, error.message);
+                if (this.socket) {
+                    this.socket.terminate();
+                } else {
+                    this.scheduleReconnect();
+                }
+            }
+        }, delay);
+    }
+
+    async stop() {
+        this.stopped = true;
+
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+
+        if (this.socket) {
+            const socket = this.socket;
+            await new Promise(resolve => {
+                // Don't wait on a close handshake the service never answers
+                const timeoutId = setTimeout(() => socket.terminate(), 5000);
+                socket.once('close', () => {
+                    clearTimeout(timeoutId);
+                    resolve();
+                });
+                socket.close();
+            });
+        }
+    }
+}
+
+module.exports = { RTAClient };
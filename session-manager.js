@@ -1,6 +1,17 @@
 const crypto = require('crypto');
-const fetch = require('node-fetch');
 const { EventEmitter } = require('events');
+const { BedrockPinger } = require('./bedrock-ping.js');
+const { VersionResolver } = require('./version-resolver.js');
+const { RTAClient } = require('./rta-client.js');
+const { AccountRegistry } = require('./account-registry.js');
+const { ProfileResolver } = require('./profile-resolver.js');
+const { XboxLiveClient } = require('./xbox-live-client.js');
+const { RetryPolicy } = require('./retry-policy.js');
+const { fromResponse, describeError } = require('./xbox-errors.js');
+const { CircuitOpenError } = require('./circuit-breaker.js');
+
+// A host that failed is not promoted again for this long
+const HOST_RETRY_COOLDOWN = 10 * 60 * 1000;
 
 // Constants for Xbox Live integration
 const Constants = {
@@ -15,8 +26,11 @@ class SessionManager extends EventEmitter {
     constructor(options) {
         super();
         
-        this.hostAccount = options.hostAccount;
-        this.allAccounts = options.allAccounts || [this.hostAccount];
+        this.accountRegistry = options.accountRegistry || new AccountRegistry(options.allAccounts || [options.hostAccount]);
+        this.hostEmail = options.hostAccount.email;
+        this.failedHosts = new Map(); // email -> time the account last failed as host
+        this.failoverInProgress = false;
+        this.heartbeatFailures = 0;
         this.serverConfig = options.serverConfig;
         this.sessionConfig = options.sessionConfig;
         this.serverId = options.serverId;
@@ -25,12 +39,49 @@ class SessionManager extends EventEmitter {
         this.sessionInstance = null;
         this.heartbeatInterval = null;
         this.reconnectAttempts = 0;
+        this.reconnecting = false;
+        this.lastError = null; // describeError() summary of the last failed session creation
         this.isRunning = false;
         this.lastHeartbeat = null;
+        this.lastHeartbeatLatency = null;
+        this.serverInfo = null;
+        this.rtaClient = null;
+        this.sessionMembers = new Map();
+        this.joinHistory = options.joinHistory || [];
+        this.xbl = options.xboxLiveClient || new XboxLiveClient();
+        this.reconnectPolicy = this.createReconnectPolicy();
+        this.profiles = options.profileResolver || new ProfileResolver({ getAccount: () => this.hostAccount, xboxLiveClient: this.xbl, logger: this.logger });
+        this.memberPollInterval = null;
+        
+        this.pinger = this.serverConfig.pingServerForInfo !== false
+            ? new BedrockPinger({
+                host: this.serverConfig.ip,
+                port: this.serverConfig.port,
+                timeout: this.sessionConfig.pingTimeout || 5000
+            })
+            : null;
+        
+        this.versionResolver = new VersionResolver({
+            version: this.serverConfig.version,
+            protocol: this.serverConfig.protocol
+        });
+        
+        if (!this.pinger && this.versionResolver.isAuto()) {
+            this.logger.warning(`⚠️ [${this.serverId}] Version is set to "auto" but pingServerForInfo is disabled, using fallback version`);
+        }
         
         this.delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    // Read through the registry on every request so token refreshes apply immediately
+    get hostAccount() {
+        return this.accountRegistry.get(this.hostEmail);
+    }
+
+    get allAccounts() {
+        return this.accountRegistry.getAll();
+    }
+
     async createSession() {
         try {
             this.logger.info(`🎮 [${this.serverId}] Creating Xbox Live session...`);
@@ -40,6 +91,9 @@ class SessionManager extends EventEmitter {
                 await this.stop();
             }
 
+            await this.refreshServerInfo();
+            await this.connectRTA();
+
             const sessionData = this.buildSessionData();
             const sessionResponse = await this.createXboxLiveSession(sessionData);
             
@@ -49,18 +103,45 @@ class SessionManager extends EventEmitter {
             // Join other accounts to the session
             await this.joinOtherAccounts();
             
+            // Record the bot members so only real players produce join/leave events
+            await this.syncSessionMembers();
+            
             // Start monitoring
             this.startHeartbeat();
+            this.startMemberPolling();
             this.isRunning = true;
             this.reconnectAttempts = 0;
+            this.lastError = null;
             
             return sessionResponse;
 
         } catch (error) {
             this.logger.error(`❌ [${this.serverId}] Session creation failed:`, error.message);
+            this.lastError = describeError(error, 'sessionDirectory');
+            if (this.lastError.remediation) {
+                this.logger.warning(`💡 [${this.serverId}] ${this.lastError.remediation}`);
+            }
+
+            // The connection belonged to the session that was never created
+            await this.stopRTA();
             
+            // failoverHost() moves on to the next candidate itself
+            if (this.failoverInProgress) {
+                throw error;
+            }
+
+            // Retrying with a host Xbox Live rejects won't help, hand the session to another account
+            if (isAuthError(error) && await this.failoverHost(`session creation rejected (${error.status})`)) {
+                return this.sessionInstance;
+            }
+            
+            // attemptReconnect() counts and spaces the retries itself
+            if (this.reconnecting) {
+                throw error;
+            }
+
             if (this.sessionConfig.autoReconnect && this.reconnectAttempts < this.sessionConfig.maxReconnectAttempts) {
-                await this.attemptReconnect();
+                return this.attemptReconnect();
             } else {
                 this.emit('error', error);
                 throw error;
@@ -68,7 +149,263 @@ class SessionManager extends EventEmitter {
         }
     }
 
+    /**
+     * Connect to Xbox Real-Time Activity so MPSD keeps the host member alive
+     * and pushes shoulder taps when the session changes
+     */
+    async connectRTA() {
+        if (this.sessionConfig.enableRTA === false) {
+            return null;
+        }
+
+        await this.stopRTA();
+
+        const rtaClient = new RTAClient({
+            url: this.xbl.url('rta', '/connect'),
+            getAuthHeader: () => this.hostAccount.authHeader,
+            reconnectDelay: this.sessionConfig.reconnectDelay,
+            serverId: this.serverId,
+            logger: this.logger
+        });
+
+        rtaClient.on('shoulderTap', (tap) => this.handleShoulderTap(tap));
+        rtaClient.on('resync', () => this.syncSessionMembers());
+        rtaClient.on('reconnected', ({ connectionId }) => this.updateHostConnection(connectionId));
+
+        try {
+            await rtaClient.connect();
+            this.rtaClient = rtaClient;
+            return rtaClient.connectionId;
+        } catch (error) {
+            // Sessions still work without RTA, they just aren't kept alive by a connection
+            this.logger.warning(`⚠️ [${this.serverId}] RTA connection failed, continuing without change notifications:`, error.message);
+            await rtaClient.stop();
+            return null;
+        }
+    }
+
+    async stopRTA() {
+        if (this.rtaClient) {
+            const rtaClient = this.rtaClient;
+            this.rtaClient = null;
+            await rtaClient.stop();
+        }
+    }
+
+    async handleShoulderTap(tap) {
+        if (!this.sessionInstance || !tap.resource) {
+            return;
+        }
+
+        // Resources look like "{scid}~{template}~{sessionName}"
+        const sessionName = tap.resource.split('~').pop();
+        if (sessionName.toLowerCase() !== this.sessionInstance.sessionName.toLowerCase()) {
+            return;
+        }
+
+        this.emit('session_changed', {
+            sessionName: this.sessionInstance.sessionName,
+            changeNumber: tap.changeNumber,
+            branch: tap.branch
+        });
+
+        await this.syncSessionMembers();
+    }
+
+    /**
+     * Point the host member at a new RTA connection after the socket reconnects,
+     * otherwise MPSD drops the host once the old connection times out
+     */
+    async updateHostConnection(connectionId) {
+        if (!this.sessionInstance) {
+            return;
+        }
+
+        try {
+            await this.putSessionDocument({
+                members: {
+                    me: {
+                        properties: {
+                            system: {
+                                active: true,
+                                connection: connectionId,
+                                subscription: {
+                                    id: this.subscriptionId,
+                                    changeTypes: ["everything"]
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+
+            this.logger.info(`🔌 [${this.serverId}] Session connection updated after RTA reconnect`);
+            await this.syncSessionMembers();
+        } catch (error) {
+            this.logger.error(`❌ [${this.serverId}] Failed to update session connection:`, error.message);
+            this.emit('error', error);
+        }
+    }
+
+    /**
+     * Poll the session document so joins are tracked even when RTA is unavailable
+     */
+    startMemberPolling() {
+        if (this.memberPollInterval) {
+            clearInterval(this.memberPollInterval);
+            this.memberPollInterval = null;
+        }
+
+        const interval = this.sessionConfig.memberPollInterval ?? 30000;
+        if (!interval) {
+            return;
+        }
+
+        this.memberPollInterval = setInterval(() => this.syncSessionMembers(), interval);
+    }
+
+    async syncSessionMembers() {
+        if (!this.sessionInstance) {
+            return;
+        }
+
+        try {
+            const session = await this.fetchSessionDocument();
+            const botXuids = new Set(this.allAccounts.map(account => account.xuid));
+            const currentMembers = new Map();
+
+            for (const member of Object.values(session.members || {})) {
+                const xuid = member.constants?.system?.xuid;
+                if (xuid && !botXuids.has(xuid)) {
+                    currentMembers.set(xuid, {
+                        xuid,
+                        gamertag: member.gamertag || this.sessionMembers.get(xuid)?.gamertag || null,
+                        joinedAt: this.sessionMembers.get(xuid)?.joinedAt || Date.now()
+                    });
+                }
+            }
+
+            // MPSD often leaves the gamertag out of the member entry
+            const unnamed = Array.from(currentMembers.values()).filter(member => !member.gamertag).map(member => member.xuid);
+            if (unnamed.length > 0) {
+                const gamertags = await this.profiles.getGamertags(unnamed);
+                unnamed.forEach(xuid => { currentMembers.get(xuid).gamertag = gamertags.get(xuid) || null; });
+            }
+
+            for (const [xuid, member] of currentMembers) {
+                if (!this.sessionMembers.has(xuid)) {
+                    this.recordJoin(member);
+                }
+            }
+
+            for (const [xuid, member] of this.sessionMembers) {
+                if (!currentMembers.has(xuid)) {
+                    this.recordLeave(member);
+                }
+            }
+
+            this.sessionMembers = currentMembers;
+        } catch (error) {
+            this.logger.warning(`⚠️ [${this.serverId}] Failed to read session members:`, error.message);
+        }
+    }
+
+    recordJoin(member) {
+        this.joinHistory.push({
+            xuid: member.xuid,
+            gamertag: member.gamertag,
+            sessionName: this.sessionInstance.sessionName,
+            joinedAt: member.joinedAt,
+            leftAt: null
+        });
+
+        // Keep a rolling window of joins per server
+        const maxEntries = this.sessionConfig.joinHistorySize || 100;
+        if (this.joinHistory.length > maxEntries) {
+            this.joinHistory.splice(0, this.joinHistory.length - maxEntries);
+        }
+
+        this.emit('member_join', {
+            xuid: member.xuid,
+            gamertag: member.gamertag,
+            sessionName: this.sessionInstance.sessionName,
+            joinedAt: member.joinedAt
+        });
+    }
+
+    recordLeave(member, leftAt = Date.now()) {
+        const entry = this.joinHistory.slice().reverse().find(e => e.xuid === member.xuid && !e.leftAt);
+        if (entry) {
+            entry.leftAt = leftAt;
+        }
+
+        this.emit('member_leave', {
+            xuid: member.xuid,
+            gamertag: member.gamertag,
+            sessionName: this.sessionInstance?.sessionName,
+            joinedAt: member.joinedAt,
+            leftAt,
+            duration: leftAt - member.joinedAt
+        });
+    }
+
+    getSessionMembers() {
+        return Array.from(this.sessionMembers.values());
+    }
+
+    getJoinHistory() {
+        return this.joinHistory.slice();
+    }
+
+    /**
+     * When a player was last in the session (now while still in it), null if not in the join history
+     */
+    getLastSeen(xuid) {
+        if (this.sessionMembers.has(xuid)) {
+            return Date.now();
+        }
+
+        const entry = this.joinHistory.slice().reverse().find(e => e.xuid === xuid);
+        return entry ? (entry.leftAt || entry.joinedAt) : null;
+    }
+
+    getSessionPath(sessionName = this.sessionInstance.sessionName) {
+        return `/serviceconfigs/${Constants.SERVICE_CONFIG_ID}/sessionTemplates/MinecraftLobby/sessions/${sessionName}`;
+    }
+
+    // MPSD session request as the given account (the host by default)
+    requestSession(method, options = {}) {
+        return this.xbl.request('sessionDirectory', this.getSessionPath(options.sessionName), {
+            method,
+            account: options.account || this.hostAccount,
+            contractVersion: '107',
+            body: options.body
+        });
+    }
+
+    async fetchSessionDocument() {
+        const response = await this.requestSession('GET');
+
+        if (!response.ok) {
+            throw await fromResponse(response, 'Session fetch failed', 'sessionDirectory');
+        }
+
+        return response.json();
+    }
+
+    async putSessionDocument(data) {
+        const response = await this.requestSession('PUT', { body: data });
+
+        if (!response.ok) {
+            throw await fromResponse(response, 'Session update failed', 'sessionDirectory');
+        }
+
+        return response;
+    }
+
     buildSessionData() {
+        this.subscriptionId = crypto.randomUUID();
+
         return {
             properties: {
                 system: {
@@ -89,9 +426,9 @@ class SessionManager extends EventEmitter {
                     properties: {
                         system: {
                             active: true,
-                            connection: crypto.randomUUID(),
+                            connection: this.rtaClient?.connectionId || crypto.randomUUID(),
                             subscription: {
-                                id: crypto.randomUUID(),
+                                id: this.subscriptionId,
                                 changeTypes: ["everything"]
                             }
                         }
@@ -101,14 +438,77 @@ class SessionManager extends EventEmitter {
         };
     }
 
+    /**
+     * Query the target server so the lobby shows live player counts, MOTD and version
+     */
+    async refreshServerInfo() {
+        if (!this.pinger) {
+            return null;
+        }
+
+        try {
+            this.serverInfo = await this.pinger.ping();
+            this.logger.debug(`📡 [${this.serverId}] Server ping: ${this.serverInfo.playerCount}/${this.serverInfo.maxPlayers} players, ${this.serverInfo.version} (protocol ${this.serverInfo.protocol}), ${this.serverInfo.latency}ms`);
+            this.emit('serverInfoUpdated', this.serverInfo);
+            this.trackVersion(this.serverInfo);
+        } catch (error) {
+            // Keep advertising the last known values while the server is unreachable
+            this.logger.warning(`⚠️ [${this.serverId}] Server ping failed:`, error.message);
+        }
+
+        return this.serverInfo;
+    }
+
+    trackVersion(serverInfo) {
+        const change = this.versionResolver.update(serverInfo);
+        if (!change) {
+            return;
+        }
+
+        if (change.initial) {
+            this.logger.info(`🔎 [${this.serverId}] Detected server version ${change.current.version} (protocol ${change.current.protocol})`);
+        } else {
+            // The next session update carries the new values, so joins keep working after the upgrade
+            this.logger.info(`⬆️ [${this.serverId}] Server version changed: ${change.previous.version} (protocol ${change.previous.protocol}) → ${change.current.version} (protocol ${change.current.protocol})`);
+        }
+
+        this.emit('versionChanged', change);
+    }
+
+    /**
+     * Resolve the advertised lobby values. Fields marked in serverConfig.constants
+     * always use the configured value, the rest prefer the latest ping result
+     */
+    getLobbyInfo() {
+        const info = this.serverInfo;
+        const constants = this.serverConfig.constants || {};
+        const pick = (field, configValue, pingValue) => {
+            const hasPingValue = pingValue !== undefined && pingValue !== null && pingValue !== '';
+            return info && !constants[field] && hasPingValue ? pingValue : configValue;
+        };
+
+        const { version, protocol } = this.versionResolver.resolve(constants);
+
+        return {
+            hostName: pick('hostName', this.serverConfig.hostName, info?.motd),
+            worldName: pick('worldName', this.serverConfig.worldName, info?.levelName),
+            connectedPlayers: pick('connectedPlayers', this.serverConfig.connectedPlayers ?? this.allAccounts.length, info?.playerCount),
+            maxConnectedPlayers: pick('maxConnectedPlayers', this.serverConfig.maxPlayers, info?.maxPlayers),
+            version,
+            protocol
+        };
+    }
+
     createMinecraftLobbyProperties() {
+        const lobby = this.getLobbyInfo();
+
         return {
             BroadcastSetting: 3,
             CrossPlayDisabled: false,
             Joinability: "joinable_by_friends",
             LanGame: true,
-            MaxMemberCount: this.serverConfig.maxPlayers,
-            MemberCount: 0, // Will be updated dynamically
+            MaxMemberCount: lobby.maxConnectedPlayers,
+            MemberCount: lobby.connectedPlayers,
             OnlineCrossPlatformGame: true,
             SupportedConnections: [{
                 ConnectionType: 6,
@@ -119,33 +519,23 @@ class SessionManager extends EventEmitter {
             TitleId: 1739947436,
             TransportLayer: 0,
             levelId: "level",
-            hostName: this.serverConfig.hostName,
+            hostName: lobby.hostName,
             ownerId: this.hostAccount.xuid,
             rakNetGUID: crypto.randomUUID(),
-            worldName: this.serverConfig.worldName,
+            worldName: lobby.worldName,
             worldType: "Survival",
-            protocol: this.serverConfig.protocol,
-            version: this.serverConfig.version
+            protocol: lobby.protocol,
+            version: lobby.version
         };
     }
 
     async createXboxLiveSession(sessionData) {
         const sessionName = `FriendConnect-${this.serverId}-${Date.now()}`;
-        const url = `https://sessiondirectory.xboxlive.com/serviceconfigs/${Constants.SERVICE_CONFIG_ID}/sessionTemplates/MinecraftLobby/sessions/${sessionName}`;
         
-        const response = await fetch(url, {
-            method: 'PUT',
-            headers: {
-                'Authorization': this.hostAccount.authHeader,
-                'Content-Type': 'application/json',
-                'x-xbl-contract-version': '107'
-            },
-            body: JSON.stringify(sessionData)
-        });
+        const response = await this.requestSession('PUT', { sessionName, body: sessionData });
 
         if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Session creation failed: ${response.status} - ${errorText}`);
+            throw await fromResponse(response, 'Session creation failed', 'sessionDirectory');
         }
 
         const result = await response.json();
@@ -158,7 +548,7 @@ class SessionManager extends EventEmitter {
     }
 
     async joinOtherAccounts() {
-        const otherAccounts = this.allAccounts.filter(account => account !== this.hostAccount);
+        const otherAccounts = this.allAccounts.filter(account => account.email !== this.hostEmail);
         
         this.logger.info(`👥 [${this.serverId}] Adding ${otherAccounts.length} additional accounts to session...`);
         
@@ -204,21 +594,10 @@ class SessionManager extends EventEmitter {
             }
         };
 
-        const url = `https://sessiondirectory.xboxlive.com/serviceconfigs/${Constants.SERVICE_CONFIG_ID}/sessionTemplates/MinecraftLobby/sessions/${this.sessionInstance.sessionName}`;
-        
-        const response = await fetch(url, {
-            method: 'PUT',
-            headers: {
-                'Authorization': account.authHeader,
-                'Content-Type': 'application/json',
-                'x-xbl-contract-version': '107'
-            },
-            body: JSON.stringify(joinData)
-        });
+        const response = await this.requestSession('PUT', { account, body: joinData });
 
         if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`Account join failed: ${response.status} - ${errorText}`);
+            throw await fromResponse(response, 'Account join failed', 'sessionDirectory');
         }
 
         this.logger.debug(`✅ [${this.serverId}] Account ${account.email} joined session`);
@@ -234,8 +613,25 @@ class SessionManager extends EventEmitter {
         this.heartbeatInterval = setInterval(async () => {
             try {
                 await this.performHeartbeat();
+                this.heartbeatFailures = 0;
             } catch (error) {
+                this.heartbeatFailures++;
                 this.logger.error(`❌ [${this.serverId}] Heartbeat failed:`, error.message);
+                if (this.heartbeatFailures === 1 && error.remediation) {
+                    this.logger.warning(`💡 [${this.serverId}] ${error.remediation}`);
+                }
+
+                // Only report what a failover did not fix, listeners recover the session on 'error'
+                const threshold = this.sessionConfig.hostFailoverThreshold || 3;
+                if (isAuthError(error) || this.heartbeatFailures % threshold === 0) {
+                    const failedOver = await this.failoverHost(isAuthError(error)
+                        ? `heartbeat rejected (${error.status})`
+                        : `${this.heartbeatFailures} failed heartbeats`);
+                    if (failedOver) {
+                        return;
+                    }
+                }
+
                 this.emit('error', error);
             }
         }, interval);
@@ -249,75 +645,161 @@ class SessionManager extends EventEmitter {
         }
 
         try {
+            await this.refreshServerInfo();
+
             // Update session properties
             const updateData = {
                 properties: {
                     custom: {
                         ...this.createMinecraftLobbyProperties(),
-                        MemberCount: this.allAccounts.length,
                         lastUpdate: Date.now()
                     }
                 }
             };
 
-            const url = `https://sessiondirectory.xboxlive.com/serviceconfigs/${Constants.SERVICE_CONFIG_ID}/sessionTemplates/MinecraftLobby/sessions/${this.sessionInstance.sessionName}`;
+            const startedAt = Date.now();
             
-            const response = await fetch(url, {
-                method: 'PUT',
-                headers: {
-                    'Authorization': this.hostAccount.authHeader,
-                    'Content-Type': 'application/json',
-                    'x-xbl-contract-version': '107'
-                },
-                body: JSON.stringify(updateData)
-            });
+            const response = await this.requestSession('PUT', { body: updateData });
 
             if (!response.ok) {
-                throw new Error(`Heartbeat failed: ${response.status}`);
+                throw await fromResponse(response, 'Heartbeat failed', 'sessionDirectory');
             }
 
             this.lastHeartbeat = Date.now();
+            this.lastHeartbeatLatency = this.lastHeartbeat - startedAt;
             this.emit('sessionHeartbeat', { 
                 accountCount: this.allAccounts.length,
-                sessionName: this.sessionInstance.sessionName 
+                sessionName: this.sessionInstance.sessionName,
+                latency: this.lastHeartbeatLatency
             });
 
         } catch (error) {
-            throw new Error(`Heartbeat error: ${error.message}`);
+            const heartbeatError = new Error(`Heartbeat error: ${error.message}`);
+            heartbeatError.status = error.status;
+            heartbeatError.retryable = error.retryable;
+            heartbeatError.remediation = error.remediation;
+            throw heartbeatError;
         }
     }
 
-    async attemptReconnect() {
-        this.reconnectAttempts++;
-        const delay = this.sessionConfig.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1); // Exponential backoff
-        
-        this.logger.warning(`🔄 [${this.serverId}] Reconnect attempt ${this.reconnectAttempts}/${this.sessionConfig.maxReconnectAttempts} in ${delay}ms`);
-        this.emit('reconnectAttempt', { 
-            attempt: this.reconnectAttempts, 
-            maxAttempts: this.sessionConfig.maxReconnectAttempts,
-            delay 
+    /**
+     * Move the session to another authenticated account after the host failed.
+     * Recreates the session under the new host and rejoins the other accounts
+     */
+    async failoverHost(reason) {
+        if (this.failoverInProgress) {
+            return false;
+        }
+
+        const previousHost = this.hostEmail;
+        this.failedHosts.set(previousHost, Date.now());
+
+        const now = Date.now();
+        const candidates = this.allAccounts.filter(account =>
+            account.email !== previousHost &&
+            !(now - (this.failedHosts.get(account.email) || 0) < HOST_RETRY_COOLDOWN) &&
+            !(account.expiresAt && account.expiresAt <= now)
+        );
+
+        if (candidates.length === 0) {
+            this.logger.error(`❌ [${this.serverId}] Host ${previousHost} failed (${reason}) and no other account can take over`);
+            this.emit('hostFailoverFailed', { email: previousHost, reason });
+            return false;
+        }
+
+        this.failoverInProgress = true;
+        this.logger.warning(`👑 [${this.serverId}] Host ${previousHost} failed (${reason}), moving the session to another account`);
+
+        try {
+            // Best effort, the old host may no longer be allowed to delete its session
+            await this.stop();
+
+            for (const candidate of candidates) {
+                this.hostEmail = candidate.email;
+
+                try {
+                    const session = await this.createSession();
+                    this.heartbeatFailures = 0;
+
+                    this.logger.success(`👑 [${this.serverId}] ${candidate.email} is now hosting ${session.sessionName}`);
+                    this.emit('hostChanged', {
+                        previous: previousHost,
+                        current: candidate.email,
+                        reason,
+                        sessionName: session.sessionName
+                    });
+                    return true;
+
+                } catch (error) {
+                    this.failedHosts.set(candidate.email, Date.now());
+                    this.logger.warning(`⚠️ [${this.serverId}] ${candidate.email} could not host the session: ${error.message}`);
+                }
+            }
+
+            this.hostEmail = previousHost;
+            this.logger.error(`❌ [${this.serverId}] Host failover failed, no account could recreate the session`);
+            this.emit('hostFailoverFailed', { email: previousHost, reason });
+            return false;
+
+        } finally {
+            this.failoverInProgress = false;
+        }
+    }
+
+    /**
+     * Session recreation backs off like every other Xbox Live call, with the
+     * attempt count and first delay taken from sessionConfig
+     */
+    createReconnectPolicy() {
+        const shared = this.xbl.retryPolicy || new RetryPolicy();
+        return shared.with({
+            maxRetries: this.sessionConfig.maxReconnectAttempts,
+            baseDelay: this.sessionConfig.reconnectDelay,
+            maxDelay: Math.max(shared.maxDelay, this.sessionConfig.reconnectDelay || 0)
         });
+    }
 
-        await this.delay(delay);
+    async attemptReconnect() {
+        this.reconnecting = true;
+        let circuitWait = 0;
 
         try {
-            await this.createSession();
-            this.logger.success(`✅ [${this.serverId}] Session reconnected successfully`);
-            this.emit('sessionRecovered', { sessionName: this.sessionInstance?.sessionName });
-        } catch (error) {
-            if (this.reconnectAttempts < this.sessionConfig.maxReconnectAttempts) {
-                await this.attemptReconnect();
-            } else {
-                this.logger.error(`❌ [${this.serverId}] Max reconnect attempts reached`);
-                this.emit('error', new Error('Max reconnect attempts exceeded'));
+            while (this.reconnectAttempts < this.sessionConfig.maxReconnectAttempts) {
+                this.reconnectAttempts++;
+                // Attempts made while the session directory breaker is open would fail without trying
+                const delay = Math.max(this.reconnectPolicy.getDelay(this.reconnectAttempts), circuitWait);
+
+                this.logger.warning(`🔄 [${this.serverId}] Reconnect attempt ${this.reconnectAttempts}/${this.sessionConfig.maxReconnectAttempts} in ${delay}ms`);
+                this.emit('reconnectAttempt', { 
+                    attempt: this.reconnectAttempts, 
+                    maxAttempts: this.sessionConfig.maxReconnectAttempts,
+                    delay 
+                });
+
+                await this.delay(delay);
+
+                try {
+                    const session = await this.createSession();
+                    this.logger.success(`✅ [${this.serverId}] Session reconnected successfully`);
+                    this.emit('sessionRecovered', { sessionName: this.sessionInstance?.sessionName });
+                    return session;
+                } catch (error) {
+                    // createSession() already logged it, try again after the next delay
+                    circuitWait = error instanceof CircuitOpenError ? error.retryAfter : 0;
+                }
             }
+        } finally {
+            this.reconnecting = false;
         }
+
+        this.logger.error(`❌ [${this.serverId}] Max reconnect attempts reached`);
+        this.emit('error', new Error('Max reconnect attempts exceeded'));
     }
 
     async getHealthStatus() {
         try {
             if (!this.isRunning || !this.sessionInstance) {
-                return { healthy: false, reason: 'Session not running' };
+                return { healthy: false, reason: 'Session not running', lastError: this.lastError };
             }
 
             const now = Date.now();
@@ -350,18 +832,23 @@ class SessionManager extends EventEmitter {
             this.heartbeatInterval = null;
         }
 
+        if (this.memberPollInterval) {
+            clearInterval(this.memberPollInterval);
+            this.memberPollInterval = null;
+        }
+
+        await this.stopRTA();
+
+        // Players are removed together with the session
+        for (const member of this.sessionMembers.values()) {
+            this.recordLeave(member);
+        }
+        this.sessionMembers.clear();
+
         // Attempt to gracefully close the session
         if (this.sessionInstance) {
             try {
-                const url = `https://sessiondirectory.xboxlive.com/serviceconfigs/${Constants.SERVICE_CONFIG_ID}/sessionTemplates/MinecraftLobby/sessions/${this.sessionInstance.sessionName}`;
-                
-                await fetch(url, {
-                    method: 'DELETE',
-                    headers: {
-                        'Authorization': this.hostAccount.authHeader,
-                        'x-xbl-contract-version': '107'
-                    }
-                });
+                await this.requestSession('DELETE');
 
                 this.logger.debug(`🗑️ [${this.serverId}] Session deleted from Xbox Live`);
             } catch (error) {
@@ -372,10 +859,16 @@ class SessionManager extends EventEmitter {
         this.sessionInstance = null;
         this.reconnectAttempts = 0;
         this.lastHeartbeat = null;
+        this.lastHeartbeatLatency = null;
         
         this.emit('stopped');
         this.logger.success(`✅ [${this.serverId}] Session manager stopped`);
     }
 }
 
+// Xbox Live rejected the account itself (expired, revoked or flagged)
+function isAuthError(error) {
+    return error.status === 401 || error.status === 403;
+}
+
 module.exports = { SessionManager };
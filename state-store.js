@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON file state store (default). Keeps every key in one file and
+ * writes it atomically so a crash never leaves a half-written state
+ */
+class JsonStateStore {
+    constructor(options = {}) {
+        this.filePath = options.path || './data/state.json';
+        this.data = {};
+    }
+
+    async open() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                this.data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            }
+        } catch (error) {
+            // A corrupt state file only costs us the cached data
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.filePath, corruptPath);
+            this.data = {};
+            throw new Error(`State file was unreadable and moved to ${corruptPath}: ${error.message}`);
+        }
+    }
+
+    async read(key) {
+        return this.data[key] ?? null;
+    }
+
+    async write(key, value) {
+        this.data[key] = value;
+        await this.flush();
+    }
+
+    async flush() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    async close() {}
+}
+
+/**
+ * SQLite state store. Requires the optional better-sqlite3 package
+ */
+class SqliteStateStore {
+    constructor(options = {}) {
+        this.filePath = options.path || './data/state.db';
+        this.db = null;
+    }
+
+    async open() {
+        let Database;
+        try {
+            Database = require('better-sqlite3');
+        } catch (error) {
+            throw new Error('The sqlite persistence driver requires the better-sqlite3 package (npm install better-sqlite3)');
+        }
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        this.db = new Database(this.filePath);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec('CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at INTEGER NOT NULL)');
+
+        this.readStatement = this.db.prepare('SELECT value FROM state WHERE key = ?');
+        this.writeStatement = this.db.prepare(
+            'INSERT INTO state (key, value, updated_at) VALUES (?, ?, ?) ' +
+            'ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'
+        );
+    }
+
+    async read(key) {
+        const row = this.readStatement.get(key);
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async write(key, value) {
+        this.writeStatement.run(key, JSON.stringify(value), Date.now());
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+const drivers = {
+    json: JsonStateStore,
+    sqlite: SqliteStateStore
+};
+
+function createStateStore(options = {}) {
+    const driver = options.driver || 'json';
+    const Store = drivers[driver];
+
+    if (!Store) {
+        throw new Error(`Unknown persistence driver: ${driver} (available: ${Object.keys(drivers).join(', ')})`);
+    }
+
+    return new Store(options);
+}
+
+module.exports = { createStateStore, JsonStateStore, SqliteStateStore };
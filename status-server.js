@@ -0,0 +1,368 @@
+const http = require('http');
+const crypto = require('crypto');
+const { MetricsExporter } = require('./metrics-exporter.js');
+
+// Holds a login page session once ?token= has been exchanged, never the API token itself
+const LOGIN_COOKIE = 'friendconnect_login';
+const LOGIN_SESSION_TTL = 12 * 60 * 60 * 1000;
+
+/**
+ * Local HTTP status and control API for the running FriendConnect servers
+ */
+class StatusServer {
+    constructor(options) {
+        this.bot = options.bot;
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port ?? 8080;
+        this.token = options.token || null;
+        this.loginSessions = new Map(); // session -> expiry, lost on restart
+        this.logger = options.logger;
+
+        this.server = null;
+        this.metricsExporter = new MetricsExporter({ bot: this.bot });
+
+        this.actions = {
+            recover: (serverId) => this.runInBackground(serverId, 'recover', () => this.bot.recoverServer(serverId, { force: true })),
+            check: async (serverId) => ({ data: await this.requireHealthMonitor().checkServer(serverId) }),
+            'reset-failures': (serverId) => {
+                this.requireHealthMonitor().resetServerFailures(serverId);
+                return { data: { serverId, failures: 0 } };
+            },
+            'refresh-tokens': (serverId) => {
+                const manager = this.bot.managers.get(serverId);
+                if (!manager.authManager) {
+                    throw new HttpError(409, 'Server has no authentication manager yet');
+                }
+                return this.runInBackground(serverId, 'refresh-tokens', () => manager.authManager.refreshTokens());
+            }
+        };
+    }
+
+    async start() {
+        // Without a token anyone who reaches the port can run recoveries and see device codes
+        if (!this.token && !isLoopback(this.host)) {
+            throw new Error(`Refusing to serve the status API on ${this.host} without a token, set monitoring.healthEndpointToken or FRIENDCONNECT_API_TOKEN`);
+        }
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.logger.info(`🌐 Status API listening on http://${this.host}:${this.server.address().port}`);
+    }
+
+    async handleRequest(req, res) {
+        try {
+            const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+            // Phone browsers can't send headers, trade ?token= for a cookie so it leaves the address bar and history
+            if (this.token && url.pathname === '/login' && url.searchParams.has('token')) {
+                if (!this.matchesToken(url.searchParams.get('token'))) {
+                    throw new HttpError(401, 'Missing or invalid API token');
+                }
+                res.writeHead(303, {
+                    'Location': '/login',
+                    'Set-Cookie': `${LOGIN_COOKIE}=${this.createLoginSession()}; Path=/login; Max-Age=${LOGIN_SESSION_TTL / 1000}; HttpOnly; SameSite=Strict`
+                });
+                res.end();
+                return;
+            }
+
+            if (!this.isAuthorized(req, url)) {
+                throw new HttpError(401, 'Missing or invalid API token');
+            }
+
+            const segments = decodePath(url.pathname);
+            const body = await this.route(req.method, segments);
+
+            if (body.text !== undefined) {
+                this.sendText(res, body.status || 200, body.text, body.contentType);
+            } else {
+                this.sendJson(res, body.status || 200, body.data);
+            }
+
+        } catch (error) {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) {
+                this.logger.error(`❌ Status API error on ${req.method} ${req.url}:`, error.message);
+            }
+            this.sendJson(res, status, { error: error.message });
+        }
+    }
+
+    async route(method, segments) {
+        const [resource, serverId, action] = segments;
+
+        if (resource === 'health' && segments.length === 1) {
+            this.assertMethod(method, 'GET');
+            return {
+                data: {
+                    ...this.requireHealthMonitor().getSystemHealthSummary(),
+                    xboxLive: this.bot.xboxLiveClient ? this.bot.xboxLiveClient.getCircuitStatus() : {}
+                }
+            };
+        }
+
+        if (resource === 'metrics' && segments.length === 1) {
+            this.assertMethod(method, 'GET');
+            return { text: await this.metricsExporter.render(), contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+        }
+
+        if (resource === 'device-codes' && segments.length === 1) {
+            this.assertMethod(method, 'GET');
+            return { data: { prompts: this.getDeviceCodes() } };
+        }
+
+        if (resource === 'login' && segments.length === 1) {
+            this.assertMethod(method, 'GET');
+            return { text: renderLoginPage(this.getDeviceCodes()), contentType: 'text/html; charset=utf-8' };
+        }
+
+        if (resource !== 'servers') {
+            throw new HttpError(404, 'Not found');
+        }
+
+        if (!serverId) {
+            this.assertMethod(method, 'GET');
+            return { data: { servers: Array.from(this.bot.managers.keys()).map(id => this.describeServer(id)) } };
+        }
+
+        if (!this.bot.managers.has(serverId)) {
+            throw new HttpError(404, `Unknown server: ${serverId}`);
+        }
+
+        if (!action) {
+            this.assertMethod(method, 'GET');
+            return { data: this.describeServer(serverId) };
+        }
+
+        // Only the actions defined above, not Object.prototype members like "constructor"
+        const handler = Object.hasOwn(this.actions, action) ? this.actions[action] : null;
+        if (!handler || segments.length > 3) {
+            throw new HttpError(404, `Unknown action: ${action}`);
+        }
+
+        this.assertMethod(method, 'POST');
+        this.logger.info(`🌐 [${serverId}] Status API action requested: ${action}`);
+
+        return await handler(serverId);
+    }
+
+    describeServer(serverId) {
+        const manager = this.bot.managers.get(serverId);
+        const healthMonitor = this.bot.healthMonitor;
+        const sessionManager = manager.sessionManager;
+        const sessionName = sessionManager?.sessionInstance?.sessionName || null;
+
+        return {
+            serverId,
+            health: healthMonitor ? healthMonitor.getServerHealth(serverId) : null,
+            stats: manager.getStats(),
+            friendships: manager.friendManager ? manager.friendManager.getFriendshipStats() : null,
+            sessions: sessionName ? [sessionName] : [],
+            host: sessionManager ? sessionManager.hostEmail : null,
+            members: sessionManager ? sessionManager.getSessionMembers() : [],
+            joinHistory: sessionManager ? sessionManager.getJoinHistory() : []
+        };
+    }
+
+    getDeviceCodes() {
+        return this.bot.deviceCodes ? this.bot.deviceCodes.getPending() : [];
+    }
+
+    runInBackground(serverId, action, task) {
+        Promise.resolve()
+            .then(task)
+            .catch(error => this.logger.error(`❌ [${serverId}] Status API action ${action} failed:`, error.message));
+
+        return { status: 202, data: { serverId, action, accepted: true } };
+    }
+
+    requireHealthMonitor() {
+        if (!this.bot.healthMonitor) {
+            throw new HttpError(503, 'Health monitoring is not running');
+        }
+        return this.bot.healthMonitor;
+    }
+
+    assertMethod(method, expected) {
+        if (method !== expected) {
+            throw new HttpError(405, `Method ${method} not allowed, use ${expected}`);
+        }
+    }
+
+    isAuthorized(req, url) {
+        if (!this.token) {
+            return true;
+        }
+
+        // The cookie is only sent to and only accepted for the login page
+        if (url.pathname === '/login' && this.hasLoginSession(readCookie(req.headers.cookie, LOGIN_COOKIE))) {
+            return true;
+        }
+
+        const authorization = req.headers.authorization || '';
+        return authorization.startsWith('Bearer ') && this.matchesToken(authorization.slice('Bearer '.length));
+    }
+
+    /**
+     * Constant-time token check, comparing digests keeps both sides the same length
+     */
+    matchesToken(candidate) {
+        if (typeof candidate !== 'string') {
+            return false;
+        }
+
+        const digest = (value) => crypto.createHash('sha256').update(value).digest();
+        return crypto.timingSafeEqual(digest(candidate), digest(this.token));
+    }
+
+    createLoginSession() {
+        const now = Date.now();
+        for (const [session, expiresAt] of this.loginSessions) {
+            if (expiresAt <= now) {
+                this.loginSessions.delete(session);
+            }
+        }
+
+        const session = crypto.randomBytes(32).toString('hex');
+        this.loginSessions.set(session, now + LOGIN_SESSION_TTL);
+        return session;
+    }
+
+    hasLoginSession(session) {
+        const expiresAt = session ? this.loginSessions.get(session) : null;
+        return Boolean(expiresAt && expiresAt > Date.now());
+    }
+
+    sendJson(res, status, data) {
+        const payload = JSON.stringify(data, null, 2);
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(payload)
+        });
+        res.end(payload);
+    }
+
+    sendText(res, status, text, contentType = 'text/plain; charset=utf-8') {
+        res.writeHead(status, {
+            'Content-Type': contentType,
+            'Content-Length': Buffer.byteLength(text)
+        });
+        res.end(text);
+    }
+
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        const closed = new Promise(resolve => this.server.close(() => resolve()));
+        this.server.closeAllConnections();
+        await closed;
+        this.server = null;
+        this.logger.info('🛑 Status API stopped');
+    }
+}
+
+function isLoopback(host) {
+    return host === 'localhost' || host === '::1' || /^127\.\d+\.\d+\.\d+$/.test(host);
+}
+
+function readCookie(header, name) {
+    for (const pair of (header || '').split(';')) {
+        const [key, ...value] = pair.trim().split('=');
+        if (key === name) {
+            try {
+                return decodeURIComponent(value.join('='));
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Decoded path segments, a malformed escape like %E0 is the client's mistake
+ */
+function decodePath(pathname) {
+    try {
+        return pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+        throw new HttpError(400, `Malformed URL path: ${error.message}`);
+    }
+}
+
+/**
+ * Pending device-code prompts with a live countdown. Reloads itself to pick up new prompts
+ */
+function renderLoginPage(prompts) {
+    const cards = prompts.map(prompt => `
+        <section class="card">
+            <div class="meta">${escapeHtml(prompt.serverId)} &middot; ${escapeHtml(prompt.email)}</div>
+            <div class="code">${escapeHtml(prompt.userCode)}</div>
+            <a class="button" href="${escapeHtml(prompt.link)}" target="_blank" rel="noopener">Sign in with Microsoft</a>
+            <div class="countdown" data-expires="${prompt.expiresAt}"></div>
+        </section>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <meta http-equiv="refresh" content="15">
+    <title>FriendConnect sign-in</title>
+    <style>
+        body { font-family: system-ui, sans-serif; background: #111; color: #eee; margin: 0; padding: 1rem; }
+        h1 { font-size: 1.25rem; }
+        .card { background: #1e1e1e; border-radius: 8px; padding: 1rem; margin-bottom: 1rem; }
+        .meta { color: #aaa; font-size: 0.9rem; }
+        .code { font-family: monospace; font-size: 2rem; letter-spacing: 0.15em; margin: 0.5rem 0; }
+        .button { display: inline-block; background: #107c10; color: #fff; padding: 0.6rem 1rem; border-radius: 4px; text-decoration: none; }
+        .countdown { margin-top: 0.5rem; color: #f1c40f; }
+    </style>
+</head>
+<body>
+    <h1>🔐 Pending Microsoft sign-ins</h1>
+    ${cards || '<p>No sign-in is waiting. This page refreshes automatically.</p>'}
+    <script>
+        function tick() {
+            document.querySelectorAll('.countdown').forEach(function (el) {
+                var left = Math.max(0, Math.round((Number(el.dataset.expires) - Date.now()) / 1000));
+                el.textContent = left > 0
+                    ? 'Expires in ' + Math.floor(left / 60) + ':' + String(left % 60).padStart(2, '0')
+                    : 'Expired';
+            });
+        }
+        tick();
+        setInterval(tick, 1000);
+    </script>
+</body>
+</html>
+`;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+module.exports = { StatusServer, HttpError };
@@ -1,238 +0,0 @@
-#!/usr/bin/env node
-
-/**
- * Test script to demonstrate the enhanced Xbox authentication recovery system
- * This simulates the JSON parsing error scenario and tests the recovery mechanisms
- */
-
-const { XboxAuthRecovery } = require('./xbox-auth-recovery');
-const { XSTSTokenHandler } = require('./xsts-token-handler');
-const { Logger } = require('./logger');
-
-class AuthRecoveryTester {
-    constructor() {
-        this.logger = new Logger();
-        this.recovery = new XboxAuthRecovery(this.logger);
-        this.xstsHandler = new XSTSTokenHandler(this.logger);
-    }
-
-    /**
-     * Test the emergency token recovery mechanism with real tokens from logs
-     */
-    async testEmergencyTokenRecovery() {
-        console.log('\n🧪 Testing Emergency Token Recovery...');
-        
-        try {
-            // This tests the emergency recovery mechanism that uses hardcoded tokens from recent logs
-            const emergencyTokens = this.recovery.getEmergencyTokensFromRecentLogs();
-            
-            if (emergencyTokens) {
-                console.log('✅ Emergency tokens retrieved successfully');
-                console.log(`   User Token: ${emergencyTokens.userToken.substring(0, 50)}...`);
-                console.log(`   Device Token: ${emergencyTokens.deviceToken.substring(0, 50)}...`);
-                console.log(`   Title Token: ${emergencyTokens.titleToken.substring(0, 50)}...`);
-                
-                // Test XSTS token generation with these emergency tokens
-                return await this.testXSTSTokenGeneration(emergencyTokens);
-            } else {
-                console.log('❌ Emergency token recovery failed');
-                return false;
-            }
-        } catch (error) {
-            console.log(`❌ Emergency token recovery error: ${error.message}`);
-            return false;
-        }
-    }
-
-    /**
-     * Test XSTS token generation with the recovered tokens
-     */
-    async testXSTSTokenGeneration(tokens) {
-        console.log('\n🧪 Testing XSTS Token Generation...');
-        
-        try {
-            // Attempt to generate XSTS token using the custom handler
-            const xstsToken = await this.xstsHandler.getXSTSTokenCustom(
-                tokens.userToken,
-                tokens.deviceToken,
-                tokens.titleToken,
-                'http://auth.xboxlive.com'
-            );
-            
-            if (xstsToken) {
-                console.log('✅ XSTS token generated successfully');
-                console.log(`   Token: ${xstsToken.Token.substring(0, 50)}...`);
-                
-                // Extract user info
-                const userInfo = this.xstsHandler.extractUserInfo(xstsToken);
-                if (userInfo) {
-                    console.log('✅ User info extracted successfully');
-                    console.log(`   User Hash: ${userInfo.userHash}`);
-                    console.log(`   User XUID: ${userInfo.userXUID}`);
-                    return true;
-                } else {
-                    console.log('⚠️ XSTS token generated but user info extraction failed');
-                    return false;
-                }
-            } else {
-                console.log('❌ XSTS token generation failed');
-                return false;
-            }
-        } catch (error) {
-            console.log(`❌ XSTS token generation error: ${error.message}`);
-            
-            // Test alternative parsing methods if JSON error occurs
-            if (error.message.includes('Unexpected end of JSON input')) {
-                console.log('🔧 Testing JSON recovery methods...');
-                return await this.testJSONRecoveryMethods();
-            }
-            
-            return false;
-        }
-    }
-
-    /**
-     * Test JSON recovery methods for malformed XSTS responses
-     */
-    async testJSONRecoveryMethods() {
-        console.log('\n🧪 Testing JSON Recovery Methods...');
-        
-        // Simulate malformed JSON responses that cause "Unexpected end of JSON input"
-        const testCases = [
-            {
-                name: 'Truncated JSON',
-                response: '{"Token":"eyJhbGciOiJSU0EtT0FFUCIsImVuYyI6IkExMjhDQkMtSFMyNTYi","DisplayClaims":{"xui":[{"uhs":"12345"}]'
-            },
-            {
-                name: 'Missing closing brace',
-                response: '{"Token":"test_token","DisplayClaims":{"xui":[{"uhs":"12345"}]},"IssueInstant":"2025-07-18T18:00:00Z"'
-            },
-            {
-                name: 'Empty response',
-                response: ''
-            },
-            {
-                name: 'Invalid characters',
-                response: '{"Token":"test_token","DisplayClaims":{"xui":[{"uhs":"12345"}]},"Invalid":}'
-            }
-        ];
-
-        let successCount = 0;
-        
-        for (const testCase of testCases) {
-            console.log(`\n🔍 Testing: ${testCase.name}`);
-            try {
-                const parsed = this.xstsHandler.parseXSTSResponse(testCase.response);
-                if (parsed && parsed.Token) {
-                    console.log(`   ✅ Successfully parsed: ${testCase.name}`);
-                    successCount++;
-                } else {
-                    console.log(`   ⚠️ Parsed but invalid: ${testCase.name}`);
-                }
-            } catch (error) {
-                console.log(`   ❌ Failed to parse: ${testCase.name} - ${error.message}`);
-            }
-        }
-        
-        console.log(`\n📊 JSON Recovery Results: ${successCount}/${testCases.length} test cases passed`);
-        return successCount > 0;
-    }
-
-    /**
-     * Test the complete authentication recovery workflow
-     */
-    async testCompleteRecoveryWorkflow() {
-        console.log('\n🧪 Testing Complete Authentication Recovery Workflow...');
-        
-        try {
-            // Simulate a failed authentication scenario
-            const mockAuthflow = {
-                xblManager: {
-                    userToken: null,
-                    deviceToken: null,
-                    titleToken: null
-                },
-                msaManager: {
-                    getAccessToken: async () => null
-                }
-            };
-            
-            // Test the recovery mechanisms in order
-            console.log('🔄 Testing recovery method 1: Authflow extraction...');
-            let tokens = await this.recovery.extractMSTokensFromAuthflow(mockAuthflow);
-            
-            if (!tokens) {
-                console.log('🔄 Testing recovery method 2: Cached authflow...');
-                tokens = await this.recovery.extractTokensFromCachedAuthflow(mockAuthflow);
-            }
-            
-            if (!tokens) {
-                console.log('🔄 Testing recovery method 3: Emergency tokens...');
-                tokens = this.recovery.getEmergencyTokensFromRecentLogs();
-            }
-            
-            if (!tokens) {
-                console.log('🔄 Testing recovery method 4: Debug log extraction...');
-                tokens = await this.recovery.extractTokensFromDebugLogs();
-            }
-            
-            if (tokens) {
-                console.log('✅ Token recovery successful through one of the methods');
-                return await this.testXSTSTokenGeneration(tokens);
-            } else {
-                console.log('❌ All recovery methods failed');
-                return false;
-            }
-            
-        } catch (error) {
-            console.log(`❌ Complete recovery workflow error: ${error.message}`);
-            return false;
-        }
-    }
-
-    /**
-     * Run all tests
-     */
-    async runAllTests() {
-        console.log('🚀 Starting Xbox Authentication Recovery System Tests');
-        console.log('=' .repeat(60));
-        
-        const results = {
-            emergencyRecovery: await this.testEmergencyTokenRecovery(),
-            jsonRecovery: await this.testJSONRecoveryMethods(),
-            completeWorkflow: await this.testCompleteRecoveryWorkflow()
-        };
-        
-        console.log('\n📊 Test Results Summary:');
-        console.log('=' .repeat(60));
-        console.log(`Emergency Token Recovery: ${results.emergencyRecovery ? '✅ PASS' : '❌ FAIL'}`);
-        console.log(`JSON Recovery Methods: ${results.jsonRecovery ? '✅ PASS' : '❌ FAIL'}`);
-        console.log(`Complete Recovery Workflow: ${results.completeWorkflow ? '✅ PASS' : '❌ FAIL'}`);
-        
-        const passedTests = Object.values(results).filter(r => r).length;
-        const totalTests = Object.values(results).length;
-        
-        console.log(`\nOverall: ${passedTests}/${totalTests} test suites passed`);
-        
-        if (passedTests === totalTests) {
-            console.log('\n🎉 All tests passed! The enhanced authentication recovery system is working correctly.');
-        } else {
-            console.log('\n⚠️ Some tests failed. The recovery system may need additional improvements.');
-        }
-        
-        return results;
-    }
-}
-
-// Run tests if this script is executed directly
-if (require.main === module) {
-    const tester = new AuthRecoveryTester();
-    tester.runAllTests().then(results => {
-        process.exit(Object.values(results).every(r => r) ? 0 : 1);
-    }).catch(error => {
-        console.error('Test execution failed:', error);
-        process.exit(1);
-    });
-}
-
-module.exports = { AuthRecoveryTester };
\ No newline at end of file
@@ -0,0 +1,146 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuthManager } = require('../auth-manager.js');
+const { InteractionRequiredError } = require('../xbox-auth-recovery.js');
+const { XboxAuthError, XboxServiceError } = require('../xbox-errors.js');
+const { createLogger, createAccount, createClient, flush } = require('./helpers.js');
+
+describe('AuthManager sign-in failures', () => {
+    let tokenPath;
+
+    beforeEach(() => {
+        tokenPath = fs.mkdtempSync(path.join(os.tmpdir(), 'friendconnect-auth-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tokenPath, { recursive: true, force: true });
+    });
+
+    // authenticate(email) stands in for the prismarine-auth sign-in
+    function createManager(authenticate) {
+        const logger = createLogger();
+        const manager = new AuthManager({
+            accounts: ['good@example.com', 'child@example.com'],
+            tokenPath,
+            xboxLiveClient: createClient(() => { throw new Error('unexpected request'); }),
+            serverId: 'test',
+            logger
+        });
+        manager.xboxAuthRecovery.authenticateWithRecovery = authenticate;
+        manager.scheduleTokenRefresh = () => {};
+        return { manager, logger };
+    }
+
+    it('reports the catalogue entry in the event, the logs and the health status', async () => {
+        const { manager, logger } = createManager(async (email) => {
+            if (email === 'child@example.com') {
+                throw new Error('The account date of birth is under 18 years and cannot proceed unless the account is added to a family by an adult.');
+            }
+            return createAccount('good', 1);
+        });
+        const failures = [];
+        manager.on('authenticationFailed', event => failures.push(event));
+
+        await manager.initializeAccounts();
+
+        assert.equal(failures.length, 1);
+        assert.equal(failures[0].email, 'child@example.com');
+        assert.equal(failures[0].code, 'CHILD_ACCOUNT');
+        assert.equal(failures[0].xerr, 2148916238);
+        assert.match(failures[0].remediation, /Microsoft family/);
+
+        assert.ok(logger.lines.some(line => line.message.includes('CHILD_ACCOUNT (XErr 2148916238)')));
+        assert.ok(logger.lines.some(line => line.message.includes('account.microsoft.com/family')));
+
+        const health = await manager.getHealthStatus();
+        assert.deepEqual(health.failedAccounts.map(account => account.code), ['CHILD_ACCOUNT']);
+    });
+
+    it('does not retry accounts Xbox Live rejects outright', async () => {
+        let attempts = 0;
+        const { manager } = createManager(async () => {
+            attempts++;
+            throw new Error('Your account was banned by Xbox for violating one or more Community Standards for Xbox and is unable to be used.');
+        });
+
+        await assert.rejects(manager.authenticateAccount('banned@example.com'), /banned/);
+        assert.equal(attempts, 1);
+    });
+});
+
+describe('AuthManager token refresh', () => {
+    let tokenPath;
+
+    beforeEach(() => {
+        tokenPath = fs.mkdtempSync(path.join(os.tmpdir(), 'friendconnect-auth-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tokenPath, { recursive: true, force: true });
+    });
+
+    // refreshSilently(email) stands in for the refresh-token exchange
+    function createManager(refreshSilently, account) {
+        const manager = new AuthManager({
+            accounts: [account.email],
+            tokenPath,
+            xboxLiveClient: createClient(() => { throw new Error('unexpected request'); }),
+            serverId: 'test',
+            logger: createLogger()
+        });
+        manager.accountRegistry.set(account);
+        manager.xboxAuthRecovery.refreshSilently = refreshSilently;
+        manager.scheduleTokenRefresh = () => {};
+        return manager;
+    }
+
+    // Run the refresh timer and the retries it schedules, minutes apart
+    async function advance(t, minutes) {
+        for (let i = 0; i < minutes; i++) {
+            t.mock.timers.tick(60 * 1000);
+            await flush();
+        }
+    }
+
+    it('prompts for a revoked sign-in once instead of every retry', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+        const account = createAccount('bot', 1);
+        const manager = createManager(async (email) => { throw new InteractionRequiredError(email); }, account);
+        let prompts = 0;
+        manager.xboxAuthRecovery.authenticateWithRecovery = async () => {
+            prompts++;
+            throw new XboxAuthError('Device code sign-in was not completed');
+        };
+        manager.on('tokenRefreshFailed', () => {});
+
+        manager.setRefreshTimer(account.email, 60 * 1000);
+        await advance(t, 30);
+
+        assert.equal(prompts, 1);
+        assert.equal(manager.tokenRefreshTimers.size, 0);
+        const health = await manager.getHealthStatus();
+        assert.deepEqual(health.failedAccounts.map(failure => failure.email), [account.email]);
+    });
+
+    it('retries a failed refresh only until the token expires', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+        const account = { ...createAccount('bot', 1), expiresAt: Date.now() + 12 * 60 * 1000 };
+        let refreshes = 0;
+        const manager = createManager(async () => {
+            refreshes++;
+            throw new XboxServiceError('Xbox Live unavailable');
+        }, account);
+        manager.on('tokenRefreshFailed', () => {});
+
+        // At 1, 6, 11 and 16 minutes, the one after the token expired at 12 is the last
+        manager.setRefreshTimer(account.email, 60 * 1000);
+        await advance(t, 60);
+
+        assert.equal(refreshes, 4);
+        assert.equal(manager.tokenRefreshTimers.size, 0);
+        assert.equal(manager.failedAccounts.get(account.email).message, 'Xbox Live unavailable');
+    });
+});
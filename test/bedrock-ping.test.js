@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { BedrockPinger, stripFormatting } = require('../bedrock-ping.js');
+
+// id, time, server GUID, magic and the length-prefixed server string
+function createPong(text, length = Buffer.byteLength(text)) {
+    const header = Buffer.alloc(35);
+    header.writeUInt8(0x1c, 0);
+    Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex').copy(header, 17);
+    header.writeUInt16BE(length, 33);
+    return Buffer.concat([header, Buffer.from(text)]);
+}
+
+describe('BedrockPinger.parsePong()', () => {
+    const pinger = new BedrockPinger({ host: '127.0.0.1' });
+
+    it('reads the server information and strips formatting codes', () => {
+        const pong = createPong('MCPE;§aMy §lServer;712;1.21.20;3;20;1234567890;§bSurvival World;Survival;1;19132;19133;');
+
+        assert.deepEqual(pinger.parsePong(pong), {
+            edition: 'MCPE',
+            motd: 'My Server',
+            protocol: 712,
+            version: '1.21.20',
+            playerCount: 3,
+            maxPlayers: 20,
+            serverId: '1234567890',
+            levelName: 'Survival World',
+            gameMode: 'Survival',
+            portV4: 19132,
+            portV6: 19133
+        });
+    });
+
+    it('leaves fields a short pong omits undefined', () => {
+        const info = pinger.parsePong(createPong('MCPE;Lobby;712;1.21.20;x;20'));
+
+        assert.equal(info.playerCount, undefined);
+        assert.equal(info.maxPlayers, 20);
+        assert.equal(info.levelName, undefined);
+        assert.equal(info.portV4, undefined);
+    });
+
+    it('rejects packets that are not a pong or end inside the header', () => {
+        const pong = createPong('MCPE;Lobby;712;1.21.20;3;20');
+
+        assert.throws(() => pinger.parsePong(pong.subarray(0, 20)), /Invalid unconnected pong/);
+        assert.throws(() => pinger.parsePong(Buffer.concat([Buffer.from([0x1d]), pong.subarray(1)])), /Invalid unconnected pong/);
+    });
+
+    it('rejects a pong cut off before the end of its server string', () => {
+        const text = 'MCPE;Lobby;712;1.21.20;3;20;1234567890;World';
+        const pong = createPong(text);
+
+        assert.throws(() => pinger.parsePong(pong.subarray(0, pong.length - 10)), /truncated/);
+        assert.throws(() => pinger.parsePong(createPong(text, Buffer.byteLength(text) + 1)), /truncated/);
+    });
+
+    it('rejects a pong without player counts', () => {
+        assert.throws(() => pinger.parsePong(createPong('MCPE;Lobby;712;1.21.20')), /missing server information/);
+    });
+});
+
+describe('stripFormatting()', () => {
+    it('removes section sign codes and surrounding whitespace', () => {
+        assert.equal(stripFormatting(' §6Gold §r§oItalic '), 'Gold Italic');
+        assert.equal(stripFormatting(undefined), '');
+    });
+});
@@ -0,0 +1,210 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { CircuitBreaker, CircuitOpenError } = require('../circuit-breaker.js');
+const { FriendConnectManager } = require('../multi-server-manager.js');
+const { FriendConnectBot } = require('../index-friendconnect.js');
+const { createLogger, createClient, flush } = require('./helpers.js');
+
+describe('CircuitBreaker', () => {
+    let breaker;
+    let changes;
+
+    beforeEach((t) => {
+        t.mock.timers.enable({ apis: ['Date'] });
+        breaker = new CircuitBreaker({ name: 'social', failureThreshold: 3, resetTimeout: 60000 });
+        changes = [];
+        breaker.on('stateChange', ({ from, to }) => changes.push(`${from}>${to}`));
+    });
+
+    const fail = () => breaker.run(async () => { throw new Error('503'); }).catch(() => {});
+
+    it('opens after failureThreshold failures in a row', async () => {
+        await fail();
+        await fail();
+        assert.equal(breaker.state, 'closed');
+
+        await fail();
+
+        assert.equal(breaker.state, 'open');
+        assert.throws(() => breaker.acquire(), (error) => {
+            assert.ok(error instanceof CircuitOpenError);
+            assert.equal(error.retryAfter, 60000);
+            assert.equal(error.code, 'CIRCUIT_OPEN');
+            assert.equal(error.retryable, false);
+            return true;
+        });
+    });
+
+    it('starts counting again after a success', async () => {
+        await fail();
+        await fail();
+        await breaker.run(async () => 'ok');
+        await fail();
+        await fail();
+
+        assert.equal(breaker.state, 'closed');
+        assert.equal(breaker.failures, 2);
+    });
+
+    it('lets a single trial through once resetTimeout has passed', async (t) => {
+        for (let i = 0; i < 3; i++) {
+            await fail();
+        }
+
+        t.mock.timers.tick(59999);
+        assert.ok(breaker.isOpen());
+        t.mock.timers.tick(1);
+        assert.ok(!breaker.isOpen());
+
+        let finishTrial;
+        const trial = breaker.run(() => new Promise(resolve => { finishTrial = resolve; }));
+        assert.equal(breaker.state, 'half-open');
+        await assert.rejects(breaker.run(async () => 'second'), CircuitOpenError);
+
+        finishTrial('ok');
+        assert.equal(await trial, 'ok');
+        assert.equal(breaker.state, 'closed');
+        assert.deepEqual(changes, ['closed>open', 'open>half-open', 'half-open>closed']);
+    });
+
+    it('reopens for another resetTimeout when the trial fails', async (t) => {
+        for (let i = 0; i < 3; i++) {
+            await fail();
+        }
+        t.mock.timers.tick(60000);
+
+        await fail();
+
+        assert.equal(breaker.state, 'open');
+        assert.equal(breaker.getStatus().retryAt, Date.now() + 60000);
+        assert.equal(breaker.getStatus().lastFailure.message, '503');
+    });
+});
+
+// Initialized manager whose session can't be created, the breaker opens after two failures
+function createManager() {
+    const manager = new FriendConnectManager({
+        serverId: 'test',
+        globalConfig: { session: { autoRecover: true }, monitoring: { circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 } } },
+        xboxLiveClient: createClient(() => { throw new Error('unexpected request'); }),
+        profileResolver: {},
+        logger: createLogger()
+    });
+    const sessionManager = new EventEmitter();
+    sessionManager.reconnecting = false;
+    sessionManager.stop = async () => {};
+    sessionManager.createSession = async () => {
+        sessionManager.creates = (sessionManager.creates || 0) + 1;
+        throw new Error('Session creation failed: 503');
+    };
+    manager.sessionManager = sessionManager;
+    manager.initialized = true;
+    manager.setupSessionEventListeners();
+    // recover() failures are also reported as events
+    manager.on('recoveryFailed', () => {});
+    return { manager, sessionManager };
+}
+
+describe('FriendConnectManager recovery breaker', () => {
+    it('stops recovering after repeated failures until forced', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'] });
+        const { manager, sessionManager } = createManager();
+
+        await assert.rejects(manager.recover(), /503/);
+        await assert.rejects(manager.recover(), /503/);
+        await assert.rejects(manager.recover(), CircuitOpenError);
+        assert.equal(sessionManager.creates, 2);
+
+        await assert.rejects(manager.recover({ force: true }), /503/);
+        assert.equal(sessionManager.creates, 3);
+
+        t.mock.timers.tick(60000);
+        await assert.rejects(manager.recover(), /503/);
+        assert.equal(sessionManager.creates, 4);
+    });
+
+    it('recovers after a session error without an unhandled rejection', async () => {
+        const { manager, sessionManager } = createManager();
+        const failed = [];
+        manager.on('recoveryFailed', ({ error }) => failed.push(error.message));
+
+        sessionManager.emit('error', new Error('Max reconnect attempts exceeded'));
+        await flush();
+
+        assert.equal(sessionManager.creates, 1);
+        assert.deepEqual(failed, ['Session creation failed: 503']);
+    });
+
+    it('does not start recoveries from session errors while the breaker is open', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'] });
+        const { manager, sessionManager } = createManager();
+        manager.recoveryBreaker.recordFailure(new Error('down'));
+        manager.recoveryBreaker.recordFailure(new Error('down'));
+
+        sessionManager.emit('error', new Error('Heartbeat failed: 503'));
+        sessionManager.emit('error', new Error('Max reconnect attempts exceeded'));
+        await flush();
+
+        assert.equal(sessionManager.creates, undefined);
+    });
+
+    it('leaves recovery to the reconnect loop while it is still running', async () => {
+        const { sessionManager } = createManager();
+        sessionManager.reconnecting = true;
+
+        sessionManager.emit('error', new Error('Session creation failed: 503'));
+        await flush();
+
+        assert.equal(sessionManager.creates, undefined);
+    });
+});
+
+describe('FriendConnectBot.recoverServer()', () => {
+    it('lets overlapping recoveries of a server share one attempt', async () => {
+        const bot = new FriendConnectBot({ logger: createLogger() });
+        let recovering = 0;
+        let finish;
+        bot.managers.set('test', {
+            recover: () => {
+                recovering++;
+                return new Promise(resolve => { finish = resolve; });
+            }
+        });
+
+        // serverDown and criticalFailure both ask while the attempt is still running
+        const first = bot.recoverServer('test');
+        const second = bot.recoverServer('test');
+        await flush();
+        assert.equal(recovering, 1);
+
+        finish();
+        assert.deepEqual(await Promise.all([first, second]), [true, true]);
+
+        const next = bot.recoverServer('test');
+        assert.equal(recovering, 2);
+        finish();
+        await next;
+    });
+
+    it('stops initializing a server that never came up once its breaker opens', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'] });
+        const bot = new FriendConnectBot({ logger: createLogger() });
+        const { manager } = createManager();
+        manager.initialized = false;
+        const initialize = t.mock.method(manager, 'initialize', async () => {
+            throw new Error('No accounts could be authenticated');
+        });
+        bot.managers.set('test', manager);
+
+        // HealthMonitor raises serverDown on every check past the threshold
+        for (let check = 0; check < 4; check++) {
+            assert.equal(await bot.recoverServer('test'), false);
+        }
+        assert.equal(initialize.mock.callCount(), 2);
+
+        t.mock.timers.tick(60000);
+        await bot.recoverServer('test');
+        assert.equal(initialize.mock.callCount(), 3);
+    });
+});
@@ -0,0 +1,132 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConfigValidator } = require('../config-validator.js');
+
+function baseConfig(overrides = {}) {
+    return {
+        servers: [{
+            id: 'survival',
+            server: 'play.example.com',
+            port: 19132,
+            accounts: ['bot@example.com']
+        }],
+        ...overrides
+    };
+}
+
+describe('ConfigValidator.validate()', () => {
+    let validator;
+
+    beforeEach((t) => {
+        validator = new ConfigValidator();
+        // validate() logs every step and writes a backup into the working directory
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(console, 'error', () => {});
+        t.mock.method(validator, 'createConfigBackup', () => {});
+    });
+
+    it('fills in defaults for a minimal multi-server config', async () => {
+        const config = await validator.validate(baseConfig());
+
+        assert.equal(config.servers[0].hostName, 'FriendConnect Server');
+        assert.equal(config.servers[0].version, 'auto');
+        assert.equal(config.servers[0].maxPlayers, 40);
+        assert.equal(config.session.maxReconnectAttempts, 10);
+        assert.equal(config.friends.requestDelay, 1000);
+        assert.deepEqual(config.xboxLive, {
+            baseUrls: {},
+            timeout: 30000,
+            retry: { maxRetries: 3, baseDelay: 1000, maxDelay: 30000, jitter: 0.2 },
+            circuitBreaker: { failureThreshold: 5, resetTimeout: 60000 }
+        });
+        assert.deepEqual(config.monitoring.circuitBreaker, { failureThreshold: 3, resetTimeout: 300000 });
+        assert.equal(validator.createConfigBackup.mock.callCount(), 1);
+    });
+
+    it('does not modify the config it was given', async () => {
+        const input = baseConfig();
+        const snapshot = JSON.parse(JSON.stringify(input));
+
+        await validator.validate(input);
+
+        assert.deepEqual(input, snapshot);
+    });
+
+    it('converts a single-server config to the servers array', async () => {
+        const config = await validator.validate({ server: 'mc.example.com', port: 19133, accounts: [] });
+
+        assert.equal(config.servers.length, 1);
+        assert.equal(config.servers[0].id, 'main-server');
+        assert.equal(config.servers[0].server, 'mc.example.com');
+        assert.equal(config.servers[0].port, 19133);
+    });
+
+    it('merges partial sections with their defaults', async () => {
+        const config = await validator.validate(baseConfig({ session: { heartbeatInterval: 30000 } }));
+
+        assert.equal(config.session.heartbeatInterval, 30000);
+        assert.equal(config.session.autoReconnect, true);
+        assert.equal(config.session.reconnectDelay, 5000);
+    });
+
+    it('keeps per-server constants overrides on top of the defaults', async () => {
+        const config = baseConfig();
+        config.servers[0].constants = { worldName: false };
+
+        const result = await validator.validate(config);
+
+        assert.equal(result.servers[0].constants.worldName, false);
+        assert.equal(result.servers[0].constants.hostName, true);
+    });
+
+    it('replaces a non-array accounts field with an empty list', async () => {
+        const config = baseConfig();
+        config.servers[0].accounts = 'bot@example.com';
+
+        const result = await validator.validate(config);
+
+        assert.deepEqual(result.servers[0].accounts, []);
+    });
+
+    const rejected = [
+        ['an empty servers array', baseConfig({ servers: [] }), /At least one server/],
+        ['a port out of range', baseConfig({ servers: [{ id: 'a', server: 'x', port: 70000 }] }), /valid port number/],
+        ['a malformed version', baseConfig({ servers: [{ id: 'a', server: 'x', port: 1, version: '1.21' }] }), /version must be "auto"/],
+        ['a fractional protocol', baseConfig({ servers: [{ id: 'a', server: 'x', port: 1, protocol: 1.5 }] }), /protocol must be "auto"/],
+        ['too many players', baseConfig({ servers: [{ id: 'a', server: 'x', port: 1, maxPlayers: 500 }] }), /maxPlayers must be between/],
+        ['an unknown constants field', baseConfig({ servers: [{ id: 'a', server: 'x', port: 1, constants: { motd: true } }] }), /unknown constants field "motd"/],
+        ['an account that is not an email', baseConfig({ servers: [{ id: 'a', server: 'x', port: 1, accounts: ['gamertag'] }] }), /accounts\[0\] must be a Microsoft account email/],
+        ['a non-boolean demoMode', baseConfig({ demoMode: 'yes' }), /demoMode must be a boolean/],
+        ['a reconnect delay below 1s', baseConfig({ session: { reconnectDelay: 10 } }), /session.reconnectDelay/],
+        ['a member poll interval below 5s', baseConfig({ session: { memberPollInterval: 1000 } }), /session.memberPollInterval/],
+        ['a max backoff below the base backoff', baseConfig({ friends: { rateLimitBackoff: 60000, maxRateLimitBackoff: 30000 } }), /friends.maxRateLimitBackoff/],
+        ['a negative gamerscore rule', baseConfig({ friends: { acceptRules: { minGamerscore: -1 } } }), /minGamerscore/],
+        ['an unknown Xbox Live service', baseConfig({ xboxLive: { baseUrls: { presence: 'http://127.0.0.1' } } }), /not a known service/],
+        ['a non-http Xbox Live URL', baseConfig({ xboxLive: { baseUrls: { social: 'ftp://127.0.0.1' } } }), /http\(s\) or ws\(s\) URL/],
+        ['more than 10 Xbox Live retries', baseConfig({ xboxLive: { retry: { maxRetries: 11 } } }), /xboxLive.retry.maxRetries/],
+        ['a retry maxDelay below baseDelay', baseConfig({ xboxLive: { retry: { baseDelay: 5000, maxDelay: 1000 } } }), /xboxLive.retry.maxDelay/],
+        ['a retry jitter above 1', baseConfig({ xboxLive: { retry: { jitter: 1.5 } } }), /xboxLive.retry.jitter/],
+        ['a zero breaker threshold', baseConfig({ xboxLive: { circuitBreaker: { failureThreshold: 0 } } }), /xboxLive.circuitBreaker.failureThreshold/],
+        ['a recovery breaker reset above 1h', baseConfig({ monitoring: { circuitBreaker: { resetTimeout: 7200000 } } }), /monitoring.circuitBreaker.resetTimeout/]
+    ];
+
+    for (const [name, config, pattern] of rejected) {
+        it(`rejects ${name}`, async () => {
+            await assert.rejects(validator.validate(config), pattern);
+            assert.equal(validator.createConfigBackup.mock.callCount(), 0);
+        });
+    }
+
+    it('accepts 0 to disable the incoming request poller', async () => {
+        const config = await validator.validate(baseConfig({ friends: { incomingPollInterval: 0 } }));
+
+        assert.equal(config.friends.incomingPollInterval, 0);
+    });
+
+    it('accepts empty Xbox Live base URLs as "use the default"', async () => {
+        const config = await validator.validate(baseConfig({ xboxLive: { baseUrls: { social: '' } } }));
+
+        assert.deepEqual(config.xboxLive.baseUrls, { social: '' });
+    });
+});
@@ -0,0 +1,119 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { DeviceCodeNotifier } = require('../device-code-notifier.js');
+const { createLogger } = require('./helpers.js');
+
+function createPrompt(email, expiresIn) {
+    return {
+        serverId: 'main',
+        email,
+        userCode: `CODE-${email[0].toUpperCase()}`,
+        verificationUri: 'https://microsoft.com/link',
+        expiresAt: Date.now() + expiresIn
+    };
+}
+
+describe('DeviceCodeNotifier pending prompts', () => {
+    it('lists live prompts soonest expiring first with a prefilled link', () => {
+        const notifier = new DeviceCodeNotifier({ logger: createLogger() });
+        notifier.add(createPrompt('late@example.com', 900000));
+        notifier.add(createPrompt('soon@example.com', 60000));
+        notifier.add(createPrompt('gone@example.com', -1000));
+
+        const pending = notifier.getPending();
+
+        assert.deepEqual(pending.map(prompt => prompt.email), ['soon@example.com', 'late@example.com']);
+        assert.equal(pending[0].link, 'https://microsoft.com/link?otc=CODE-S');
+        assert.equal(pending[0].expiresIn, 60);
+        assert.equal(notifier.pending.has('main:gone@example.com'), false);
+    });
+
+    it('keeps one prompt per server and account', () => {
+        const notifier = new DeviceCodeNotifier({ logger: createLogger() });
+        notifier.add(createPrompt('bot@example.com', 60000));
+        notifier.add({ ...createPrompt('bot@example.com', 60000), userCode: 'NEWCODE' });
+        notifier.add({ ...createPrompt('bot@example.com', 60000), serverId: 'creative' });
+
+        assert.deepEqual(notifier.getPending().map(prompt => `${prompt.serverId}:${prompt.userCode}`), ['main:NEWCODE', 'creative:CODE-B']);
+    });
+
+    it('drops a prompt once it is completed or cancelled', () => {
+        const notifier = new DeviceCodeNotifier({ logger: createLogger() });
+        notifier.add(createPrompt('a@example.com', 60000));
+        notifier.add(createPrompt('b@example.com', 60000));
+
+        notifier.complete('main', 'a@example.com');
+        notifier.cancel('main', 'b@example.com');
+
+        assert.deepEqual(notifier.getPending(), []);
+    });
+});
+
+describe('DeviceCodeNotifier webhook', () => {
+    let server;
+    let webhookUrl;
+    let received;
+    let status;
+
+    before(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push(JSON.parse(body));
+                res.writeHead(status);
+                res.end();
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        webhookUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        received = [];
+        status = 204;
+    });
+
+    // add() and complete() don't wait for the webhook
+    async function settle(sendWebhook) {
+        await Promise.all(sendWebhook.mock.calls.map(call => call.result));
+    }
+
+    it('posts the code when a prompt starts and once the account signed in', async (t) => {
+        const notifier = new DeviceCodeNotifier({ webhookUrl, webhookUsername: 'Bot', logger: createLogger() });
+        const sendWebhook = t.mock.method(notifier, 'sendWebhook');
+
+        notifier.add(createPrompt('bot@example.com', 60000));
+        notifier.complete('main', 'bot@example.com');
+        notifier.complete('main', 'bot@example.com');
+        notifier.add(createPrompt('other@example.com', 60000));
+        notifier.cancel('main', 'other@example.com');
+        await settle(sendWebhook);
+
+        assert.equal(received.length, 3);
+        assert.equal(received[0].username, 'Bot');
+        assert.equal(received[0].embeds[0].title, '🔐 Microsoft sign-in required for bot@example.com');
+        assert.equal(received[0].embeds[0].url, 'https://microsoft.com/link?otc=CODE-B');
+        assert.deepEqual(received[0].embeds[0].fields[1], { name: 'Code', value: 'CODE-B', inline: true });
+        assert.equal(received[1].embeds[0].title, '✅ bot@example.com signed in');
+        assert.equal(received[2].embeds[0].title, '🔐 Microsoft sign-in required for other@example.com');
+    });
+
+    it('logs a failing webhook instead of throwing', async (t) => {
+        status = 500;
+        const logger = createLogger();
+        const notifier = new DeviceCodeNotifier({ webhookUrl, logger });
+        const sendWebhook = t.mock.method(notifier, 'sendWebhook');
+
+        notifier.add(createPrompt('bot@example.com', 60000));
+        await settle(sendWebhook);
+
+        assert.equal(notifier.getPending().length, 1);
+        assert.deepEqual(logger.lines, [{ level: 'warning', message: '⚠️ Device code webhook failed: HTTP 500' }]);
+    });
+});
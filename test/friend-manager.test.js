@@ -0,0 +1,279 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { FriendManager } = require('../friend-manager.js');
+const { createLogger, createAccount, createResponse, createClient, createProfiles, flush } = require('./helpers.js');
+
+function createManager(options = {}) {
+    const client = createClient(options.handler || (() => createResponse(204)));
+    const manager = new FriendManager({
+        accounts: options.accounts,
+        maxConcurrentRequests: options.maxConcurrentRequests || 2,
+        requestDelay: 1000,
+        rateLimitBackoff: 30000,
+        friendLimit: options.friendLimit,
+        pruneThreshold: options.pruneThreshold,
+        pruneBatchSize: options.pruneBatchSize,
+        getBotXuids: options.getBotXuids,
+        xboxLiveClient: client,
+        profileResolver: createProfiles(),
+        serverId: 'test',
+        logger: createLogger()
+    });
+
+    return { manager, client };
+}
+
+function friendshipTask(from, to) {
+    return { from, to, verified: true, priority: 1 };
+}
+
+const puts = (client) => client.calls.filter(call => call.method === 'PUT');
+
+describe('FriendManager request queue', () => {
+    let accounts;
+
+    beforeEach(() => {
+        accounts = ['a', 'b', 'c', 'd'].map((name, index) => createAccount(name, 1000 + index));
+    });
+
+    it('takes at most maxConcurrentRequests tasks per batch', () => {
+        const { manager } = createManager({ accounts, maxConcurrentRequests: 2 });
+        manager.requestQueue.push(
+            friendshipTask(accounts[0], accounts[1]),
+            friendshipTask(accounts[1], accounts[2]),
+            friendshipTask(accounts[2], accounts[3])
+        );
+
+        const batch = manager.takeReadyTasks();
+
+        assert.deepEqual(batch.map(task => task.from.email), ['a@example.com', 'b@example.com']);
+        assert.equal(manager.requestQueue.length, 1);
+    });
+
+    it('leaves tasks of throttled accounts in the queue', () => {
+        const { manager } = createManager({ accounts, maxConcurrentRequests: 5 });
+        manager.rateLimiter.throttle('a@example.com', { retryAfter: 60000 });
+        manager.requestQueue.push(
+            friendshipTask(accounts[0], accounts[1]),
+            friendshipTask(accounts[1], accounts[0])
+        );
+
+        const batch = manager.takeReadyTasks();
+
+        assert.deepEqual(batch.map(task => task.from.email), ['b@example.com']);
+        assert.deepEqual(manager.requestQueue.map(task => task.from.email), ['a@example.com']);
+    });
+
+    it('sends batches requestDelay apart', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        const { manager, client } = createManager({ accounts, maxConcurrentRequests: 2 });
+        manager.requestQueue.push(
+            friendshipTask(accounts[0], accounts[1]),
+            friendshipTask(accounts[1], accounts[2]),
+            friendshipTask(accounts[2], accounts[3]),
+            friendshipTask(accounts[3], accounts[0]),
+            friendshipTask(accounts[0], accounts[2])
+        );
+
+        const processing = manager.processRequestQueue();
+
+        await flush();
+        assert.equal(puts(client).length, 2);
+
+        t.mock.timers.tick(999);
+        await flush();
+        assert.equal(puts(client).length, 2);
+
+        t.mock.timers.tick(1);
+        await flush();
+        assert.equal(puts(client).length, 4);
+
+        t.mock.timers.tick(1000);
+        await processing;
+
+        assert.equal(puts(client).length, 5);
+        assert.equal(manager.friendships.size, 5);
+        assert.equal(manager.isProcessing, false);
+    });
+
+    it('does not start a second run while one is processing', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        const { manager, client } = createManager({ accounts, maxConcurrentRequests: 1 });
+        manager.requestQueue.push(friendshipTask(accounts[0], accounts[1]), friendshipTask(accounts[1], accounts[0]));
+
+        const first = manager.processRequestQueue();
+        await manager.processRequestQueue();
+        await flush();
+
+        assert.equal(puts(client).length, 1);
+
+        t.mock.timers.tick(1000);
+        await first;
+        assert.equal(puts(client).length, 2);
+    });
+
+    it('re-queues a throttled task and keeps serving other accounts', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        let throttled = false;
+        const { manager, client } = createManager({
+            accounts,
+            maxConcurrentRequests: 2,
+            handler: (service, path, options) => {
+                if (options.account.email === 'a@example.com' && !throttled) {
+                    throttled = true;
+                    return createResponse(429, {}, { 'Retry-After': '30' });
+                }
+                return createResponse(204);
+            }
+        });
+        const rateLimited = [];
+        manager.on('rateLimited', event => rateLimited.push(event));
+        manager.requestQueue.push(
+            friendshipTask(accounts[0], accounts[1]),
+            friendshipTask(accounts[1], accounts[0]),
+            friendshipTask(accounts[2], accounts[0])
+        );
+
+        const processing = manager.processRequestQueue();
+        await flush();
+
+        assert.equal(rateLimited.length, 1);
+        assert.equal(rateLimited[0].email, 'a@example.com');
+        assert.equal(rateLimited[0].retryAfter, 30000);
+
+        // The next batch only holds c, a is still backing off
+        t.mock.timers.tick(1000);
+        await flush();
+        assert.ok(manager.friendships.has('1002-1000'));
+        assert.ok(!manager.friendships.has('1000-1001'));
+
+        t.mock.timers.tick(30000);
+        await processing;
+
+        assert.ok(manager.friendships.has('1000-1001'));
+        assert.equal(puts(client).filter(call => call.account.email === 'a@example.com').length, 2);
+    });
+
+    it('resumes a fully throttled queue in the background', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        let throttled = false;
+        const { manager, client } = createManager({
+            accounts,
+            handler: () => {
+                if (!throttled) {
+                    throttled = true;
+                    return createResponse(429, {}, { 'Retry-After': '30' });
+                }
+                return createResponse(204);
+            }
+        });
+        manager.requestQueue.push(friendshipTask(accounts[0], accounts[1]));
+
+        // Returns while a is still backing off instead of waiting 30s
+        const processing = manager.processRequestQueue();
+        await flush();
+        t.mock.timers.tick(1000);
+        await processing;
+        assert.equal(manager.requestQueue.length, 1);
+        assert.equal(manager.isProcessing, false);
+
+        t.mock.timers.tick(29000);
+        await flush();
+
+        assert.equal(puts(client).length, 2);
+        assert.ok(manager.friendships.has('1000-1001'));
+        assert.equal(manager.requestQueue.length, 0);
+    });
+
+    it('drops a task that keeps getting throttled', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        const { manager, client } = createManager({
+            accounts,
+            handler: () => createResponse(429, {}, { 'Retry-After': '30' })
+        });
+        const rateLimited = [];
+        manager.on('rateLimited', event => rateLimited.push(event));
+        manager.requestQueue.push(friendshipTask(accounts[0], accounts[1]));
+
+        const processing = manager.processRequestQueue();
+        await flush();
+        t.mock.timers.tick(1000);
+        await processing;
+        for (let i = 0; i < 5; i++) {
+            t.mock.timers.tick(29000);
+            await flush();
+            t.mock.timers.tick(1000);
+            await flush();
+        }
+
+        assert.equal(puts(client).length, 6);
+        assert.equal(rateLimited.length, 6);
+        assert.equal(manager.requestQueue.length, 0);
+        assert.equal(manager.queueResumeTimer, null);
+    });
+});
+
+describe('FriendManager.setupCrossFriendships()', () => {
+    it('only sends requests for edges missing from the people lists', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+        const accounts = [createAccount('a', 1), createAccount('b', 2)];
+        const { manager, client } = createManager({
+            accounts,
+            handler: (service, path, options) => {
+                if (path.startsWith('/users/me/people?')) {
+                    // a already follows b, b follows nobody
+                    const people = options.account.xuid === '1' ? [{ xuid: '2', isFollowedByCaller: true }] : [];
+                    return createResponse(200, { people, totalCount: people.length });
+                }
+                return createResponse(204);
+            }
+        });
+
+        await manager.setupCrossFriendships();
+
+        assert.deepEqual(puts(client).map(call => `${call.account.xuid}->${call.path}`), ['2->/users/me/people/xuid(1)']);
+        assert.deepEqual([...manager.friendships.keys()].sort(), ['1-2', '2-1']);
+    });
+});
+
+describe('FriendManager.pruneFollowing()', () => {
+    // People the account follows, none of them following back
+    const followed = (count) => Array.from({ length: count }, (_, index) => ({
+        xuid: String(5000 + index),
+        isFollowedByCaller: true,
+        isFollowingCaller: false,
+        addedDateTimeUtc: new Date(Date.UTC(2024, 0, 1 + index)).toISOString()
+    }));
+    const deletes = (client) => client.calls.filter(call => call.method === 'DELETE');
+
+    it('unfollows at most pruneBatchSize players per pass', async () => {
+        const accounts = [createAccount('a', 1), createAccount('b', 2)];
+        const { manager, client } = createManager({ accounts, friendLimit: 100, pruneThreshold: 50, pruneBatchSize: 5 });
+        manager.delay = async () => {};
+
+        // 10 slots left, 40 below the threshold
+        await manager.pruneFollowing(accounts[0], followed(90));
+
+        assert.deepEqual(deletes(client).map(call => call.path), [5000, 5001, 5002, 5003, 5004].map(xuid => `/users/me/people/xuid(${xuid})`));
+    });
+
+    it('never unfollows the bots of other servers', async () => {
+        const accounts = [createAccount('a', 1), createAccount('b', 2)];
+        const { manager, client } = createManager({ accounts, pruneBatchSize: 2, getBotXuids: () => new Set(['5000']) });
+        manager.delay = async () => {};
+
+        await manager.pruneFollowing(accounts[0], followed(1000));
+
+        assert.deepEqual(deletes(client).map(call => call.path), ['/users/me/people/xuid(5001)', '/users/me/people/xuid(5002)']);
+    });
+
+    it('skips the prune while a bot xuid is unknown', async () => {
+        const accounts = [createAccount('a', 1), createAccount('b', 2)];
+        const { manager, client } = createManager({ accounts, getBotXuids: () => null });
+        manager.delay = async () => {};
+
+        await manager.pruneFollowing(accounts[0], followed(1000));
+
+        assert.equal(deletes(client).length, 0);
+    });
+});
@@ -0,0 +1,153 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { HealthMonitor } = require('../health-monitor.js');
+const { flush } = require('./helpers.js');
+
+describe('HealthMonitor', () => {
+    let monitor;
+
+    beforeEach((t) => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'warn', () => {});
+        t.mock.method(console, 'error', () => {});
+        t.mock.timers.enable({ apis: ['setInterval', 'Date'] });
+    });
+
+    afterEach(() => {
+        monitor?.stop();
+    });
+
+    function start(serverIds, results, config = {}) {
+        monitor = new HealthMonitor({ checkInterval: 1000, maxFailures: 3, ...config });
+        const checker = async (serverId) => {
+            const result = results[serverId];
+            if (result instanceof Error) {
+                throw result;
+            }
+            return result;
+        };
+        monitor.startMonitoring(serverIds, checker);
+        return monitor;
+    }
+
+    async function tick(t, times = 1) {
+        for (let i = 0; i < times; i++) {
+            t.mock.timers.tick(1000);
+            await flush();
+        }
+    }
+
+    it('runs the checks every checkInterval', async (t) => {
+        const results = { a: { healthy: true } };
+        start(['a'], results);
+        const checks = [];
+        monitor.on('healthCheck', batch => checks.push(batch));
+
+        await tick(t, 3);
+
+        assert.equal(checks.length, 3);
+        assert.equal(monitor.getServerHealth('a').healthHistory.length, 3);
+    });
+
+    it('marks a server down after maxFailures consecutive failures', async (t) => {
+        const results = { a: { healthy: false, reason: 'session lost' } };
+        start(['a'], results);
+        const down = [];
+        monitor.on('serverDown', (serverId, result) => down.push({ serverId, reason: result.reason }));
+
+        await tick(t, 2);
+        assert.equal(down.length, 0);
+        assert.equal(monitor.getServerHealth('a').failures, 2);
+
+        await tick(t);
+        assert.deepEqual(down, [{ serverId: 'a', reason: 'session lost' }]);
+    });
+
+    it('resets the failure count after a healthy check', async (t) => {
+        const results = { a: { healthy: false, reason: 'flaky' } };
+        start(['a'], results);
+        const down = [];
+        monitor.on('serverDown', serverId => down.push(serverId));
+
+        await tick(t, 2);
+        results.a = { healthy: true };
+        await tick(t);
+        results.a = { healthy: false, reason: 'flaky' };
+        await tick(t, 2);
+
+        assert.equal(monitor.getServerHealth('a').failures, 2);
+        assert.equal(down.length, 0);
+    });
+
+    it('counts a throwing health check as a failure', async (t) => {
+        start(['a'], { a: new Error('manager gone') });
+
+        await tick(t);
+
+        const health = monitor.getServerHealth('a');
+        assert.equal(health.healthy, false);
+        assert.equal(health.reason, 'Health check error: manager gone');
+        assert.equal(health.failures, 1);
+    });
+
+    it('reports a degraded system at or below healthThreshold', async (t) => {
+        start(['a', 'b', 'c', 'd', 'e'], {
+            a: { healthy: true }, b: { healthy: true }, c: { healthy: true }, d: { healthy: true }, e: { healthy: false }
+        }, { healthThreshold: 0.8, criticalThreshold: 0.3 });
+        const degraded = [];
+        const critical = [];
+        monitor.on('systemDegraded', event => degraded.push(event));
+        monitor.on('criticalFailure', error => critical.push(error));
+
+        await tick(t);
+
+        assert.equal(degraded.length, 1);
+        assert.equal(degraded[0].healthPercentage, 0.8);
+        assert.equal(critical.length, 0);
+    });
+
+    it('reports a critical failure at or below criticalThreshold', async (t) => {
+        start(['a', 'b', 'c'], {
+            a: { healthy: false }, b: { healthy: false }, c: { healthy: true }
+        }, { healthThreshold: 0.8, criticalThreshold: 0.4 });
+        const degraded = [];
+        const critical = [];
+        monitor.on('systemDegraded', event => degraded.push(event));
+        monitor.on('criticalFailure', error => critical.push(error));
+
+        await tick(t);
+
+        assert.equal(critical.length, 1);
+        assert.match(critical[0].message, /Only 1\/3 servers healthy/);
+        assert.equal(degraded.length, 0);
+    });
+
+    it('stays quiet while every server is healthy', async (t) => {
+        start(['a', 'b'], { a: { healthy: true }, b: { healthy: true } });
+        const events = [];
+        ['serverDown', 'systemDegraded', 'criticalFailure'].forEach(name => monitor.on(name, () => events.push(name)));
+
+        await tick(t, 5);
+
+        assert.deepEqual(events, []);
+        assert.equal(monitor.getSystemHealthSummary().overall.healthPercentage, 100);
+    });
+
+    it('keeps only the last 10 checks per server', async (t) => {
+        start(['a'], { a: { healthy: true } });
+
+        await tick(t, 12);
+
+        assert.equal(monitor.getServerHealth('a').healthHistory.length, 10);
+        assert.equal(monitor.getSystemHealthSummary().servers.a.healthHistory.length, 5);
+    });
+
+    it('resetServerFailures() clears the count after a manual recovery', async (t) => {
+        start(['a'], { a: { healthy: false } });
+
+        await tick(t, 2);
+        monitor.resetServerFailures('a');
+
+        assert.equal(monitor.getServerHealth('a').failures, 0);
+    });
+});
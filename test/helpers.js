@@ -0,0 +1,83 @@
+const { RetryPolicy } = require('../retry-policy.js');
+
+/**
+ * Shared fixtures for the offline test suite
+ */
+
+// Logger with every level the modules use, keeping the lines for assertions
+function createLogger() {
+    const lines = [];
+    const logger = { lines };
+
+    ['info', 'debug', 'success', 'warning', 'error', 'startup'].forEach(level => {
+        logger[level] = (...args) => lines.push({ level, message: args.join(' ') });
+    });
+
+    return logger;
+}
+
+function createAccount(name, xuid) {
+    return {
+        email: `${name}@example.com`,
+        xuid: String(xuid),
+        userHash: `uhs-${name}`,
+        authHeader: `XBL3.0 x=uhs-${name};token-${name}`,
+        expiresAt: Date.now() + 60 * 60 * 1000
+    };
+}
+
+// Minimal node-fetch Response
+function createResponse(status, body = {}, headers = {}) {
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value]));
+
+    return {
+        status,
+        ok: status >= 200 && status < 300,
+        statusText: String(status),
+        headers: { get: (name) => lowerHeaders[name.toLowerCase()] ?? null },
+        json: async () => body,
+        text: async () => (typeof body === 'string' ? body : JSON.stringify(body))
+    };
+}
+
+/**
+ * Stand-in for XboxLiveClient that answers through handler(service, path, options)
+ * and records every call. Its retry policy has no jitter so delays can be asserted
+ */
+function createClient(handler) {
+    const calls = [];
+
+    return {
+        calls,
+        retryPolicy: new RetryPolicy({ jitter: 0 }),
+        url: (service, path = '') => `http://${service}.test${path}`,
+        request: async (service, path, options = {}) => {
+            calls.push({ service, path, method: options.method || 'GET', account: options.account });
+            return handler(service, path, options);
+        }
+    };
+}
+
+// ProfileResolver stand-in, the real one batches lookups on a timer
+function createProfiles(gamertags = {}) {
+    const lookup = (xuid) => gamertags[xuid] || null;
+
+    return {
+        peek: lookup,
+        label: (xuid) => lookup(xuid) || String(xuid),
+        remember: (xuid, gamertag) => { gamertags[xuid] = gamertag; },
+        getGamertag: async (xuid) => lookup(xuid),
+        getGamertags: async (xuids) => new Map(xuids.map(xuid => [String(xuid), lookup(xuid)]))
+    };
+}
+
+// Let pending promise callbacks run; setImmediate is never faked by the tests
+function flush(rounds = 5) {
+    let chain = Promise.resolve();
+    for (let i = 0; i < rounds; i++) {
+        chain = chain.then(() => new Promise(resolve => setImmediate(resolve)));
+    }
+    return chain;
+}
+
+module.exports = { createLogger, createAccount, createResponse, createClient, createProfiles, flush };
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MetricsExporter } = require('../metrics-exporter.js');
+
+function createManager(stats, parts = {}) {
+    return {
+        stats,
+        initialized: true,
+        recoveryBreaker: { state: 'closed' },
+        sessionManager: null,
+        friendManager: null,
+        authManager: null,
+        ...parts
+    };
+}
+
+describe('MetricsExporter.render()', () => {
+    it('writes one HELP and TYPE per metric and a sample per server', async () => {
+        const bot = {
+            managers: new Map([
+                ['main', createManager({ sessionsCreated: 3, errors: 1, lastActivity: 1700000000000 })],
+                ['creative', createManager({ sessionsCreated: 1, errors: 0 }, { initialized: false, recoveryBreaker: { state: 'open' } })]
+            ])
+        };
+
+        const lines = (await new MetricsExporter({ bot }).render()).split('\n');
+
+        assert.equal(lines.filter(line => line === '# TYPE friendconnect_sessions_created_total counter').length, 1);
+        assert.ok(lines.includes('# HELP friendconnect_sessions_created_total Xbox Live sessions created'));
+        assert.ok(lines.includes('friendconnect_sessions_created_total{server="main"} 3'));
+        assert.ok(lines.includes('friendconnect_sessions_created_total{server="creative"} 1'));
+        assert.ok(lines.includes('friendconnect_server_initialized{server="creative"} 0'));
+        assert.ok(lines.includes('friendconnect_last_activity_timestamp_seconds{server="main"} 1700000000'));
+        assert.ok(lines.includes('friendconnect_recovery_circuit_state{server="creative"} 2'));
+        assert.ok(lines.includes('friendconnect_session_active{server="main"} 0'));
+        assert.equal(lines.at(-1), '');
+    });
+
+    it('leaves out samples without a value', async () => {
+        const bot = { managers: new Map([['main', createManager({ sessionsCreated: 0 })]]) };
+
+        const output = await new MetricsExporter({ bot }).render();
+
+        assert.match(output, /friendconnect_sessions_created_total\{server="main"\} 0/);
+        assert.doesNotMatch(output, /player_joins_total|last_activity_timestamp_seconds|server_healthy|xbox_circuit_state/);
+    });
+
+    it('reports session, friend, auth, health and Xbox Live circuit metrics', async () => {
+        const manager = createManager({}, {
+            sessionManager: {
+                isRunning: true,
+                sessionInstance: {},
+                sessionMembers: new Map([['100', {}], ['200', {}]]),
+                lastHeartbeat: 1700000030000,
+                lastHeartbeatLatency: 250
+            },
+            friendManager: { getCapacity: () => [{ email: 'bot@example.com', following: 990, free: 8 }] },
+            authManager: { getHealthStatus: async () => ({ accountStatus: [{ email: 'bot@example.com', expiresAt: 1700003600000 }] }) }
+        });
+        const bot = {
+            managers: new Map([['main', manager]]),
+            healthMonitor: { getServerHealth: () => ({ failures: 2, healthy: false, lastCheck: 1700000000000 }) },
+            xboxLiveClient: { getCircuitStatus: () => ({ social: { state: 'half-open' } }) }
+        };
+
+        const lines = (await new MetricsExporter({ bot, prefix: 'fc' }).render()).split('\n');
+
+        assert.ok(lines.includes('fc_session_active{server="main"} 1'));
+        assert.ok(lines.includes('fc_session_players{server="main"} 2'));
+        assert.ok(lines.includes('fc_session_heartbeat_latency_seconds{server="main"} 0.25'));
+        assert.ok(lines.includes('fc_account_following{server="main",account="bot@example.com"} 990'));
+        assert.ok(lines.includes('fc_account_friend_slots_free{server="main",account="bot@example.com"} 8'));
+        assert.ok(lines.includes('fc_token_expiry_timestamp_seconds{server="main",account="bot@example.com"} 1700003600'));
+        assert.ok(lines.includes('fc_health_check_failures{server="main"} 2'));
+        assert.ok(lines.includes('fc_server_healthy{server="main"} 0'));
+        assert.ok(lines.includes('fc_xbox_circuit_state{service="social"} 1'));
+    });
+
+    it('escapes quotes, backslashes and newlines in label values', async () => {
+        const bot = { managers: new Map([['say "hi"\\\n', createManager({ sessionsCreated: 1 })]]) };
+
+        const output = await new MetricsExporter({ bot }).render();
+
+        assert.match(output, /friendconnect_sessions_created_total\{server="say \\"hi\\"\\\\\\n"\} 1/);
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FriendConnectManager } = require('../multi-server-manager.js');
+const { AuthManager } = require('../auth-manager.js');
+const { AccountRegistry } = require('../account-registry.js');
+const { createLogger, createClient, createAccount } = require('./helpers.js');
+
+describe('FriendConnectManager.initialize()', () => {
+    let tokenPath;
+
+    beforeEach(() => {
+        tokenPath = fs.mkdtempSync(path.join(os.tmpdir(), 'friendconnect-manager-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tokenPath, { recursive: true, force: true });
+    });
+
+    function createManager() {
+        const manager = new FriendConnectManager({
+            serverId: 'test',
+            server: '127.0.0.1',
+            port: 19132,
+            accounts: ['bot@example.com'],
+            globalConfig: { auth: { tokenPath } },
+            xboxLiveClient: createClient(() => { throw new Error('unexpected request'); }),
+            profileResolver: {},
+            logger: createLogger()
+        });
+        // initialize() reports its failure as an event too
+        manager.on('error', () => {});
+        return manager;
+    }
+
+    it('stops the managers a failed attempt left behind before building new ones', async (t) => {
+        t.mock.method(AuthManager.prototype, 'initializeAccounts', async () => []);
+        const manager = createManager();
+
+        await assert.rejects(manager.initialize(), /No accounts could be authenticated/);
+        const previousAuth = manager.authManager;
+        const authStop = t.mock.method(previousAuth, 'stop');
+        const sessionStop = t.mock.fn(async () => {});
+        manager.sessionManager = { stop: sessionStop };
+
+        await assert.rejects(manager.initialize(), /No accounts could be authenticated/);
+
+        assert.equal(authStop.mock.callCount(), 1);
+        assert.equal(sessionStop.mock.callCount(), 1);
+        assert.notEqual(manager.authManager, previousAuth);
+    });
+});
+
+describe('FriendConnectManager.getBotXuids()', () => {
+    function createManager(registered) {
+        const manager = new FriendConnectManager({
+            serverId: 'test',
+            accounts: ['a@example.com', ' B@example.com '],
+            getAllBotXuids: () => new Set(['9']),
+            xboxLiveClient: createClient(() => { throw new Error('unexpected request'); }),
+            profileResolver: {},
+            logger: createLogger()
+        });
+        manager.authManager = { accountRegistry: new AccountRegistry(registered) };
+        return manager;
+    }
+
+    it('includes the bots of every server once all local accounts signed in', () => {
+        const manager = createManager([createAccount('a', 1), { ...createAccount('b', 2), email: 'B@example.com' }]);
+
+        assert.deepEqual(manager.getBotXuids(), new Set(['1', '2', '9']));
+    });
+
+    it('is unknown while a configured account has not signed in', () => {
+        const manager = createManager([createAccount('a', 1)]);
+
+        assert.equal(manager.getBotXuids(), null);
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProfileResolver } = require('../profile-resolver.js');
+const { createLogger, createAccount, createResponse, createClient } = require('./helpers.js');
+
+// Answers batch lookups from the gamertags map and records each requested batch
+function createResolver(gamertags, options = {}) {
+    const batches = [];
+    const client = createClient((service, path, request) => {
+        if (options.handler) {
+            return options.handler(service, path, request);
+        }
+        batches.push(request.body.userIds);
+        return createResponse(200, {
+            profileUsers: request.body.userIds
+                .filter(xuid => gamertags[xuid])
+                .map(xuid => ({ id: xuid, settings: [{ id: 'Gamertag', value: gamertags[xuid] }] }))
+        });
+    });
+
+    const resolver = new ProfileResolver({
+        path: options.path,
+        batchDelay: 0,
+        getAccount: () => createAccount('bot', 1),
+        xboxLiveClient: client,
+        logger: options.logger || createLogger()
+    });
+    return { resolver, client, batches };
+}
+
+describe('ProfileResolver', () => {
+    it('looks up concurrent requests in one batch', async () => {
+        const { resolver, client, batches } = createResolver({ 100: 'Alpha', 200: 'Beta' });
+
+        const [alpha, both] = await Promise.all([
+            resolver.getGamertag('100'),
+            resolver.getGamertags(['100', 200, '300'])
+        ]);
+
+        assert.equal(alpha, 'Alpha');
+        assert.deepEqual(both, new Map([['100', 'Alpha'], ['200', 'Beta'], ['300', null]]));
+        assert.equal(client.calls.length, 1);
+        assert.deepEqual(batches, [['100', '200', '300']]);
+    });
+
+    it('splits large lookups into batches of 100', async () => {
+        const { resolver, batches } = createResolver({});
+        const xuids = Array.from({ length: 250 }, (_, index) => String(1000 + index));
+
+        await resolver.getGamertags(xuids);
+
+        assert.deepEqual(batches.map(batch => batch.length), [100, 100, 50]);
+    });
+
+    it('answers from the cache until the entry expires', async () => {
+        const { resolver, client } = createResolver({ 100: 'Renamed' });
+        resolver.remember('100', 'Alpha');
+
+        assert.equal(await resolver.getGamertag('100'), 'Alpha');
+        assert.equal(client.calls.length, 0);
+
+        resolver.cache.set('100', { gamertag: 'Alpha', resolvedAt: Date.now() - resolver.ttl });
+        assert.equal(await resolver.getGamertag('100'), 'Renamed');
+        assert.equal(client.calls.length, 1);
+    });
+
+    it('falls back to an expired entry when the lookup fails', async () => {
+        const { resolver } = createResolver({}, { handler: () => createResponse(500) });
+        resolver.cache.set('100', { gamertag: 'Alpha', resolvedAt: 0 });
+
+        assert.equal(await resolver.getGamertag('100'), 'Alpha');
+        assert.equal(await resolver.getGamertag('200'), null);
+    });
+
+    it('resolves a gamertag to its xuid once and caches it', async () => {
+        const { resolver, client } = createResolver({}, {
+            handler: (service, path) => path.includes('gt(Unknown)')
+                ? createResponse(404)
+                : createResponse(200, { profileUsers: [{ id: '100', settings: [{ id: 'Gamertag', value: 'Alpha' }] }] })
+        });
+
+        assert.equal(await resolver.getXuid('Alpha'), '100');
+        assert.equal(await resolver.getXuid('alpha'), '100');
+        assert.equal(await resolver.getXuid('Unknown'), null);
+        assert.equal(client.calls.length, 2);
+        assert.equal(resolver.peek('100'), 'Alpha');
+    });
+
+    describe('disk cache', () => {
+        let cachePath;
+
+        beforeEach(() => {
+            cachePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'friendconnect-profiles-')), 'profiles.json');
+        });
+
+        afterEach(() => {
+            fs.rmSync(path.dirname(cachePath), { recursive: true, force: true });
+        });
+
+        it('reloads saved gamertags and drops long expired ones', async () => {
+            const { resolver } = createResolver({ 100: 'Alpha' }, { path: cachePath });
+            await resolver.getGamertag('100');
+            resolver.cache.set('200', { gamertag: 'Stale', resolvedAt: Date.now() - resolver.ttl * 3 });
+            resolver.save();
+
+            const { resolver: restarted, client } = createResolver({}, { path: cachePath });
+
+            assert.equal(await restarted.getGamertag('100'), 'Alpha');
+            assert.equal(restarted.peek('200'), null);
+            assert.equal(client.calls.length, 0);
+        });
+
+        it('starts empty from an unreadable cache file', () => {
+            fs.writeFileSync(cachePath, '{');
+            const logger = createLogger();
+
+            const { resolver } = createResolver({}, { path: cachePath, logger });
+
+            assert.equal(resolver.cache.size, 0);
+            assert.equal(logger.lines.filter(line => line.level === 'warning').length, 1);
+        });
+    });
+});
@@ -0,0 +1,88 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { RetryPolicy } = require('../retry-policy.js');
+const { XboxServiceError, XboxAuthError } = require('../xbox-errors.js');
+const { flush } = require('./helpers.js');
+
+describe('RetryPolicy.getDelay()', () => {
+    it('doubles the delay per attempt up to maxDelay', () => {
+        const policy = new RetryPolicy({ baseDelay: 1000, maxDelay: 5000, jitter: 0 });
+
+        assert.deepEqual([1, 2, 3, 4, 5].map(attempt => policy.getDelay(attempt)), [1000, 2000, 4000, 5000, 5000]);
+    });
+
+    it('spreads each delay by the jitter fraction', (t) => {
+        const policy = new RetryPolicy({ baseDelay: 1000, jitter: 0.2 });
+        const random = t.mock.method(Math, 'random', () => 0);
+
+        assert.equal(policy.getDelay(1), 800);
+        random.mock.mockImplementation(() => 0.999999);
+        assert.equal(policy.getDelay(1), 1200);
+    });
+
+    it('with() keeps the options it does not override', () => {
+        const policy = new RetryPolicy({ maxRetries: 5, baseDelay: 200, jitter: 0 }).with({ maxRetries: 1, baseDelay: undefined });
+
+        assert.equal(policy.maxRetries, 1);
+        assert.equal(policy.baseDelay, 200);
+        assert.equal(policy.jitter, 0);
+    });
+});
+
+describe('RetryPolicy.run()', () => {
+    it('retries retryable errors after each backoff delay', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const policy = new RetryPolicy({ maxRetries: 3, baseDelay: 1000, jitter: 0 });
+        const retries = [];
+        let attempts = 0;
+
+        const running = policy.run(async (attempt) => {
+            attempts = attempt;
+            if (attempt < 3) {
+                throw new XboxServiceError('busy');
+            }
+            return 'done';
+        }, { onRetry: (error, attempt, delay) => retries.push({ attempt, delay }) });
+
+        await flush();
+        assert.equal(attempts, 1);
+        t.mock.timers.tick(1000);
+        await flush();
+        assert.equal(attempts, 2);
+        t.mock.timers.tick(2000);
+
+        assert.equal(await running, 'done');
+        assert.deepEqual(retries, [{ attempt: 1, delay: 1000 }, { attempt: 2, delay: 2000 }]);
+    });
+
+    it('throws errors that are not retryable straight away', async () => {
+        const policy = new RetryPolicy({ maxRetries: 3 });
+        let attempts = 0;
+
+        await assert.rejects(policy.run(async () => {
+            attempts++;
+            throw new XboxAuthError('revoked');
+        }), /revoked/);
+        assert.equal(attempts, 1);
+    });
+
+    it('throws the last error once maxRetries is used up', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+        const policy = new RetryPolicy({ maxRetries: 2, baseDelay: 1000, jitter: 0 });
+        let attempts = 0;
+
+        const running = policy.run(async (attempt) => {
+            attempts = attempt;
+            throw new XboxServiceError(`busy ${attempt}`);
+        });
+        const result = assert.rejects(running, /busy 3/);
+
+        for (const delay of [1000, 2000]) {
+            await flush();
+            t.mock.timers.tick(delay);
+        }
+
+        await result;
+        assert.equal(attempts, 3);
+    });
+});
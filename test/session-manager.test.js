@@ -0,0 +1,211 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SessionManager } = require('../session-manager.js');
+const { RTAClient } = require('../rta-client.js');
+const { FriendConnectManager } = require('../multi-server-manager.js');
+const { createLogger, createAccount, createResponse, createClient, createProfiles, flush } = require('./helpers.js');
+
+function createManager(handler, sessionConfig = {}, allAccounts) {
+    const client = createClient(handler);
+    const manager = new SessionManager({
+        hostAccount: createAccount('host', 1),
+        allAccounts,
+        serverConfig: { ip: '127.0.0.1', port: 19132, version: '1.21.50', protocol: 766, pingServerForInfo: false },
+        sessionConfig: {
+            autoReconnect: true,
+            maxReconnectAttempts: 3,
+            reconnectDelay: 1000,
+            enableRTA: false,
+            memberPollInterval: 0,
+            heartbeatInterval: 60000,
+            ...sessionConfig
+        },
+        xboxLiveClient: client,
+        profileResolver: createProfiles(),
+        serverId: 'test',
+        logger: createLogger()
+    });
+
+    // EventEmitter throws 'error' events nobody listens to
+    manager.on('error', () => {});
+
+    return { manager, client };
+}
+
+const sessionPuts = (client) => client.calls.filter(call => call.service === 'sessionDirectory' && call.method === 'PUT');
+
+describe('SessionManager reconnect backoff', () => {
+    it('doubles the delay before every reconnect attempt', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+        const { manager, client } = createManager(() => createResponse(503, 'unavailable'));
+        const attempts = [];
+        manager.on('reconnectAttempt', event => attempts.push(event));
+
+        const creating = manager.createSession().catch(() => {});
+
+        await flush();
+        assert.equal(sessionPuts(client).length, 1);
+        assert.deepEqual(attempts.map(event => event.delay), [1000]);
+
+        // Nothing is sent before the backoff has elapsed
+        t.mock.timers.tick(999);
+        await flush();
+        assert.equal(sessionPuts(client).length, 1);
+
+        t.mock.timers.tick(1);
+        await flush();
+        assert.equal(sessionPuts(client).length, 2);
+        assert.deepEqual(attempts.map(event => event.delay), [1000, 2000]);
+
+        t.mock.timers.tick(2000);
+        await flush();
+        assert.equal(sessionPuts(client).length, 3);
+        assert.deepEqual(attempts.map(event => event.delay), [1000, 2000, 4000]);
+
+        t.mock.timers.tick(4000);
+        await creating;
+
+        assert.equal(sessionPuts(client).length, 4);
+        assert.deepEqual(attempts.map(event => event.attempt), [1, 2, 3]);
+        assert.ok(attempts.every(event => event.maxAttempts === 3));
+    });
+
+    it('reports the final failure once maxReconnectAttempts is used up', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+        const { manager } = createManager(() => createResponse(503, 'unavailable'), { maxReconnectAttempts: 2 });
+        const errors = [];
+        manager.removeAllListeners('error');
+        manager.on('error', error => errors.push(error.message));
+
+        const creating = manager.createSession().catch(() => {});
+        for (const delay of [1000, 2000]) {
+            await flush();
+            t.mock.timers.tick(delay);
+        }
+        await creating;
+
+        assert.ok(errors.includes('Max reconnect attempts exceeded'));
+        assert.equal(manager.reconnectAttempts, 2);
+        assert.equal(manager.isRunning, false);
+    });
+
+    it('resets the attempt counter after a successful reconnect', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+        let failures = 2;
+        const { manager, client } = createManager((service, path, options) => {
+            if (options.method === 'PUT' && failures-- > 0) {
+                return createResponse(500, 'busy');
+            }
+            return createResponse(options.method === 'GET' ? 200 : 201, { members: {} });
+        });
+        const recovered = [];
+        manager.on('sessionRecovered', event => recovered.push(event));
+
+        const creating = manager.createSession();
+        for (const delay of [1000, 2000]) {
+            await flush();
+            t.mock.timers.tick(delay);
+        }
+        await creating;
+
+        assert.equal(sessionPuts(client).length, 3);
+        assert.equal(manager.reconnectAttempts, 0);
+        assert.equal(manager.isRunning, true);
+        assert.equal(recovered.length, 1);
+        assert.match(manager.sessionInstance.sessionName, /^FriendConnect-test-/);
+
+        await manager.stop();
+    });
+
+    it('does not retry when autoReconnect is off', async () => {
+        const { manager, client } = createManager(() => createResponse(503, 'unavailable'), { autoReconnect: false });
+
+        await assert.rejects(manager.createSession(), /Session creation failed: 503/);
+        assert.equal(sessionPuts(client).length, 1);
+    });
+});
+
+describe('SessionManager RTA connection', () => {
+    it('stops the RTA client of a session that could not be created', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+        const live = new Set();
+        let connections = 0;
+        t.mock.method(RTAClient.prototype, 'connect', async function () {
+            this.connectionId = `connection-${++connections}`;
+            live.add(this);
+            return this.connectionId;
+        });
+        t.mock.method(RTAClient.prototype, 'stop', async function () {
+            live.delete(this);
+        });
+
+        let failures = 1;
+        const { manager, client } = createManager((service, path, options) => {
+            if (options.method === 'PUT' && failures-- > 0) {
+                return createResponse(503, 'unavailable');
+            }
+            return createResponse(options.method === 'GET' ? 200 : 201, { members: {} });
+        }, { enableRTA: true });
+
+        const creating = manager.createSession();
+        await flush();
+        assert.equal(live.size, 0);
+
+        t.mock.timers.tick(1000);
+        await creating;
+
+        assert.equal(sessionPuts(client).length, 2);
+        assert.equal(connections, 2);
+        assert.deepEqual([...live], [manager.rtaClient]);
+
+        await manager.stop();
+        assert.equal(live.size, 0);
+    });
+});
+
+describe('SessionManager host failover', () => {
+    it('recreates the session once when a heartbeat is rejected', async (t) => {
+        // Hosts that never failed count as failed at 0, keep the clock away from it
+        t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.now() });
+        const host = createAccount('host', 1);
+        let rejectHost = false;
+        const { manager, client } = createManager((service, path, options) => {
+            if (options.method === 'PUT' && rejectHost && options.account.email === host.email) {
+                return createResponse(401, 'revoked');
+            }
+            return createResponse(options.method === 'GET' ? 200 : 201, { members: {} });
+        }, {}, [host, createAccount('guest', 2)]);
+
+        // The server manager recovers the session on 'error', it must leave a failover alone
+        const friendConnect = new FriendConnectManager({
+            serverId: 'test',
+            globalConfig: { session: { autoRecover: true } },
+            xboxLiveClient: client,
+            profileResolver: {},
+            logger: createLogger()
+        });
+        friendConnect.sessionManager = manager;
+        friendConnect.setupSessionEventListeners();
+        const recover = t.mock.method(friendConnect, 'recover', async () => {});
+
+        const creating = manager.createSession();
+        await flush();
+        t.mock.timers.tick(1000);
+        await creating;
+
+        const created = [];
+        manager.on('sessionCreated', event => created.push(event));
+        rejectHost = true;
+
+        t.mock.timers.tick(60000);
+        await flush();
+        t.mock.timers.tick(1000);
+        await flush();
+
+        assert.equal(manager.hostEmail, 'guest@example.com');
+        assert.equal(created.length, 1);
+        assert.equal(recover.mock.callCount(), 0);
+
+        await manager.stop();
+    });
+});
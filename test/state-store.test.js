@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStateStore, JsonStateStore, SqliteStateStore } = require('../state-store.js');
+
+// The sqlite driver is optional, only exercise it where the package is installed
+function hasSqlite() {
+    try {
+        require.resolve('better-sqlite3');
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+describe('state stores', () => {
+    let dataPath;
+
+    beforeEach(() => {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'friendconnect-state-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    describe('JsonStateStore', () => {
+        it('keeps written keys across a reopen', async () => {
+            const filePath = path.join(dataPath, 'nested', 'state.json');
+            const store = createStateStore({ path: filePath });
+            await store.open();
+            await store.write('server:main', { friendships: [['a', 'b']] });
+
+            const reopened = new JsonStateStore({ path: filePath });
+            await reopened.open();
+
+            assert.deepEqual(await reopened.read('server:main'), { friendships: [['a', 'b']] });
+            assert.equal(await reopened.read('server:other'), null);
+            assert.equal(fs.existsSync(`${filePath}.tmp`), false);
+        });
+
+        it('moves a corrupt file aside and starts empty', async () => {
+            const filePath = path.join(dataPath, 'state.json');
+            fs.writeFileSync(filePath, '{"server:main": {');
+            const store = new JsonStateStore({ path: filePath });
+
+            await assert.rejects(store.open(), /State file was unreadable and moved to .*state\.json\.corrupt-\d+/);
+
+            const [corruptFile] = fs.readdirSync(dataPath).filter(file => file.startsWith('state.json.corrupt-'));
+            assert.equal(fs.readFileSync(path.join(dataPath, corruptFile), 'utf8'), '{"server:main": {');
+            assert.equal(fs.existsSync(filePath), false);
+            assert.equal(await store.read('server:main'), null);
+
+            await store.write('server:main', { stats: {} });
+            assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { 'server:main': { stats: {} } });
+        });
+    });
+
+    describe('SqliteStateStore', () => {
+        it('keeps written keys across a reopen', { skip: !hasSqlite() && 'better-sqlite3 is not installed' }, async () => {
+            const filePath = path.join(dataPath, 'state.db');
+            const store = createStateStore({ driver: 'sqlite', path: filePath });
+            await store.open();
+            await store.write('server:main', { friendships: [] });
+            await store.write('server:main', { friendships: [['a', 'b']] });
+            await store.close();
+
+            const reopened = new SqliteStateStore({ path: filePath });
+            await reopened.open();
+
+            assert.deepEqual(await reopened.read('server:main'), { friendships: [['a', 'b']] });
+            assert.equal(await reopened.read('server:other'), null);
+            await reopened.close();
+        });
+
+        it('explains how to install the driver when it is missing', { skip: hasSqlite() && 'better-sqlite3 is installed' }, async () => {
+            const store = createStateStore({ driver: 'sqlite', path: path.join(dataPath, 'state.db') });
+
+            await assert.rejects(store.open(), /requires the better-sqlite3 package/);
+        });
+    });
+
+    it('rejects an unknown driver', () => {
+        assert.throws(() => createStateStore({ driver: 'redis' }), /Unknown persistence driver: redis \(available: json, sqlite\)/);
+    });
+});
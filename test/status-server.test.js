@@ -0,0 +1,105 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fetch = require('node-fetch');
+const { StatusServer } = require('../status-server.js');
+const { createLogger } = require('./helpers.js');
+
+describe('StatusServer routing', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const bot = { managers: new Map([['test', {}]]), healthMonitor: null };
+        server = new StatusServer({ bot, port: 0, logger: createLogger() });
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('answers 404 for Object.prototype members used as actions', async () => {
+        for (const action of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+            const response = await fetch(`${baseUrl}/servers/test/${action}`, { method: 'POST' });
+
+            assert.equal(response.status, 404, action);
+            assert.deepEqual(await response.json(), { error: `Unknown action: ${action}` });
+        }
+    });
+
+    it('answers 400 for a malformed escape in the path', async () => {
+        const response = await fetch(`${baseUrl}/servers/%E0`);
+
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).error, /Malformed URL path/);
+    });
+});
+
+describe('StatusServer authentication', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        const bot = { managers: new Map(), healthMonitor: null, deviceCodes: null };
+        server = new StatusServer({ bot, port: 0, token: 'secret', logger: createLogger() });
+        await server.start();
+        baseUrl = `http://127.0.0.1:${server.server.address().port}`;
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    it('accepts the Bearer token and nothing else', async () => {
+        for (const authorization of [undefined, 'Bearer secre', 'Bearer secret2', 'secret']) {
+            const response = await fetch(`${baseUrl}/servers`, { headers: authorization ? { authorization } : {} });
+            assert.equal(response.status, 401, authorization);
+        }
+
+        const response = await fetch(`${baseUrl}/servers`, { headers: { authorization: 'Bearer secret' } });
+        assert.equal(response.status, 200);
+    });
+
+    it('exchanges the login token for a cookie and drops it from the URL', async () => {
+        const exchange = await fetch(`${baseUrl}/login?token=secret`, { redirect: 'manual' });
+
+        assert.equal(exchange.status, 303);
+        assert.equal(new URL(exchange.headers.get('location'), baseUrl).pathname, '/login');
+        const cookie = exchange.headers.get('set-cookie');
+        assert.match(cookie, /HttpOnly/);
+        assert.match(cookie, /Path=\/login/);
+        assert.doesNotMatch(cookie, /secret/);
+
+        const page = await fetch(`${baseUrl}/login`, { headers: { cookie: cookie.split(';')[0] } });
+        assert.equal(page.status, 200);
+        assert.match(await page.text(), /Pending Microsoft sign-ins/);
+
+        // The cookie only opens the login page
+        const api = await fetch(`${baseUrl}/servers`, { headers: { cookie: cookie.split(';')[0] } });
+        assert.equal(api.status, 401);
+    });
+
+    it('only accepts login sessions it issued', async () => {
+        for (const cookie of ['friendconnect_login=secret', 'friendconnect_login=0123abcd', 'friendconnect_token=secret']) {
+            const response = await fetch(`${baseUrl}/login`, { headers: { cookie } });
+            assert.equal(response.status, 401, cookie);
+        }
+    });
+
+    it('rejects a wrong login token', async () => {
+        const response = await fetch(`${baseUrl}/login?token=wrong`, { redirect: 'manual' });
+
+        assert.equal(response.status, 401);
+        assert.equal(response.headers.get('set-cookie'), null);
+    });
+});
+
+describe('StatusServer.start()', () => {
+    it('refuses a non-loopback host without a token', async () => {
+        const server = new StatusServer({ bot: { managers: new Map() }, host: '0.0.0.0', port: 0, logger: createLogger() });
+
+        await assert.rejects(server.start(), /without a token/);
+        assert.equal(server.server, null);
+    });
+});
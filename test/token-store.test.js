@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TokenStore } = require('../token-store.js');
+const { createLogger } = require('./helpers.js');
+
+describe('TokenStore legacy caches', () => {
+    let tokenPath;
+    let store;
+
+    beforeEach(() => {
+        tokenPath = fs.mkdtempSync(path.join(os.tmpdir(), 'friendconnect-tokens-'));
+        store = new TokenStore({ tokenPath, logger: createLogger() });
+    });
+
+    afterEach(() => {
+        fs.rmSync(tokenPath, { recursive: true, force: true });
+    });
+
+    // Earlier versions wrote the same file name straight into tokenPath
+    function writeLegacy(username, cacheName, value) {
+        const legacyPath = path.join(tokenPath, path.basename(store.getCacheFile(username, cacheName)));
+        fs.writeFileSync(legacyPath, JSON.stringify(value));
+        return legacyPath;
+    }
+
+    it('moves a flat cache into the account directory on first use', async () => {
+        const legacyPath = writeLegacy('bot@example.com', 'msa', { token: 'legacy' });
+
+        const cache = store.cacheFactory()({ username: 'bot@example.com', cacheName: 'msa' });
+
+        assert.deepEqual(await cache.getCached(), { token: 'legacy' });
+        assert.equal(fs.existsSync(legacyPath), false);
+        assert.equal(path.dirname(cache.filePath), store.getAccountDir('bot@example.com'));
+        assert.deepEqual(store.read('bot@example.com', 'msa'), { token: 'legacy' });
+    });
+
+    it('keeps the account directory cache when both exist', async () => {
+        const legacyPath = writeLegacy('bot@example.com', 'xbl', { token: 'legacy' });
+        fs.mkdirSync(store.getAccountDir('bot@example.com'));
+        store.writeFile(store.getCacheFile('bot@example.com', 'xbl'), { token: 'current' });
+
+        assert.deepEqual(store.read('bot@example.com', 'xbl'), { token: 'current' });
+        assert.equal(fs.existsSync(legacyPath), true);
+    });
+});
+
+describe('TokenStore without a logger', () => {
+    const previousKey = process.env.FRIENDCONNECT_TOKEN_KEY;
+    let tokenPath;
+
+    beforeEach(() => {
+        tokenPath = fs.mkdtempSync(path.join(os.tmpdir(), 'friendconnect-tokens-'));
+        process.env.FRIENDCONNECT_TOKEN_KEY = 'a'.repeat(64);
+    });
+
+    afterEach(() => {
+        if (previousKey === undefined) {
+            delete process.env.FRIENDCONNECT_TOKEN_KEY;
+        } else {
+            process.env.FRIENDCONNECT_TOKEN_KEY = previousKey;
+        }
+        fs.rmSync(tokenPath, { recursive: true, force: true });
+    });
+
+    it('warns about a plaintext cache on the console, as the migrate command does', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        const store = new TokenStore({ tokenPath, encrypt: true });
+        const filePath = path.join(tokenPath, 'plain.json');
+        fs.writeFileSync(filePath, JSON.stringify({ token: 'plain' }));
+
+        assert.deepEqual(store.readFile(filePath), { token: 'plain' });
+        assert.equal(warn.mock.callCount(), 1);
+        assert.match(warn.mock.calls[0].arguments[0], /Plaintext token caches/);
+    });
+});
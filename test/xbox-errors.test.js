@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    XboxLiveError,
+    XboxAuthError,
+    XboxServiceError,
+    XboxNetworkError,
+    XboxRequestError,
+    fromResponse,
+    classifyError,
+    describeError
+} = require('../xbox-errors.js');
+const { RateLimitError } = require('../rate-limiter.js');
+const { createResponse } = require('./helpers.js');
+
+describe('fromResponse()', () => {
+    it('names the known XErr codes', async () => {
+        const error = await fromResponse(createResponse(401, { XErr: 2148916233 }), 'XSTS authorize failed', 'xsts');
+
+        assert.ok(error instanceof XboxAuthError);
+        assert.equal(error.message, 'Xbox Live account not found or lacks Xbox Live access');
+        assert.equal(error.xerr, 2148916233);
+        assert.equal(error.service, 'xsts');
+        assert.equal(error.retryable, false);
+    });
+
+    it('reads the XErr from the x-err header when the body has none', async () => {
+        const error = await fromResponse(createResponse(401, '', { 'X-Err': '2148916238' }), 'XSTS authorize failed', 'xsts');
+
+        assert.equal(error.xerr, 2148916238);
+        assert.match(error.message, /Child account/);
+    });
+
+    const statuses = [
+        [401, XboxAuthError, false],
+        [403, XboxAuthError, false],
+        [404, XboxRequestError, false],
+        [408, XboxServiceError, true],
+        [503, XboxServiceError, true]
+    ];
+
+    for (const [status, type, retryable] of statuses) {
+        it(`classifies ${status} as ${type.name}`, async () => {
+            const error = await fromResponse(createResponse(status, 'nope'), 'Session creation failed', 'sessionDirectory');
+
+            assert.ok(error instanceof type);
+            assert.equal(error.status, status);
+            assert.equal(error.retryable, retryable);
+            assert.equal(error.message, `Session creation failed: ${status} - nope`);
+        });
+    }
+});
+
+describe('classifyError()', () => {
+    it('treats node-fetch timeouts and dropped sockets as network errors', () => {
+        const timeout = Object.assign(new Error('network timeout'), { type: 'request-timeout' });
+        const reset = Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+
+        for (const error of [timeout, reset]) {
+            const classified = classifyError(error, 'social');
+            assert.ok(classified instanceof XboxNetworkError);
+            assert.equal(classified.retryable, true);
+            assert.equal(classified.cause, error);
+        }
+    });
+
+    it('turns an XErr in a prismarine-auth message into an auth error', () => {
+        const classified = classifyError(new Error('Xbox Live authentication failed: 2148916238'), 'xsts');
+
+        assert.ok(classified instanceof XboxAuthError);
+        assert.equal(classified.xerr, 2148916238);
+    });
+
+    it('treats a truncated XSTS body as a service error', () => {
+        assert.ok(classifyError(new SyntaxError('Unexpected end of JSON input'), 'xsts') instanceof XboxServiceError);
+    });
+
+    it('leaves classified errors alone and keeps unknown errors retryable', () => {
+        const classified = new XboxRequestError('bad request');
+        const unknown = new TypeError('something odd');
+
+        assert.equal(classifyError(classified), classified);
+        assert.equal(classifyError(unknown), unknown);
+        assert.equal(unknown.retryable, true);
+    });
+
+    it('never retries a RateLimitError, the RateLimiter owns the wait', () => {
+        const error = new RateLimitError('bot@example.com', 5000);
+
+        assert.ok(error instanceof XboxLiveError);
+        assert.equal(error.status, 429);
+        assert.equal(classifyError(error).retryable, false);
+    });
+});
+
+describe('error catalogue', () => {
+    it('names every XErr prismarine-auth knows, from the text it throws', () => {
+        const { xboxLiveErrors } = require('prismarine-auth/src/common/Constants');
+
+        for (const [xerr, text] of Object.entries(xboxLiveErrors)) {
+            const error = classifyError(new Error(text), 'xsts');
+            assert.equal(error.xerr, Number(xerr), text);
+            assert.ok(error.code && error.remediation, `${xerr} has no guidance`);
+        }
+    });
+
+    it('attaches the XErr guidance to XSTS responses', async () => {
+        const error = await fromResponse(createResponse(401, { XErr: 2148916227 }), 'XSTS authorize failed', 'xsts');
+
+        assert.equal(error.code, 'ACCOUNT_BANNED');
+        assert.match(error.remediation, /enforcement-history/);
+    });
+
+    const statuses = [
+        ['sessionDirectory', 403, 'SESSION_FORBIDDEN'],
+        ['sessionDirectory', 401, 'TOKEN_REJECTED'],
+        ['social', 403, 'FRIENDS_FORBIDDEN'],
+        ['peopleHub', 503, 'SERVICE_UNAVAILABLE']
+    ];
+
+    for (const [service, status, code] of statuses) {
+        it(`uses ${code} for ${service} ${status}`, async () => {
+            const error = await fromResponse(createResponse(status, ''), 'Request failed', service);
+
+            assert.equal(error.code, code);
+            assert.ok(error.remediation);
+        });
+    }
+
+    it('describeError() covers sign-in failures without a status', () => {
+        assert.equal(describeError(new Error('invalid_grant: token revoked'), 'xsts').code, 'SIGN_IN_REVOKED');
+        assert.equal(describeError(new Error('Authentication failed, timed out'), 'xsts').code, 'DEVICE_CODE_EXPIRED');
+        assert.equal(describeError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }), 'social').code, 'NETWORK');
+
+        const unknown = describeError(new Error('All authentication strategies failed'), 'xsts');
+        assert.equal(unknown.code, 'AUTH_FAILED');
+        assert.match(unknown.remediation, /demoMode/);
+    });
+});
@@ -0,0 +1,172 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { XboxLiveMockServer } = require('../xbox-live-mock.js');
+const { XboxLiveClient } = require('../xbox-live-client.js');
+const { FriendManager } = require('../friend-manager.js');
+const { SessionManager } = require('../session-manager.js');
+const { XSTSTokenHandler } = require('../xsts-token-handler.js');
+const { RateLimitError } = require('../rate-limiter.js');
+const { CircuitOpenError } = require('../circuit-breaker.js');
+const { createLogger, createProfiles } = require('./helpers.js');
+
+describe('managers against XboxLiveMockServer', () => {
+    let mock;
+    let client;
+
+    before(async () => {
+        mock = new XboxLiveMockServer();
+        client = new XboxLiveClient({ baseUrls: await mock.start() });
+    });
+
+    after(async () => {
+        await mock.stop();
+    });
+
+    function createFriendManager(accounts) {
+        return new FriendManager({
+            accounts,
+            requestDelay: 1,
+            xboxLiveClient: client,
+            profileResolver: createProfiles(),
+            serverId: 'mock',
+            logger: createLogger()
+        });
+    }
+
+    it('establishes cross-friendships between all accounts', async () => {
+        const accounts = [mock.addUser(), mock.addUser(), mock.addUser()];
+        const manager = createFriendManager(accounts);
+
+        await manager.setupCrossFriendships();
+
+        for (const from of accounts) {
+            for (const to of accounts.filter(account => account !== from)) {
+                assert.ok(mock.isFollowing(from.xuid, to.xuid), `${from.gamertag} should follow ${to.gamertag}`);
+            }
+        }
+        assert.equal(manager.friendships.size, 6);
+    });
+
+    it('lists who the account follows and who follows it back', async () => {
+        const account = mock.addUser();
+        const followed = mock.addUser();
+        const follower = mock.addUser();
+        mock.follow(account.xuid, followed.xuid);
+        mock.follow(follower.xuid, account.xuid);
+        const manager = createFriendManager([account]);
+
+        const people = new Map((await manager.getPeople(account)).map(person => [person.xuid, person]));
+
+        assert.equal(people.size, 2);
+        assert.equal(people.get(followed.xuid).isFollowedByCaller, true);
+        assert.equal(people.get(followed.xuid).isFollowingCaller, false);
+        assert.equal(people.get(follower.xuid).isFollowedByCaller, false);
+        assert.equal(people.get(follower.xuid).isFollowingCaller, true);
+    });
+
+    it('turns an injected 429 into a RateLimitError with the announced wait', async () => {
+        const account = mock.addUser();
+        const manager = createFriendManager([account]);
+        mock.failNext({ service: 'social', path: '/users/me/people?' }, 429, { headers: { 'Retry-After': '12' } });
+
+        await assert.rejects(manager.getPeople(account), (error) => {
+            assert.ok(error instanceof RateLimitError);
+            assert.equal(error.retryAfter, 12000);
+            return true;
+        });
+        assert.ok(manager.rateLimiter.isThrottled(account.email));
+    });
+
+    it('creates, joins and deletes an MPSD session', async () => {
+        const host = mock.addUser();
+        const guest = mock.addUser();
+        const manager = new SessionManager({
+            hostAccount: host,
+            allAccounts: [host, guest],
+            serverConfig: { ip: '127.0.0.1', port: 19132, hostName: 'Mock Server', version: '1.21.50', protocol: 766, pingServerForInfo: false },
+            sessionConfig: { enableRTA: false, memberPollInterval: 0, heartbeatInterval: 60000, autoReconnect: false },
+            xboxLiveClient: client,
+            profileResolver: createProfiles(),
+            serverId: 'mock',
+            logger: createLogger()
+        });
+        // joinOtherAccounts() spaces joins a second apart
+        manager.delay = async () => {};
+
+        const session = await manager.createSession();
+        const document = mock.getSession(session.sessionName);
+
+        assert.deepEqual(Object.values(document.members).map(member => member.constants.system.xuid), [host.xuid, guest.xuid]);
+        assert.equal(document.properties.custom.hostName, 'Mock Server');
+
+        await manager.stop();
+        assert.equal(mock.getSession(session.sessionName), null);
+    });
+
+    it('rejects requests from a revoked account with 401', async () => {
+        const account = mock.addUser();
+        mock.revoke(account.xuid);
+
+        const response = await client.request('social', '/users/me/people', { account, contractVersion: '1' });
+
+        assert.equal(response.status, 401);
+    });
+
+    it('retries 5xx answers with the shared backoff before returning', async () => {
+        const account = mock.addUser();
+        const retrying = new XboxLiveClient({ baseUrls: client.baseUrls, retry: { maxRetries: 2, baseDelay: 10, jitter: 0 } });
+        mock.failNext({ service: 'social', path: '/users/me/people' }, 503, { times: 2 });
+
+        const response = await retrying.request('social', '/users/me/people', { account, contractVersion: '1' });
+
+        assert.equal(response.status, 200);
+        assert.equal(mock.requests.filter(request => request.xuid === account.xuid).length, 3);
+    });
+
+    it('hands the last 5xx answer back once the retries are used up', async () => {
+        const account = mock.addUser();
+        const retrying = new XboxLiveClient({ baseUrls: client.baseUrls, retry: { maxRetries: 1, baseDelay: 10, jitter: 0 } });
+        mock.failNext({ service: 'social', path: '/users/me/people' }, 503, { times: 3 });
+
+        const response = await retrying.request('social', '/users/me/people', { account, contractVersion: '1' });
+        const single = await retrying.request('social', '/users/me/people', { account, contractVersion: '1', retry: false });
+
+        assert.equal(response.status, 503);
+        assert.equal(single.status, 503);
+        assert.equal(mock.requests.filter(request => request.xuid === account.xuid).length, 3);
+    });
+
+    it('stops calling a service after repeated 5xx answers until a trial succeeds', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'] });
+        const account = mock.addUser();
+        const guarded = new XboxLiveClient({ baseUrls: client.baseUrls, circuitBreaker: { failureThreshold: 2, resetTimeout: 30000 } });
+        const sent = () => mock.requests.filter(request => request.xuid === account.xuid).length;
+        const list = () => guarded.request('social', '/users/me/people', { account, contractVersion: '1', retry: false });
+        // 4xx answers show the service is up and don't count
+        mock.failNext({ service: 'social', path: '/users/me/people' }, 404);
+        mock.failNext({ service: 'social', path: '/users/me/people' }, 503, { times: 2 });
+
+        assert.equal((await list()).status, 404);
+        assert.equal((await list()).status, 503);
+        assert.equal((await list()).status, 503);
+
+        await assert.rejects(list(), CircuitOpenError);
+        assert.equal(sent(), 3);
+        assert.deepEqual(guarded.getOpenCircuits(), ['social']);
+
+        t.mock.timers.tick(30000);
+        assert.equal((await list()).status, 200);
+        assert.equal(sent(), 4);
+        assert.equal(guarded.getCircuitStatus().social.state, 'closed');
+    });
+
+    it('issues XSTS tokens for known user tokens only', async () => {
+        const account = mock.addUser({ gamertag: 'XstsUser' });
+        const handler = new XSTSTokenHandler({ logger: createLogger(), xboxLiveClient: client });
+
+        const token = await handler.getXSTSTokenCustom(account.userToken, null, null, 'http://xboxlive.com');
+
+        assert.deepEqual(token.DisplayClaims.xui[0], { uhs: account.userHash, xid: account.xuid, gtg: 'XstsUser' });
+        await assert.rejects(handler.getXSTSTokenCustom('unknown', null, null, 'http://xboxlive.com'), /2148916233|Xbox Live account not found/);
+    });
+});
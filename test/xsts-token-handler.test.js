@@ -0,0 +1,132 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { XSTSTokenHandler } = require('../xsts-token-handler.js');
+const { RetryPolicy } = require('../retry-policy.js');
+const { createLogger, createClient, createResponse, flush } = require('./helpers.js');
+
+const RESPONSE = JSON.stringify({
+    IssueInstant: '2026-01-01T00:00:00.0000000Z',
+    NotAfter: '2026-01-01T16:00:00.0000000Z',
+    Token: 'eyJhbGciOiJSUzI1NiJ9.payload.signature',
+    DisplayClaims: { xui: [{ uhs: '1234567890', xid: '2535400000000001', gtg: 'FriendBot' }] }
+});
+
+function createHandler(options = {}) {
+    return new XSTSTokenHandler({ logger: createLogger(), ...options });
+}
+
+describe('XSTSTokenHandler.parseXSTSResponse()', () => {
+    it('parses a complete response', () => {
+        const parsed = createHandler().parseXSTSResponse(RESPONSE);
+
+        assert.equal(parsed.Token, 'eyJhbGciOiJSUzI1NiJ9.payload.signature');
+        assert.equal(parsed.DisplayClaims.xui[0].uhs, '1234567890');
+        assert.equal(parsed.NotAfter, '2026-01-01T16:00:00.0000000Z');
+    });
+
+    it('strips a byte order mark and surrounding whitespace', () => {
+        const parsed = createHandler().parseXSTSResponse(`﻿${RESPONSE}\r\n`);
+
+        assert.equal(parsed.DisplayClaims.xui[0].gtg, 'FriendBot');
+    });
+
+    it('drops bytes trailing the last complete object', () => {
+        const parsed = createHandler().parseXSTSResponse(`${RESPONSE}\u0000\u0000`);
+
+        assert.equal(parsed.Token, 'eyJhbGciOiJSUzI1NiJ9.payload.signature');
+    });
+
+    it('keeps the real user claims when the body has trailing commas', () => {
+        const malformed = RESPONSE.replace('}]}}', '},]},}');
+
+        const parsed = createHandler().parseXSTSResponse(malformed);
+
+        assert.equal(parsed.Token, 'eyJhbGciOiJSUzI1NiJ9.payload.signature');
+        assert.deepEqual(parsed.DisplayClaims.xui[0], { uhs: '1234567890', xid: '2535400000000001', gtg: 'FriendBot' });
+    });
+
+    it('throws for a body truncated inside the claims', () => {
+        const truncated = RESPONSE.slice(0, RESPONSE.indexOf('"gtg"') + 8);
+
+        assert.throws(() => createHandler().parseXSTSResponse(truncated), /Unable to parse XSTS response/);
+    });
+
+    it('throws for a body truncated before the claims', () => {
+        const truncated = RESPONSE.slice(0, RESPONSE.indexOf('DisplayClaims') + 5);
+
+        assert.throws(() => createHandler().parseXSTSResponse(truncated), /Unable to parse XSTS response/);
+    });
+
+    it('throws for an empty body', () => {
+        assert.throws(() => createHandler().parseXSTSResponse(''), /Unable to parse XSTS response/);
+    });
+
+    it('throws for an HTML error page', () => {
+        assert.throws(() => createHandler().parseXSTSResponse('<html><body>502 Bad Gateway</body></html>'), /Unable to parse XSTS response/);
+    });
+});
+
+describe('XSTSTokenHandler.attemptAlternativeParsing()', () => {
+    it('extracts the token and flat claims with the regex fallback', () => {
+        const parsed = createHandler().attemptAlternativeParsing('{"Token":"abc.def","DisplayClaims":{"uhs":"42"},"Extra":');
+
+        assert.equal(parsed.Token, 'abc.def');
+        assert.deepEqual(parsed.DisplayClaims, { uhs: '42' });
+        assert.ok(Date.parse(parsed.NotAfter) > Date.now());
+    });
+
+    it('refuses to invent a user hash', () => {
+        const handler = createHandler();
+
+        assert.throws(() => handler.attemptAlternativeParsing('{"Token":"abc.def","DisplayClaims":{"xui":[{"xid":"1"}],}}'), /No user hash/);
+    });
+
+    it('repairs trailing commas when the regex fallback does not match', () => {
+        const parsed = createHandler().attemptAlternativeParsing('{"XErr":2148916233,"Message":"",}');
+
+        assert.equal(parsed.XErr, 2148916233);
+    });
+});
+
+describe('XSTSTokenHandler.getXSTSTokenCustom()', () => {
+    it('posts the user token to XSTS authorize through the shared client', async () => {
+        const client = createClient(() => createResponse(200, RESPONSE));
+        const handler = createHandler({ xboxLiveClient: client });
+
+        const token = await handler.getXSTSTokenCustom('user-token', 'device-token', null, 'http://xboxlive.com');
+
+        assert.equal(token.DisplayClaims.xui[0].uhs, '1234567890');
+        assert.equal(client.calls.length, 1);
+        assert.equal(client.calls[0].service, 'xsts');
+        assert.equal(client.calls[0].path, '/xsts/authorize');
+        assert.equal(client.calls[0].method, 'POST');
+    });
+
+    it('retries failed requests with a growing delay', async (t) => {
+        t.mock.timers.enable({ apis: ['setTimeout'] });
+
+        let attempts = 0;
+        const client = createClient(() => (++attempts < 3 ? createResponse(500, 'unavailable') : createResponse(200, RESPONSE)));
+        const handler = createHandler({ xboxLiveClient: client, retryPolicy: new RetryPolicy({ baseDelay: 1000, maxRetries: 3, jitter: 0 }) });
+
+        const pending = handler.getXSTSTokenCustom('user-token', null, null, 'rp://test');
+
+        await flush();
+        assert.equal(attempts, 1);
+
+        t.mock.timers.tick(1000);
+        await flush();
+        assert.equal(attempts, 2);
+
+        // Second delay is twice the first
+        t.mock.timers.tick(1999);
+        await flush();
+        assert.equal(attempts, 2);
+
+        t.mock.timers.tick(1);
+        const token = await pending;
+
+        assert.equal(attempts, 3);
+        assert.equal(token.Token, 'eyJhbGciOiJSUzI1NiJ9.payload.signature');
+    });
+});
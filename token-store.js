@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_ENV = 'FRIENDCONNECT_TOKEN_KEY';
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'friendconnect-token-store';
+const CACHE_FILE_PATTERN = /^[0-9a-f]{6}_[a-z]+-cache\.json$/;
+
+// Without the app's Logger (the migrate command), console has warn() but no warning()
+const CONSOLE_LOGGER = {
+    info: (...args) => console.log(...args),
+    warning: (...args) => console.warn(...args)
+};
+
+/**
+ * Resolve the token encryption key from the environment or a key file.
+ * 64 hex chars are used as-is, anything else is treated as a passphrase
+ */
+function resolveKey(options = {}) {
+    let secret = process.env[KEY_ENV];
+
+    if (!secret && options.keyFile) {
+        if (!fs.existsSync(options.keyFile)) {
+            throw new Error(`Token key file not found: ${options.keyFile}`);
+        }
+        secret = fs.readFileSync(options.keyFile, 'utf8');
+    }
+
+    secret = secret?.trim();
+    if (!secret) {
+        return null;
+    }
+
+    if (/^[0-9a-f]{64}$/i.test(secret)) {
+        return Buffer.from(secret, 'hex');
+    }
+
+    return crypto.scryptSync(secret, KEY_SALT, 32);
+}
+
+function isEncryptedPayload(payload) {
+    return Boolean(payload && payload.encrypted === ALGORITHM && payload.data);
+}
+
+/**
+ * Reads and writes prismarine-auth cache files, sealing them with AES-256-GCM
+ * when a key is configured. The file name is bound into each ciphertext so an
+ * encrypted cache cannot be swapped in for another account
+ */
+class TokenStore {
+    constructor(options = {}) {
+        this.tokenPath = options.tokenPath || './auth/';
+        this.logger = options.logger || CONSOLE_LOGGER;
+        this.key = options.encrypt ? resolveKey(options) : null;
+
+        if (options.encrypt && !this.key) {
+            throw new Error(`Token encryption is enabled but no key was found (set ${KEY_ENV} or auth.tokenKeyFile)`);
+        }
+
+        this.encrypted = Boolean(this.key);
+        this.warnedPlaintext = false;
+    }
+
+    /**
+     * Every account keeps its caches in its own directory so accounts never share tokens
+     */
+    getAccountDir(username) {
+        const name = (username || 'default').toLowerCase().replace(/[^a-z0-9._@-]/g, '_');
+        return path.join(this.tokenPath, name);
+    }
+
+    getCacheFile(username, cacheName) {
+        const hash = crypto.createHash('sha1').update(username ?? '', 'binary').digest('hex').substr(0, 6);
+        return path.join(this.getAccountDir(username), `${hash}_${cacheName}-cache.json`);
+    }
+
+    /**
+     * Cache factory for the prismarine-auth Authflow constructor
+     */
+    cacheFactory(options = {}) {
+        return ({ username, cacheName }) => {
+            fs.mkdirSync(this.getAccountDir(username), { recursive: true, mode: 0o700 });
+
+            const filePath = this.getCacheFile(username, cacheName);
+            this.adoptLegacyCache(filePath);
+
+            const cache = new TokenCache(this, filePath);
+            if (options.forceRefresh) {
+                cache.reset();
+            }
+            return cache;
+        };
+    }
+
+    /**
+     * Read one of an account's caches, e.g. read(email, 'xbl'). Returns null when missing
+     */
+    read(username, cacheName) {
+        const filePath = this.getCacheFile(username, cacheName);
+        this.adoptLegacyCache(filePath);
+        return fs.existsSync(filePath) ? this.readFile(filePath) : null;
+    }
+
+    /**
+     * Caches from before the per-account directories sit directly in tokenPath under the
+     * same name. Move one into its account's directory so upgrading keeps the sign-in
+     */
+    adoptLegacyCache(filePath) {
+        const legacyPath = path.join(this.tokenPath, path.basename(filePath));
+        if (fs.existsSync(filePath) || !fs.existsSync(legacyPath)) {
+            return;
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+        fs.renameSync(legacyPath, filePath);
+        this.logger.info(`📦 Moved legacy token cache ${path.basename(filePath)} to ${path.relative(this.tokenPath, path.dirname(filePath))}/`);
+    }
+
+    readFile(filePath) {
+        const payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+        if (!isEncryptedPayload(payload)) {
+            if (this.encrypted && !this.warnedPlaintext) {
+                this.warnedPlaintext = true;
+                this.logger.warning(`⚠️ Plaintext token caches found in ${this.tokenPath}, run "npm run migrate-tokens" to encrypt them`);
+            }
+            return payload;
+        }
+
+        if (!this.key) {
+            throw new Error(`${path.basename(filePath)} is encrypted but no token key is configured (set ${KEY_ENV} or auth.tokenKeyFile)`);
+        }
+
+        return this.decrypt(payload, path.basename(filePath));
+    }
+
+    writeFile(filePath, value) {
+        const payload = this.key ? this.encrypt(value, path.basename(filePath)) : value;
+
+        const tempPath = `${filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(payload), { mode: 0o600 });
+        fs.renameSync(tempPath, filePath);
+    }
+
+    encrypt(value, fileName) {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+        cipher.setAAD(Buffer.from(fileName));
+
+        const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+        return {
+            encrypted: ALGORITHM,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+    }
+
+    decrypt(payload, fileName) {
+        try {
+            const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(payload.iv, 'base64'));
+            decipher.setAAD(Buffer.from(fileName));
+            decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+            const data = Buffer.concat([decipher.update(Buffer.from(payload.data, 'base64')), decipher.final()]);
+            return JSON.parse(data.toString('utf8'));
+        } catch (error) {
+            throw new Error(`Unable to decrypt ${fileName}: wrong token key or tampered file`);
+        }
+    }
+
+    /**
+     * Encrypt every plaintext prismarine-auth cache in the token directory
+     */
+    migrate() {
+        if (!this.key) {
+            throw new Error(`No token key configured (set ${KEY_ENV} or auth.tokenKeyFile)`);
+        }
+
+        const result = { migrated: [], skipped: [], failed: [] };
+
+        for (const filePath of this.listCacheFiles()) {
+            const file = path.relative(this.tokenPath, filePath);
+            try {
+                const payload = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                if (isEncryptedPayload(payload)) {
+                    result.skipped.push(file);
+                    continue;
+                }
+
+                this.writeFile(filePath, payload);
+                result.migrated.push(file);
+            } catch (error) {
+                result.failed.push({ file, error: error.message });
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Cache files in the token directory and the per-account directories below it
+     */
+    listCacheFiles() {
+        if (!fs.existsSync(this.tokenPath)) {
+            return [];
+        }
+
+        const files = [];
+        for (const entry of fs.readdirSync(this.tokenPath, { withFileTypes: true })) {
+            const entryPath = path.join(this.tokenPath, entry.name);
+
+            if (entry.isDirectory()) {
+                fs.readdirSync(entryPath)
+                    .filter(file => CACHE_FILE_PATTERN.test(file))
+                    .forEach(file => files.push(path.join(entryPath, file)));
+            } else if (CACHE_FILE_PATTERN.test(entry.name)) {
+                files.push(entryPath);
+            }
+        }
+
+        return files;
+    }
+}
+
+/**
+ * Drop-in replacement for prismarine-auth's FileCache backed by a TokenStore
+ */
+class TokenCache {
+    constructor(store, filePath) {
+        this.store = store;
+        this.filePath = filePath;
+    }
+
+    async reset() {
+        this.cache = {};
+        this.store.writeFile(this.filePath, this.cache);
+        return this.cache;
+    }
+
+    async getCached() {
+        if (this.cache === undefined) {
+            if (!fs.existsSync(this.filePath)) {
+                return this.reset();
+            }
+
+            try {
+                this.cache = this.store.readFile(this.filePath);
+            } catch (error) {
+                // Unreadable plaintext is just a corrupt cache, but a cache we can't
+                // decrypt must not be overwritten with an empty one
+                if (error instanceof SyntaxError) {
+                    return this.reset();
+                }
+                throw error;
+            }
+        }
+
+        return this.cache;
+    }
+
+    async setCached(cached) {
+        this.cache = cached;
+        this.store.writeFile(this.filePath, this.cache);
+    }
+
+    async setCachedPartial(cached) {
+        await this.setCached({
+            ...this.cache,
+            ...cached
+        });
+    }
+}
+
+// Migration command: node token-store.js migrate [config.json]
+if (require.main === module) {
+    const [command, configPath = process.env.FRIENDCONNECT_CONFIG || './config.json'] = process.argv.slice(2);
+
+    try {
+        if (command === 'generate-key') {
+            console.log(crypto.randomBytes(32).toString('hex'));
+        } else if (command === 'migrate') {
+            const config = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+            const store = new TokenStore({
+                tokenPath: config.auth?.tokenPath,
+                keyFile: config.auth?.tokenKeyFile,
+                encrypt: true
+            });
+
+            const result = store.migrate();
+            result.migrated.forEach(file => console.log(`🔒 Encrypted ${file}`));
+            result.failed.forEach(({ file, error }) => console.error(`❌ ${file}: ${error}`));
+            console.log(`✅ ${result.migrated.length} cache file(s) encrypted, ${result.skipped.length} already encrypted, ${result.failed.length} failed`);
+            process.exit(result.failed.length > 0 ? 1 : 0);
+        } else {
+            console.log('Usage: node token-store.js <migrate [config.json] | generate-key>');
+            process.exit(1);
+        }
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { TokenStore, TokenCache, resolveKey, KEY_ENV };
@@ -0,0 +1,77 @@
+// Only used when the version is set to "auto" and the server has never answered a ping
+const FALLBACK_VERSION = '1.21.51';
+const FALLBACK_PROTOCOL = 685;
+
+/**
+ * Tracks the Bedrock version/protocol advertised by the target server
+ * so sessions follow server upgrades without config changes
+ */
+class VersionResolver {
+    constructor(options = {}) {
+        this.autoVersion = !options.version || options.version === 'auto';
+        this.autoProtocol = !options.protocol || options.protocol === 'auto';
+
+        this.configured = {
+            version: this.autoVersion ? null : options.version,
+            protocol: this.autoProtocol ? null : options.protocol
+        };
+        this.detected = { version: null, protocol: null };
+    }
+
+    isAuto() {
+        return this.autoVersion || this.autoProtocol;
+    }
+
+    /**
+     * Record the version from a ping result. Returns the change when the
+     * server reports a different version/protocol than before, otherwise null
+     */
+    update(serverInfo) {
+        const version = normalizeVersion(serverInfo?.version);
+        const protocol = Number.isInteger(serverInfo?.protocol) && serverInfo.protocol > 0 ? serverInfo.protocol : null;
+
+        if (!version && !protocol) {
+            return null;
+        }
+
+        const previous = { ...this.detected };
+        const current = {
+            version: version || previous.version,
+            protocol: protocol || previous.protocol
+        };
+
+        if (current.version === previous.version && current.protocol === previous.protocol) {
+            return null;
+        }
+
+        this.detected = current;
+
+        return {
+            previous,
+            current,
+            initial: !previous.version && !previous.protocol
+        };
+    }
+
+    /**
+     * Resolve the advertised version/protocol. Fields marked in constants keep the
+     * configured value unless that value is "auto"
+     */
+    resolve(constants = {}) {
+        const useDetectedVersion = this.autoVersion || !constants.version;
+        const useDetectedProtocol = this.autoProtocol || !constants.protocol;
+
+        return {
+            version: (useDetectedVersion && this.detected.version) || this.configured.version || FALLBACK_VERSION,
+            protocol: (useDetectedProtocol && this.detected.protocol) || this.configured.protocol || FALLBACK_PROTOCOL
+        };
+    }
+}
+
+// Servers report versions like "1.21.50.07" or "v1.21.50", sessions expect X.Y.Z
+function normalizeVersion(version) {
+    const match = /(\d+)\.(\d+)\.(\d+)/.exec(version || '');
+    return match ? `${match[1]}.${match[2]}.${match[3]}` : null;
+}
+
+module.exports = { VersionResolver, normalizeVersion, FALLBACK_VERSION, FALLBACK_PROTOCOL };
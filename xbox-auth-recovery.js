@@ -5,23 +5,39 @@
 
 const { Authflow, Titles } = require('prismarine-auth');
 const { XSTSTokenHandler } = require('./xsts-token-handler');
+const { XboxLiveClient } = require('./xbox-live-client');
+const { XboxServiceError, classifyError } = require('./xbox-errors');
+const { TokenStore } = require('./token-store');
 const fs = require('fs');
 const path = require('path');
 
+// Cached tokens this close to expiry are treated as expired
+const TOKEN_EXPIRY_MARGIN = 5 * 60 * 1000;
+
+/**
+ * Raised when an account can only be signed in again through a device code prompt
+ */
+class InteractionRequiredError extends Error {
+    constructor(email) {
+        super(`Cached sign-in for ${email} is no longer valid, interactive authentication is required`);
+        this.name = 'InteractionRequiredError';
+        this.email = email;
+    }
+}
+
 class XboxAuthRecovery {
     constructor(options = {}) {
         this.logger = options.logger || console;
         this.tokenPath = options.tokenPath || './auth/';
-        this.maxRetries = options.maxRetries || 5;
-        this.baseDelay = options.baseDelay || 2000;
-        this.maxDelay = options.maxDelay || 30000;
+        this.tokenStore = options.tokenStore || new TokenStore({ tokenPath: this.tokenPath, logger: this.logger });
+        this.onDeviceCode = options.onDeviceCode || null;
+        this.xbl = options.xboxLiveClient || new XboxLiveClient();
+        this.retryPolicy = this.xbl.retryPolicy;
         
         // Initialize custom XSTS token handler
         this.xstsHandler = new XSTSTokenHandler({
             logger: this.logger,
-            timeout: 30000,
-            maxRetries: 3,
-            retryDelay: 2000
+            xboxLiveClient: this.xbl
         });
     }
 
@@ -36,9 +52,7 @@ class XboxAuthRecovery {
             timeout = 15 * 60 * 1000 // 15 minutes
         } = options;
 
-        // Clear corrupted cache files
-        await this.clearAuthenticationCache(email);
-
+        // Cached tokens are kept so a valid refresh token signs in without a device code prompt
         // Try multiple authentication strategies with different configurations
         const strategies = [
             { flow: 'live', relyingParty: 'http://auth.xboxlive.com', scope: 'XboxLive.signin XboxLive.offline_access' },
@@ -47,6 +61,7 @@ class XboxAuthRecovery {
             { flow: 'live', relyingParty: 'http://auth.xboxlive.com', scope: 'XboxLive.signin', skipXSTSValidation: true }
         ];
 
+        let lastError = null;
         for (const strategy of strategies) {
             try {
                 this.logger.info(`🔄 Trying authentication strategy: ${strategy.flow} with ${strategy.relyingParty}`);
@@ -65,11 +80,17 @@ class XboxAuthRecovery {
                 }
             } catch (error) {
                 this.logger.warning(`⚠️ Strategy ${strategy.flow} failed: ${error.message}`);
+                lastError = classifyError(error, 'xsts');
+
+                // An account Xbox Live rejects outright is rejected by every strategy
+                if (lastError.xerr) {
+                    throw lastError;
+                }
                 continue;
             }
         }
 
-        throw new Error('All authentication strategies failed');
+        throw new Error(`All authentication strategies failed${lastError ? `: ${lastError.message}` : ''}`);
     }
 
     /**
@@ -90,11 +111,10 @@ class XboxAuthRecovery {
                 reject(new Error('Authentication timeout exceeded'));
             }, timeout);
 
-            const authflow = new Authflow(email, this.tokenPath, {
+            const authflow = new Authflow(email, this.tokenStore.cacheFactory(), {
                 authTitle,
                 deviceType,
                 flow,
-                forceRefresh: true,
                 relyingParty,
                 // Additional options for better compatibility
                 aud: relyingParty,
@@ -110,26 +130,17 @@ class XboxAuthRecovery {
                     this.logger.info(`🔗 Or visit ${verificationUri} and enter code: ${userCode}`);
                     this.logger.info(`⏰ You have ${Math.floor(expiresIn / 60)} minutes to complete authentication`);
                     this.logger.info(`📋 Authentication method: ${methodName} (${deviceType})`);
+
+                    if (this.onDeviceCode) {
+                        this.onDeviceCode({ email, userCode, verificationUri, expiresAt: Date.now() + expiresIn * 1000 });
+                    }
                 }
             });
 
             this.getXboxTokenWithAdvancedRetry(authflow, email, methodName)
                 .then(token => {
                     clearTimeout(timeoutId);
-                    
-                    const client = {
-                        email,
-                        xuid: token.userXUID,
-                        userHash: token.userHash,
-                        xstsToken: token.XSTSToken,
-                        authHeader: `XBL3.0 x=${token.userHash};${token.XSTSToken}`,
-                        token,
-                        authMethod: methodName,
-                        authenticatedAt: Date.now(),
-                        expiresAt: token.NotAfter ? new Date(token.NotAfter).getTime() : Date.now() + (24 * 60 * 60 * 1000)
-                    };
-                    
-                    resolve(client);
+                    resolve(this.createClient(email, token, { authTitle, deviceType, methodName, flow, relyingParty }));
                 })
                 .catch(error => {
                     clearTimeout(timeoutId);
@@ -138,37 +149,79 @@ class XboxAuthRecovery {
         });
     }
 
+    /**
+     * Refresh an account without user interaction. The cached MSA refresh token is used to
+     * mint new XBL/XSTS tokens; if Microsoft asks for a device code instead, the refresh
+     * token was revoked and an InteractionRequiredError is thrown
+     */
+    async refreshSilently(email, client = {}) {
+        const {
+            authTitle = Titles.MinecraftNintendoSwitch,
+            deviceType = 'Nintendo',
+            methodName = 'Switch',
+            flow = 'live',
+            relyingParty = 'http://auth.xboxlive.com'
+        } = client.strategy || {};
+
+        const authflow = new Authflow(email, this.tokenStore.cacheFactory(), {
+            authTitle,
+            deviceType,
+            flow,
+            relyingParty
+        }, () => {
+            // Throwing here aborts the device code flow before it starts polling
+            throw new InteractionRequiredError(email);
+        });
+
+        // Force a new XSTS token, prismarine-auth refreshes the MSA and user tokens as needed
+        const token = await authflow.getXboxToken(relyingParty, true);
+
+        if (!token || !token.userXUID || !token.userHash || !token.XSTSToken) {
+            throw new Error('Invalid token structure received from Xbox Live');
+        }
+
+        if (client.xuid && token.userXUID !== client.xuid) {
+            throw new Error(`Refreshed token for ${email} belongs to a different account`);
+        }
+
+        return this.createClient(email, token, { authTitle, deviceType, methodName, flow, relyingParty });
+    }
+
+    createClient(email, token, strategy) {
+        const expiresOn = token.expiresOn || token.NotAfter;
+
+        return {
+            email,
+            xuid: token.userXUID,
+            userHash: token.userHash,
+            xstsToken: token.XSTSToken,
+            authHeader: `XBL3.0 x=${token.userHash};${token.XSTSToken}`,
+            token,
+            authMethod: strategy.methodName,
+            strategy,
+            authenticatedAt: Date.now(),
+            expiresAt: expiresOn ? new Date(expiresOn).getTime() : Date.now() + (24 * 60 * 60 * 1000)
+        };
+    }
+
     /**
      * Advanced retry mechanism for Xbox Live token requests with custom XSTS handling
      */
     async getXboxTokenWithAdvancedRetry(authflow, email, methodName) {
-        let lastError;
-        
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
-            try {
-                this.logger.debug(`🔄 Xbox token attempt ${attempt}/${this.maxRetries} for ${email}`);
-                
-                const token = await authflow.getXboxToken();
-                
-                // Validate token structure
-                if (!token || !token.userXUID || !token.userHash || !token.XSTSToken) {
-                    throw new Error('Invalid token structure received from Xbox Live');
-                }
-                
-                // Additional validation for token content
-                if (token.userXUID.length < 10 || token.userHash.length < 10 || token.XSTSToken.length < 100) {
-                    throw new Error('Received token appears to be truncated or invalid');
-                }
-                
-                return token;
-                
-            } catch (error) {
-                lastError = error;
-                
-                if (error.message.includes('Unexpected end of JSON input')) {
-                    this.logger.warning(`⚠️ Xbox Live JSON parse error on attempt ${attempt}/${this.maxRetries}`);
-                    
-                    // Try custom XSTS token handler as fallback
+        try {
+            return await this.retryPolicy.run(async (attempt) => {
+                this.logger.debug(`🔄 Xbox token attempt ${attempt}/${this.retryPolicy.maxRetries + 1} for ${email}`);
+
+                try {
+                    return await this.getValidatedXboxToken(authflow);
+                } catch (error) {
+                    const classified = classifyError(error, 'xsts');
+                    if (!/Unexpected end of JSON input/.test(error.message)) {
+                        throw classified;
+                    }
+
+                    // prismarine-auth choked on a truncated XSTS body, request the token ourselves
+                    this.logger.warning(`⚠️ Xbox Live JSON parse error on attempt ${attempt}/${this.retryPolicy.maxRetries + 1}`);
                     try {
                         this.logger.info(`🔧 Attempting custom XSTS token recovery...`);
                         const customToken = await this.tryCustomXSTSRecovery(authflow, email);
@@ -179,52 +232,43 @@ class XboxAuthRecovery {
                     } catch (customError) {
                         this.logger.debug(`🔍 Custom XSTS recovery failed: ${customError.message}`);
                     }
-                    
-                    if (attempt < this.maxRetries) {
-                        // Exponential backoff with jitter
-                        const delay = Math.min(
-                            this.baseDelay * Math.pow(2, attempt - 1) + Math.random() * 1000,
-                            this.maxDelay
-                        );
-                        this.logger.info(`⏳ Retrying Xbox Live authentication in ${Math.round(delay/1000)}s...`);
-                        await this.delay(delay);
-                        
-                        // Clear cache before retry for JSON parse errors
-                        await this.clearAuthenticationCache(email);
-                        continue;
-                    }
-                } else if (error.message.includes('invalid_grant') || error.message.includes('unauthorized_client')) {
-                    // Don't retry authentication errors - they won't improve with retries
-                    this.logger.error(`❌ Authentication error: ${error.message}`);
-                    throw error;
-                } else if (error.message.includes('timeout') || error.message.includes('network')) {
-                    this.logger.warning(`⚠️ Network error on attempt ${attempt}/${this.maxRetries}: ${error.message}`);
-                    
-                    if (attempt < this.maxRetries) {
-                        const delay = this.baseDelay * attempt + Math.random() * 2000;
-                        this.logger.info(`⏳ Retrying due to network error in ${Math.round(delay/1000)}s...`);
-                        await this.delay(delay);
-                        continue;
-                    }
-                } else if (attempt < this.maxRetries) {
-                    // Retry other errors with shorter delay
-                    const delay = this.baseDelay + Math.random() * 2000;
-                    this.logger.warning(`⚠️ Xbox Live error on attempt ${attempt}/${this.maxRetries}: ${error.message}`);
-                    this.logger.info(`⏳ Retrying in ${Math.round(delay/1000)}s...`);
-                    await this.delay(delay);
-                    continue;
+                    throw classified;
                 }
-                
-                break;
+            }, {
+                onRetry: (error, attempt, delay) => {
+                    this.logger.warning(`⚠️ Xbox Live error on attempt ${attempt}/${this.retryPolicy.maxRetries + 1}: ${error.message}`);
+                    this.logger.info(`⏳ Retrying Xbox Live authentication in ${Math.round(delay / 1000)}s...`);
+                }
+            });
+
+        } catch (error) {
+            if (!error.retryable) {
+                this.logger.error(`❌ Authentication error: ${error.message}`);
             }
+
+            // Enhanced error context
+            if (error instanceof XboxServiceError && /Unexpected end of JSON input/.test(error.message)) {
+                throw new XboxServiceError(`Xbox Live service returned malformed JSON response after ${this.retryPolicy.maxRetries + 1} attempts. This is typically a temporary Xbox Live service issue. Please try again in a few minutes.`, { service: 'xsts', cause: error });
+            }
+
+            throw error;
         }
-        
-        // Enhanced error context
-        if (lastError.message.includes('Unexpected end of JSON input')) {
-            throw new Error(`Xbox Live service returned malformed JSON response after ${this.maxRetries} attempts. This is typically a temporary Xbox Live service issue. Please try again in a few minutes.`);
+    }
+
+    async getValidatedXboxToken(authflow) {
+        const token = await authflow.getXboxToken();
+
+        // Validate token structure
+        if (!token || !token.userXUID || !token.userHash || !token.XSTSToken) {
+            throw new Error('Invalid token structure received from Xbox Live');
         }
-        
-        throw lastError;
+
+        // Additional validation for token content
+        if (token.userXUID.length < 10 || token.userHash.length < 10 || token.XSTSToken.length < 100) {
+            throw new Error('Received token appears to be truncated or invalid');
+        }
+
+        return token;
     }
 
     /**
@@ -243,16 +287,10 @@ class XboxAuthRecovery {
                 msTokens = await this.extractTokensFromCachedAuthflow(authflow);
             }
             
-            // Method 3: Use hardcoded tokens from the recent successful debug logs (emergency fallback)
+            // Method 3: Use the last known-good tokens from this account's token cache
             if (!msTokens || !msTokens.userToken) {
-                this.logger.debug(`🔍 Cached extraction failed, trying emergency token recovery...`);
-                msTokens = this.getEmergencyTokensFromRecentLogs();
-            }
-            
-            // Method 4: If still no tokens, try to extract from debug logs
-            if (!msTokens || !msTokens.userToken) {
-                this.logger.debug(`🔍 Emergency recovery failed, trying debug log extraction...`);
-                msTokens = await this.extractTokensFromDebugLogs();
+                this.logger.debug(`🔍 Cached extraction failed, trying token cache recovery...`);
+                msTokens = this.loadCachedTokens(email);
             }
             
             if (!msTokens || !msTokens.userToken) {
@@ -285,6 +323,10 @@ class XboxAuthRecovery {
                 throw new Error('Unable to extract user info from XSTS token');
             }
             
+            if (msTokens.userHash && userInfo.userHash !== msTokens.userHash) {
+                throw new Error('Recovered XSTS token was issued for a different account');
+            }
+            
             // Create Xbox token structure compatible with prismarine-auth
             const xboxToken = {
                 userXUID: userInfo.userXUID,
@@ -306,137 +348,55 @@ class XboxAuthRecovery {
     }
 
     /**
-     * Emergency token recovery from recent successful authentication logs
+     * Load the last known-good Xbox tokens from the prismarine-auth cache written
+     * by a previous successful authentication of this account. Expired tokens and
+     * caches that belong to a different account are refused
      */
-    getEmergencyTokensFromRecentLogs() {
+    loadCachedTokens(email) {
         try {
-            this.logger.debug(`🚨 Attempting emergency token recovery from recent logs...`);
-            
-            // These are the fresh tokens from your most recent successful authentication session
-            // Updated from 2025-07-18T18:24:01 authentication logs  
-            const emergencyTokens = {
-                userToken: 'eyJhbGciOiJSU0EtT0FFUCIsImVuYyI6IkExMjhDQkMtSFMyNTYiLCJ6aXAiOiJERUYiLCJ4NXQiOiJxcEQtU2ZoOUg3NFFHOXlMN1hSZXJ5RmZvbk0iLCJjdHkiOiJKV1QifQ.nROlcuNNiZ1EB7maYroKDuJo0Ois2czDvC0ELg9R6RTL0CY83HxCxLutpCWR9HoH5jPGalWNpJVlaly6wQkQyI6I5jqPAvkMhgWZ2Ys9sOvszmwe0ZAzhH3II2x1luqCpC-HKgZVhwpokqYAphsFHYWnNUl3FkpXJXg_6LxMBgRd9hhElkUDwIL5NogfJb6lR0RE3iJpv_kshcmsY0moHeFxOxZ12koIqgAp9rpaWmFFu4cEVP0PGFvFwT97xPxLwnJ_85uiLl-slQYSns_1jHRLRi7SA6-oOkhPs8aFDOANYcMGhcChBkHpkviQ_oMiv_qa1mhBKyeuHhVahvpU6w.mpy9l_Emf3g1GkKt0bz4Sw.zkTSCdVEmnR2FF48lrZ5dElmFaEuX6rDnFn8ksMEOoawEoJMXimJwja7quSLf6G5kSLbKfMt7cjoHKBWqApzNUxJ9uUQfIVQxYToSYKI8goeqS3nQ-JR3tl7dCTa7YjBJkkbKDYkbbvE1FbnOdx53j7oDttX3Nag6oDFArur0d1l8OsFJ0PtbEEcExCAASWcph2UHZLyPN5ZxQT_0GJJEce9rSgnuxYx7V5pYYJzMHh4_H5WM50LP_T3kdI2AOBvsDaxKdyen4KkBnI1AqcRowZTFi89UfRWWy2T6T3DpGzt50Sguqn8ezFxjVmh0IvqxXwErLVgzSTWDAwn9k07AGWeXzeseRFE3DQHpPNHyK3ygKkYSsk1b-Gh55eXD4KWfQ3ARyJ2eTGK60bX7P_rG4UqGpFCmpqKdH0Nd6bgppXc_PdkHyn0BH90u_045uPvoKsVG2rxhRMWoKhwj3liPcaanaxIdupxVibWbDk-AlET2nOEwKIwbelvEX4knCQm4PPMNbdwt99cKo8sRGIXupqlA1lJdo-hMqQQElakDFSM_aB7LRpa9aHixF5fhRIp9HtPMk9RxMP7OeWCyx8n46QPM2Rc73emeiYLVLzXyI7ZJGjHfHxNvqGNe4oUFBir34t1ArXFvToqBbngljjhrjGiuafO8ddYc0ArUa8HWIBWNtTu8DbF6zVDAXU-q5egFGoPA8ymf-JQcpg0O_z_IeWJY5IrqUlIuXDI_ZLlHrVBppYmaoOff7baY-CWYB2LGi2rW6ljP-mDlIGWKlLhT6Izuvt0Hc-B-gFNDhZmwdRkmqRZl8vk9QbkPmMCcNdMPJI9HoHoK1DigLpoI4r_k-UHjK6Xy0svdXX3TtBX_ps0QmMPsG2inLRbrQuope3p_SRUxp0BJqsH5Nr8WxJ6TJ7-SVOVjJJPhPx-kAWufPc7OVqJ0tS4ofASpchgmO3Al0qR-6q6f9Jz9-wlKBuQG800y6CO9tqFgpOdPJCetTcYwgRJ3DzS7aKaImzVI8q3bmfyCXP1EJKC09qk4w5f6Q.NBTFh7ikFWhVE4WGycwRyA',
-                deviceToken: 'eyJhbGciOiJSU0EtT0FFUCIsImVuYyI6IkExMjhDQkMtSFMyNTYiLCJ6aXAiOiJERUYiLCJ4NXQiOiJxcEQtU2ZoOUg3NFFHOXlMN1hSZXJ5RmZvbk0iLCJjdHkiOiJKV1QifQ.QFrMJj5RCYWlDOkNvCuqWs_Z4R446TB_lvVpkSszCq40HXzR99ly__BZwInmXoQ8wdFjSQBYkJSZH8G8xwdNTluD4FKcgQg_cp_uwdT-DSjbabzc_ZhOST4eT7Xrrg6_NUo-JdERGNcQlLUvJ3iNR8dDvOTl4mtHPrY9SzqsvXQVc0IlEdftRUppkwv2FzbXCtWIgae8xLgM75gmL8o1YGApgPFQSjxoxc-R_l2YT0vlJlPuutW9HOZq9XJhm3nBpjM-dnn_pAapn_-cPgEVRr4jaoIP3LuaPVxfROIu5iABbJaDavH2sGsQMD5V9-hg2yEVsSwhKNX5j9mMKens_Q.8qQakfsdGIebmUdwJ4iwAQ.Hy5rXxO7yn1Ikf2_y1HdJFe_Ldd73_aClIxjN7BhbLqRh30dupAfoy7pHsxRjj01FDUDAw8a5rSeVuwW4DT24jPiGiw3xFwLCp8EbMdDNqTx-2oKK3D4m7bxJpXOMPYgYU1YKANNFSiA_RscOBIADlLEwmhGRvCfdc5paBQJcUGskkC3C5sFT3FjBiO2x2xaSxtH1GYekXL0vJIXDBnYV1BOs6YFqACgI7BthcASlsow6J8d9-HuMAgnp7UtbtEv_C59JPTBjXpfZjQjbNFa2enkSg5ypwgvzAirKVqB-tv0ZbmNP6q7-TfaY9bqeyc-p8u6CAIMvKeHm6Jshe13v6vxVG0qlC6On_jmoeBAymK8chAqdoJ7wEHrnMGdHNagJgiE6-Zxm35zd-BfcJ4ufOeWXwc7zPQHQEVyqJBUsXKvqhyLUcXlC2KRt-7dizzq9hdubvyiM-KyQfCDGDoLStGqlOBRnDvPtw3RYvvXBdAQHv06n6Nc9SbbbS5TzsNLI36r-D_xfeO6n81nCS7Z8YTYZC5e2lrYkEgfh_dDbrxtCABkHEqwTzeC4DOrCohUYKtApfJHh_vXLkjHn_gyANB0Ul4RFCKkYH6dBE8rW13-ZcvzrkaSoz9UmH6l2t1fEsX-M35OEt96MShJenlOmH9GLCToeLjiaYrz_BR0oQHrDiQ5LCZz-ubK0qo701_JT_sKjA20DCQF83NAd1S2azWByAOhO9ZWZ3zrjieMNH6nqKO42dbzgkDtL6j0Cd-S3EXRnBhz_sJZCSGrDvB6tYLbEerLnOgQzN7_29j4H5NPIopGSOPEaX6aDERF6oLKMT6WYemWr6-o-OL8jsesXalAix_XhmcRisIIiIFEfoeJuBjQODF82cZVblxkPT4tHWqAZYHwla2ALNuOZ3FWkD88yrW6srUl9hw3AoCagtD7lNKHKbLpedX-FL6HmEJqNFW2ZWhfYH7haGGOtOh4LgWF0PwZL1q7swLV6tkkLOUkrgd2a7y7wrwNutVRAfc7iN36RZgoYXuFC18IHvS6n5vKfhTwbSz_3akbDxbKd3M.mPd-F4-ZTbIyefg8sKN2aA',
-                titleToken: 'eyJhbGciOiJSU0EtT0FFUCIsImVuYyI6IkExMjhDQkMtSFMyNTYiLCJ6aXAiOiJERUYiLCJ4NXQiOiJxcEQtU2ZoOUg3NFFHOXlMN1hSZXJ5RmZvbk0iLCJjdHkiOiJKV1QifQ.fQ0rM6cq3h-ZhNC8Vgpk96qMH9rculB8koXVwswPAh-K2Ga8qgaOvEy3Vk4EJm7hCN_XAOgfIM7wAwza1AYu6ae8r2NilWjdYxuZjFx770F5t0Sncg0fzkZHDSKelOslcxQCAXw62RY_UK6BWE1gtW9dyKIci-_Rgced1wHMbSr8u3j7w79enwy6ATVTSWSeH_4KXYt-YH6fs-2G-tOVuK9spWzBFNPlmgcUY2M6L08Aa6tt80It7pVhixBovYth33vzBkmIPhJK0zy0bjTQCvADYgy599XJ-dtzNIq2HjcmnizKNcusHVMxuTJuuxtAXFaJyo7UDxBH-EwgT4J4YQ.r029m8PHRbOsLcWuf5L3YQ.pSWPWVWo0V9y4zt4R-1ZHS8mscbyMGXkVLf0GQZqVhgEyEZvmPPcaicp37YH_k6AQjmVpAGyG32dconKJsaT0w6iPa2d-921NVzJ5M4qlkx5uto35WEDQCJs0vp3HVUhkj1HsoGF_Dozc0iWo5DdFZOfamlYg_V02t60oOxW-K5yGzBCYTL07uPokUwxXMvW78bjzTx-e6nOITm0JwxVvzJSWPbPIEx8EyTCnNNb9zVKV9I-XaKEh1Eun02qvXEOp1VK7wlYshmvk-Y3QkDwyjH52M_abwPylpvb_mF5GOCRTpSWSO4iYHiGgom-Hf1C6T6Gy-4Oz6f9Hl_kFyDokMKNLD08Cw5BjEAPaWWKW7xQe1MxMFY9T3hzMHSnoaHUpUehMvbJ_P30xqYEVHNo4XrcI3Fwyum_LQ1Y_AQDJ6ShYhQr4s-Q1k8DqFrnz_7Xfc0ZKeG9NSnXQ1II4BQIHO4Sp63KYYL6UOcougcECNhQ8zwoZvs4Plj2JaPd-Wr901YBizaIZF8XjhzkHdl7U8Bmbr7ufL7EG2Am7WjQNlU0tl5RYfglLS6u3BMKVZmupWFnxJDMbwvCYKTlhXY74qQYVq4ZKt1P3EtmIpGDJvDwl3GGG-LsFobODaRubP13ytV0cXCtlU4NZq51Bgi2LTajjyTRVdh33OC3D6l65OQyr8XWgzZIat7er4OhVxjYml0SFsXKw0gtylugAPVsHH1ItNJyrUgy0LbUo8S0YSFOGWK9LvZkmUGdWex7FlBYKs44TbOS5nJO4lv-Ie5BJjQq9w9Wn0wH-igGlHsjks0EW7cRdLFbt5z331-q_bOEp1_b8AczRtThtC4kaGEViBEe3vd7r3ad8ASKC7XyZSnha3VWlAuZ0BqU_7-mLSgZnRebO4J7us4O75aV9w8TIqeRA36vvZR2KiFEFeraTKtN0iYa7p67c4KUz7keSX86FjONsm0jW0bljFaL5kc3AucXKa_P_oeBe6Y08bEFreU.1kpn8RLty3WT1yaijFVBNg'
-            };
-            
-            // Validate token format
-            if (emergencyTokens.userToken && emergencyTokens.userToken.startsWith('eyJ') &&
-                emergencyTokens.deviceToken && emergencyTokens.deviceToken.startsWith('eyJ') &&
-                emergencyTokens.titleToken && emergencyTokens.titleToken.startsWith('eyJ')) {
-                
-                this.logger.info(`🚨 Using emergency tokens from recent logs - tokens may expire soon`);
-                return emergencyTokens;
+            const cache = this.tokenStore.read(email, 'xbl');
+            if (!cache) {
+                this.logger.debug(`🔍 No cached Xbox tokens for ${email}`);
+                return null;
             }
-            
-            return null;
-            
-        } catch (error) {
-            this.logger.debug(`❌ Emergency token recovery failed: ${error.message}`);
-            return null;
-        }
-    }
-    
-    /**
-     * Extract tokens from debug logs when they appear in console output
-     */
-    async extractTokensFromDebugLogs() {
-        try {
-            this.logger.debug(`🔍 Attempting to extract tokens from debug output...`);
-            
-            // Create a temporary variable to capture console output during XSTS requests
-            let capturedTokens = null;
-            
-            // Override console.log temporarily to capture prismarine-auth debug output
-            const originalLog = console.log;
-            let logBuffer = [];
-            
-            console.log = (...args) => {
-                const message = args.join(' ');
-                logBuffer.push(message);
-                
-                // Look for Xbox token patterns in the debug output
-                if (message.includes('prismarine-auth [xbl] obtaining xsts token')) {
-                    this.logger.debug(`🔍 Found XSTS token request in debug logs`);
-                    
-                    // Try to extract tokens from the next few log entries
-                    setTimeout(() => {
-                        try {
-                            capturedTokens = this.parseTokensFromLogBuffer(logBuffer);
-                        } catch (e) {
-                            this.logger.debug(`⚠️ Token parsing from logs failed: ${e.message}`);
-                        }
-                    }, 100);
-                }
-                
-                // Call original log
-                originalLog.apply(console, args);
-            };
-            
-            // Restore console.log after a short time
-            setTimeout(() => {
-                console.log = originalLog;
-            }, 5000);
-            
-            return capturedTokens;
-            
-        } catch (error) {
-            this.logger.debug(`❌ Debug log extraction failed: ${error.message}`);
-            return null;
-        }
-    }
 
-    /**
-     * Parse tokens from captured log buffer
-     */
-    parseTokensFromLogBuffer(logBuffer) {
-        try {
-            let userToken = null;
-            let deviceToken = null;
-            let titleToken = null;
-            
-            // Look for token patterns in the log buffer
-            for (let i = 0; i < logBuffer.length; i++) {
-                const line = logBuffer[i];
-                
-                if (line.includes('userToken:') && line.includes('eyJ')) {
-                    const match = line.match(/userToken:\s*'([^']+)'/);
-                    if (match) {
-                        userToken = match[1];
-                        this.logger.debug(`✅ Extracted userToken from logs`);
-                    }
-                }
-                
-                if (line.includes('deviceToken:') && line.includes('eyJ')) {
-                    const match = line.match(/deviceToken:\s*'([^']+)'/);
-                    if (match) {
-                        deviceToken = match[1];
-                        this.logger.debug(`✅ Extracted deviceToken from logs`);
-                    }
+            const tokens = {};
+
+            for (const name of ['userToken', 'deviceToken', 'titleToken']) {
+                const cached = cache[name];
+                if (!cached?.Token || !cached.NotAfter) {
+                    this.logger.debug(`🔍 Cached ${name} for ${email} is missing`);
+                    return null;
                 }
-                
-                if (line.includes('titleToken:') && line.includes('eyJ')) {
-                    const match = line.match(/titleToken:\s*'([^']+)'/);
-                    if (match) {
-                        titleToken = match[1];
-                        this.logger.debug(`✅ Extracted titleToken from logs`);
-                    }
+
+                const expiresAt = new Date(cached.NotAfter).getTime();
+                if (!(expiresAt > Date.now() + TOKEN_EXPIRY_MARGIN)) {
+                    this.logger.debug(`🔍 Cached ${name} for ${email} expired at ${cached.NotAfter}`);
+                    return null;
                 }
+
+                tokens[name] = cached.Token;
             }
-            
-            if (userToken && deviceToken && titleToken) {
-                this.logger.debug(`✅ Successfully extracted all tokens from debug logs`);
-                return {
-                    userToken,
-                    deviceToken,
-                    titleToken
-                };
+
+            // Every XSTS token issued from this cache must carry the same user hash as the
+            // user token, otherwise the file was copied from another account
+            const userHash = cache.userToken.DisplayClaims?.xui?.[0]?.uhs;
+            if (!userHash) {
+                this.logger.warning(`⚠️ Cached user token for ${email} has no user hash, refusing to use it`);
+                return null;
             }
-            
-            return null;
-            
+
+            const foreign = Object.values(cache).some(entry => entry?.userHash && entry.userHash !== userHash);
+            if (foreign) {
+                this.logger.warning(`⚠️ Cached tokens for ${email} belong to a different account, refusing to use them`);
+                return null;
+            }
+
+            this.logger.debug(`✅ Loaded cached Xbox tokens for ${email} (valid until ${cache.userToken.NotAfter})`);
+            return { ...tokens, userHash };
+
         } catch (error) {
-            this.logger.debug(`❌ Token parsing failed: ${error.message}`);
+            this.logger.debug(`❌ Cached token recovery failed: ${error.message}`);
             return null;
         }
     }
@@ -517,65 +477,6 @@ class XboxAuthRecovery {
         }
     }
     
-    /**
-     * Create a static token extraction method that can work with known good tokens
-     */
-    createStaticTokensFromKnownData() {
-        // This can be used as a fallback when we know the tokens from debug logs
-        // but can't extract them programmatically
-        this.logger.debug(`🔧 Using static token recovery method...`);
-        
-        // These would be populated from successful authentication sessions
-        // This is a placeholder for when we implement live token capture
-        return null;
-    }
-    
-    /**
-     * Extract Microsoft tokens from authflow for custom XSTS handling
-     */
-    async extractMSTokensFromAuthflow(authflow) {
-        try {
-            this.logger.debug(`🔍 Attempting to extract tokens from authflow...`);
-            
-            // Strategy 1: Try to get the tokens by manually calling the token managers
-            if (authflow && authflow.xblManager && authflow.msaManager) {
-                try {
-                    // Get Microsoft access token first
-                    const msTokens = await authflow.msaManager.getAccessToken();
-                    
-                    if (msTokens && msTokens.access_token) {
-                        this.logger.debug(`✅ Microsoft access token obtained`);
-                        
-                        // Get Xbox tokens individually to avoid the XSTS issue
-                        const userToken = await authflow.xblManager.getUserToken(msTokens.access_token);
-                        const deviceToken = await authflow.xblManager.getDeviceToken(msTokens.access_token);
-                        const titleToken = await authflow.xblManager.getTitleToken(msTokens.access_token, deviceToken);
-                        
-                        const extractedTokens = {
-                            userToken: userToken?.Token || userToken,
-                            deviceToken: deviceToken?.Token || deviceToken,
-                            titleToken: titleToken?.Token || titleToken
-                        };
-                        
-                        if (extractedTokens.userToken && extractedTokens.deviceToken && extractedTokens.titleToken) {
-                            this.logger.debug(`✅ All Xbox tokens extracted successfully`);
-                            return extractedTokens;
-                        }
-                    }
-                } catch (managerError) {
-                    this.logger.debug(`⚠️ Token manager extraction failed: ${managerError.message}`);
-                }
-            }
-            
-            // Strategy 2: Try to access cached tokens directly
-            return await this.extractTokensFromCachedAuthflow(authflow);
-            
-        } catch (error) {
-            this.logger.debug(`❌ MS token extraction failed: ${error.message}`);
-            return null;
-        }
-    }
-
     /**
      * Extract Microsoft tokens from authflow for custom XSTS handling
      */
@@ -696,112 +597,29 @@ class XboxAuthRecovery {
         }
     }
     
-    /**
-     * Alternative method to extract tokens from debug logs
-     */
-    async extractTokensFromLogs(authflow) {
-        try {
-            this.logger.debug(`🔍 Attempting alternative token extraction from logs...`);
-            
-            // This is a fallback method that might work by accessing cached tokens
-            const cacheDir = this.tokenPath;
-            
-            if (!fs.existsSync(cacheDir)) {
-                throw new Error('Cache directory does not exist');
-            }
-            
-            const cacheFiles = fs.readdirSync(cacheDir);
-            this.logger.debug(`🔍 Found cache files: ${cacheFiles.join(', ')}`);
-            
-            // Look for recent cache files that might contain tokens
-            const recentCacheFiles = cacheFiles.filter(file => 
-                file.includes('cache') && file.endsWith('.json')
-            );
-            
-            for (const cacheFile of recentCacheFiles) {
-                try {
-                    const cacheContent = fs.readFileSync(path.join(cacheDir, cacheFile), 'utf8');
-                    const cacheData = JSON.parse(cacheContent);
-                    
-                    // Look for user tokens in cache
-                    if (cacheData.userToken || cacheData.XSTSToken) {
-                        this.logger.debug(`✅ Found cached tokens in ${cacheFile}`);
-                        return {
-                            userToken: cacheData.userToken,
-                            deviceToken: cacheData.deviceToken,
-                            titleToken: cacheData.titleToken
-                        };
-                    }
-                } catch (cacheError) {
-                    this.logger.debug(`⚠️ Cache file ${cacheFile} unreadable: ${cacheError.message}`);
-                }
-            }
-            
-            throw new Error('No usable tokens found in cache');
-            
-        } catch (error) {
-            this.logger.debug(`🔍 Alternative token extraction failed: ${error.message}`);
-            return null;
-        }
-    }
-
     /**
      * Clear authentication cache for a specific email
      */
     async clearAuthenticationCache(email) {
-        const cachePatterns = [
-            `${email}`,
-            `${email.replace('@', '_').replace('.', '_')}`,
-            // Cache files use hash-based naming
-            '*-cache.json',
-            '*-mca-cache.json',
-            '*-msal-cache.json',
-            '*-xbl-cache.json',
-            '*-live-cache.json'
-        ];
+        const accountDir = this.tokenStore.getAccountDir(email);
 
-        for (const pattern of cachePatterns) {
-            try {
-                const cachePath = path.join(this.tokenPath, pattern);
-                if (fs.existsSync(cachePath)) {
-                    if (fs.statSync(cachePath).isDirectory()) {
-                        fs.rmSync(cachePath, { recursive: true, force: true });
-                    } else {
-                        fs.unlinkSync(cachePath);
-                    }
-                    this.logger.debug(`🧹 Cleared cache: ${pattern}`);
-                }
-            } catch (error) {
-                // Ignore cache cleanup errors
-                this.logger.debug(`⚠️ Cache cleanup error for ${pattern}: ${error.message}`);
+        try {
+            if (!fs.existsSync(accountDir)) {
+                return;
             }
-        }
 
-        // Also clear all cache files in the auth directory
-        try {
-            const authDir = this.tokenPath;
-            if (fs.existsSync(authDir)) {
-                const files = fs.readdirSync(authDir);
-                for (const file of files) {
-                    if (file.endsWith('-cache.json')) {
-                        const filePath = path.join(authDir, file);
-                        fs.unlinkSync(filePath);
-                        this.logger.debug(`🧹 Cleared cache file: ${file}`);
-                    }
+            for (const file of fs.readdirSync(accountDir)) {
+                if (file.endsWith('-cache.json')) {
+                    fs.unlinkSync(path.join(accountDir, file));
+                    this.logger.debug(`🧹 Cleared cache file: ${file}`);
                 }
             }
         } catch (error) {
-            this.logger.debug(`⚠️ General cache cleanup error: ${error.message}`);
+            // Ignore cache cleanup errors
+            this.logger.debug(`⚠️ Cache cleanup error for ${email}: ${error.message}`);
         }
     }
 
-    /**
-     * Delay utility
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Get comprehensive authentication diagnostics
      */
@@ -809,8 +627,9 @@ class XboxAuthRecovery {
         const diagnostics = {
             email,
             timestamp: new Date().toISOString(),
-            authDirectory: this.tokenPath,
-            authDirectoryExists: fs.existsSync(this.tokenPath),
+            authDirectory: this.tokenStore.getAccountDir(email),
+            authDirectoryExists: fs.existsSync(this.tokenStore.getAccountDir(email)),
+            tokensEncrypted: this.tokenStore.encrypted,
             cacheFiles: [],
             systemInfo: {
                 nodeVersion: process.version,
@@ -821,8 +640,8 @@ class XboxAuthRecovery {
 
         // Check for cache files
         try {
-            if (fs.existsSync(this.tokenPath)) {
-                const files = fs.readdirSync(this.tokenPath);
+            if (diagnostics.authDirectoryExists) {
+                const files = fs.readdirSync(diagnostics.authDirectory);
                 diagnostics.cacheFiles = files.filter(f => f.endsWith('.json'));
             }
         } catch (error) {
@@ -833,4 +652,4 @@ class XboxAuthRecovery {
     }
 }
 
-module.exports = { XboxAuthRecovery };
\ No newline at end of file
+module.exports = { XboxAuthRecovery, InteractionRequiredError };
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * What each Xbox Live failure means and what the operator can do about it.
+ * XErr codes come from XSTS authorize, statuses are looked up per service first.
+ * pattern matches the text prismarine-auth throws instead of the code
+ */
+
+const XBOX_SETTINGS = 'https://account.xbox.com/settings';
+const FAMILY_SETTINGS = 'https://account.microsoft.com/family';
+const XBOX_STATUS = 'https://support.xbox.com/xbox-live-status';
+
+const XERR_CATALOGUE = {
+    2148916227: {
+        code: 'ACCOUNT_BANNED',
+        message: 'Xbox Live account is banned',
+        remediation: 'Banned accounts cannot sign in to Xbox Live, check https://www.xbox.com/en-US/legal/enforcement-history and replace the account in config.json',
+        pattern: /banned by Xbox/
+    },
+    2148916229: {
+        code: 'PARENTAL_CONTROLS',
+        message: 'Parental controls block online play for this account',
+        remediation: `A family organiser has to allow online multiplayer for the account at ${FAMILY_SETTINGS}`,
+        pattern: /guardian has not given you permission/
+    },
+    2148916233: {
+        code: 'NO_XBOX_PROFILE',
+        message: 'Xbox Live account not found or lacks Xbox Live access',
+        remediation: 'Sign in once at https://www.xbox.com (or in Minecraft) to create the Xbox profile, then restart',
+        pattern: /does not have an Xbox profile/
+    },
+    2148916234: {
+        code: 'TERMS_NOT_ACCEPTED',
+        message: 'Xbox Live terms of use have not been accepted',
+        remediation: 'Sign in at https://www.xbox.com with the account and accept the terms of use, then restart',
+        pattern: /not accepted Xbox's Terms of Service/
+    },
+    2148916235: {
+        code: 'REGION_UNAVAILABLE',
+        message: 'Xbox Live is not available in the account\'s country/region',
+        remediation: 'Use an account registered in a country/region where Xbox Live is available',
+        pattern: /region that Xbox has not authorized/
+    },
+    2148916236: {
+        code: 'AGE_VERIFICATION_REQUIRED',
+        message: 'Account needs age verification before it can use Xbox Live',
+        remediation: 'Sign in at https://login.live.com and complete the age verification, then restart',
+        pattern: /requires proof of age/
+    },
+    2148916237: {
+        code: 'PLAYTIME_LIMIT',
+        message: 'Account has reached its playtime limit',
+        remediation: 'Wait until the playtime limit resets or use another account',
+        pattern: /limit for playtime/
+    },
+    2148916238: {
+        code: 'CHILD_ACCOUNT',
+        message: 'Child account restrictions prevent Xbox Live access',
+        remediation: `An adult has to add the account to a Microsoft family at ${FAMILY_SETTINGS}, or use an adult account`,
+        pattern: /added to a family by an adult/
+    }
+};
+
+const STATUS_CATALOGUE = {
+    sessionDirectory: {
+        400: {
+            code: 'SESSION_REJECTED',
+            message: 'Xbox Live rejected the session document',
+            remediation: 'Check the server\'s version, protocol and constants in config.json, a new Minecraft release may need an update'
+        },
+        403: {
+            code: 'SESSION_FORBIDDEN',
+            message: 'Host account may not publish Minecraft sessions',
+            remediation: `The host must own Minecraft, have launched it once and allow multiplayer in its Xbox privacy settings (${XBOX_SETTINGS})`
+        },
+        404: {
+            code: 'SESSION_NOT_FOUND',
+            message: 'Session no longer exists on Xbox Live',
+            remediation: 'The session expired or was removed, it is created again on the next reconnect'
+        },
+        412: {
+            code: 'SESSION_CONFLICT',
+            message: 'Session changed while it was being updated',
+            remediation: 'Usually clears up on the next heartbeat'
+        }
+    },
+    social: {
+        403: {
+            code: 'FRIENDS_FORBIDDEN',
+            message: 'Xbox privacy settings block friend changes for this account',
+            remediation: `Allow adding friends in the account's Xbox privacy settings (${XBOX_SETTINGS})`
+        },
+        404: {
+            code: 'USER_NOT_FOUND',
+            message: 'Xbox user not found',
+            remediation: 'The XUID no longer exists, remove it from the favorites and accept rules'
+        }
+    },
+    peopleHub: {
+        403: {
+            code: 'PROFILES_HIDDEN',
+            message: 'Xbox privacy settings hide these profiles',
+            remediation: `Allow others to see the profile in the account's Xbox privacy settings (${XBOX_SETTINGS}), players are shown by XUID meanwhile`
+        }
+    },
+    profile: {
+        403: {
+            code: 'PROFILES_HIDDEN',
+            message: 'Xbox privacy settings hide these profiles',
+            remediation: `Allow others to see the profile in the account's Xbox privacy settings (${XBOX_SETTINGS}), players are shown by XUID meanwhile`
+        }
+    },
+    '*': {
+        401: {
+            code: 'TOKEN_REJECTED',
+            message: 'Xbox Live token expired or was revoked',
+            remediation: 'Tokens refresh automatically, if this keeps happening delete the account\'s folder under auth/ and sign in again'
+        },
+        403: {
+            code: 'ACCESS_DENIED',
+            message: 'Xbox Live refused the request for this account',
+            remediation: `Check the account's Xbox privacy and online safety settings (${XBOX_SETTINGS})`
+        },
+        429: {
+            code: 'RATE_LIMITED',
+            message: 'Xbox Live is throttling this account',
+            remediation: 'Requests resume after the announced wait, raise friends.requestDelay if it keeps happening'
+        },
+        500: {
+            code: 'SERVICE_UNAVAILABLE',
+            message: 'Xbox Live service error',
+            remediation: `Usually temporary and retried automatically, check ${XBOX_STATUS}`
+        }
+    }
+};
+
+// Failures that have no status or XErr, looked up by code
+const CODE_CATALOGUE = {
+    NETWORK: {
+        code: 'NETWORK',
+        message: 'Could not reach Xbox Live',
+        remediation: 'Check the host\'s internet connection, DNS and firewall, requests are retried automatically'
+    },
+    SIGN_IN_REVOKED: {
+        code: 'SIGN_IN_REVOKED',
+        message: 'Saved Microsoft sign-in is no longer valid',
+        remediation: 'Delete the account\'s folder under auth/ and restart to sign in again with a device code',
+        pattern: /invalid_grant|unauthorized_client|Cannot refresh without refresh token/
+    },
+    DEVICE_CODE_EXPIRED: {
+        code: 'DEVICE_CODE_EXPIRED',
+        message: 'Device code sign-in was not completed in time',
+        remediation: 'Restart and finish the sign-in at https://microsoft.com/link before the code expires',
+        pattern: /Authentication failed, timed out|expired_token|authorization_declined/
+    },
+    CIRCUIT_OPEN: {
+        code: 'CIRCUIT_OPEN',
+        message: 'Calls paused after repeated failures',
+        remediation: `Calls resume on their own once a trial call succeeds, check ${XBOX_STATUS} if it stays open`
+    },
+    AUTH_FAILED: {
+        code: 'AUTH_FAILED',
+        message: 'Xbox Live sign-in failed',
+        remediation: 'Check that the account can sign in at https://www.xbox.com and owns Minecraft, or set "demoMode": true to run without Xbox Live'
+    }
+};
+
+/**
+ * Catalogue entry for { code, xerr, service, status }, null when nothing matches
+ */
+function lookupGuidance({ code, xerr, service, status } = {}) {
+    if (code && CODE_CATALOGUE[code]) {
+        return CODE_CATALOGUE[code];
+    }
+    if (xerr && XERR_CATALOGUE[xerr]) {
+        return XERR_CATALOGUE[xerr];
+    }
+    if (status) {
+        const statusKey = status >= 500 ? 500 : status;
+        return STATUS_CATALOGUE[service]?.[status] || STATUS_CATALOGUE['*'][statusKey] || null;
+    }
+    return null;
+}
+
+/**
+ * { xerr } or { code } of the catalogue entry whose pattern matches an error message
+ */
+function matchMessage(message = '') {
+    for (const [xerr, entry] of Object.entries(XERR_CATALOGUE)) {
+        if (entry.pattern.test(message)) {
+            return { xerr: Number(xerr) };
+        }
+    }
+    for (const entry of Object.values(CODE_CATALOGUE)) {
+        if (entry.pattern?.test(message)) {
+            return { code: entry.code };
+        }
+    }
+    return null;
+}
+
+module.exports = { XERR_CATALOGUE, STATUS_CATALOGUE, CODE_CATALOGUE, lookupGuidance, matchMessage };
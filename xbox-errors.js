@@ -0,0 +1,159 @@
+const { XERR_CATALOGUE, CODE_CATALOGUE, lookupGuidance, matchMessage } = require('./xbox-error-catalogue');
+
+// Statuses worth repeating the request for, 429 is left to the per-account RateLimiter
+const RETRYABLE_STATUSES = new Set([408, 500, 502, 503, 504]);
+
+// Socket-level failures that usually clear up on their own
+const NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'ENETUNREACH', 'EHOSTUNREACH']);
+
+/**
+ * Base class for classified Xbox Live failures. retryable tells the RetryPolicy
+ * whether repeating the same request can succeed, code and remediation come
+ * from the error catalogue
+ */
+class XboxLiveError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'XboxLiveError';
+        this.service = details.service || null;
+        this.status = details.status ?? null;
+        this.xerr = details.xerr ?? null;
+        this.retryable = details.retryable ?? false;
+        this.cause = details.cause;
+
+        const guidance = lookupGuidance(details);
+        this.code = guidance?.code || details.code || null;
+        this.remediation = details.remediation || guidance?.remediation || null;
+    }
+}
+
+// 401/403 and XErr rejections: the account or its token has to change first
+class XboxAuthError extends XboxLiveError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: false });
+        this.name = 'XboxAuthError';
+    }
+}
+
+// 5xx, 408 and truncated bodies: Xbox Live is having a moment
+class XboxServiceError extends XboxLiveError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'XboxServiceError';
+    }
+}
+
+// Timeouts and dropped connections before a response arrived
+class XboxNetworkError extends XboxLiveError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: true });
+        this.name = 'XboxNetworkError';
+    }
+}
+
+// Any other 4xx: the request itself is wrong and will fail the same way again
+class XboxRequestError extends XboxLiveError {
+    constructor(message, details = {}) {
+        super(message, { ...details, retryable: false });
+        this.name = 'XboxRequestError';
+    }
+}
+
+/**
+ * Typed error for a failed response, message reads "<message>: <status> - <body>"
+ */
+async function fromResponse(response, message, service) {
+    const body = await response.text().catch(() => '');
+    const xerr = parseXErr(body) ?? parseXErr(response.headers?.get?.('x-err'));
+    const details = { service, status: response.status, xerr };
+    const text = `${message}: ${response.status}${body ? ` - ${body}` : ''}`;
+
+    if (xerr && XERR_CATALOGUE[xerr]) {
+        return new XboxAuthError(XERR_CATALOGUE[xerr].message, details);
+    }
+    if (response.status === 401 || response.status === 403 || xerr) {
+        return new XboxAuthError(text, details);
+    }
+    if (RETRYABLE_STATUSES.has(response.status)) {
+        return new XboxServiceError(text, details);
+    }
+    if (response.status >= 400 && response.status < 500) {
+        return new XboxRequestError(text, details);
+    }
+    return new XboxServiceError(text, details);
+}
+
+/**
+ * Classify a thrown error (node-fetch, prismarine-auth or our own). Classified
+ * errors pass through; anything unrecognised stays retryable as before
+ */
+function classifyError(error, service) {
+    if (error instanceof XboxLiveError) {
+        return error;
+    }
+
+    const message = error?.message || String(error);
+    const details = { service, cause: error };
+
+    if (error?.type === 'request-timeout' || error?.type === 'body-timeout' || NETWORK_CODES.has(error?.code)) {
+        return new XboxNetworkError(message, { ...details, code: 'NETWORK' });
+    }
+
+    // prismarine-auth throws the catalogue text for known XErr codes and the number for the rest
+    const matched = matchMessage(message);
+    const xerr = parseXErr(message) ?? matched?.xerr;
+    if (xerr) {
+        return new XboxAuthError(XERR_CATALOGUE[xerr]?.message || message, { ...details, xerr });
+    }
+
+    if (matched?.code) {
+        return new XboxAuthError(message, { ...details, code: matched.code });
+    }
+
+    if (/Unexpected end of JSON input|Unable to parse XSTS response/.test(message)) {
+        return new XboxServiceError(message, details);
+    }
+
+    if (!(error instanceof Error)) {
+        return new XboxLiveError(message, { ...details, retryable: true });
+    }
+
+    // Keep the original error (name, extra fields) but let the policy retry it
+    error.retryable = error.retryable ?? true;
+    return error;
+}
+
+/**
+ * Plain summary of any failure for logs, events and health status. Errors
+ * from sign-in (service 'xsts') without a catalogue entry get the general
+ * sign-in advice
+ */
+function describeError(error, service) {
+    const classified = error instanceof XboxLiveError ? error : classifyError(error, service);
+    const fallback = !classified.code && service === 'xsts' ? CODE_CATALOGUE.AUTH_FAILED : null;
+
+    return {
+        message: error?.message || String(error),
+        code: classified.code || fallback?.code || null,
+        xerr: classified.xerr ?? null,
+        status: classified.status ?? null,
+        remediation: classified.remediation || fallback?.remediation || null
+    };
+}
+
+function parseXErr(text) {
+    const match = /\b(21489\d{5})\b/.exec(text || '');
+    return match ? Number(match[1]) : null;
+}
+
+module.exports = {
+    XboxLiveError,
+    XboxAuthError,
+    XboxServiceError,
+    XboxNetworkError,
+    XboxRequestError,
+    RETRYABLE_STATUSES,
+    fromResponse,
+    classifyError,
+    describeError
+};
@@ -0,0 +1,135 @@
+const fetch = require('node-fetch');
+const { RetryPolicy } = require('./retry-policy');
+const { RETRYABLE_STATUSES, classifyError, fromResponse } = require('./xbox-errors');
+const { CircuitBreaker } = require('./circuit-breaker');
+
+const DEFAULT_BASE_URLS = {
+    sessionDirectory: 'https://sessiondirectory.xboxlive.com',
+    social: 'https://social.xboxlive.com',
+    peopleHub: 'https://peoplehub.xboxlive.com',
+    profile: 'https://profile.xboxlive.com',
+    xsts: 'https://xsts.auth.xboxlive.com',
+    rta: 'wss://rta.xboxlive.com'
+};
+
+/**
+ * Single entry point for Xbox Live REST calls. Every service base URL can be
+ * overridden (xboxLive.baseUrls) so the managers can run against XboxLiveMockServer,
+ * and every call shares one timeout and retry policy (xboxLive.timeout, xboxLive.retry).
+ * Each service has a circuit breaker (xboxLive.circuitBreaker) shared by all servers
+ */
+class XboxLiveClient {
+    constructor(options = {}) {
+        this.baseUrls = { ...DEFAULT_BASE_URLS, ...stripEmpty(options.baseUrls) };
+        this.fetch = options.fetch || fetch;
+        this.timeout = options.timeout || 30000;
+        this.retryPolicy = options.retryPolicy || new RetryPolicy(options.retry);
+        this.logger = options.logger;
+        this.circuitBreaker = options.circuitBreaker || {};
+        this.breakers = new Map();
+    }
+
+    getBreaker(service) {
+        if (!this.breakers.has(service)) {
+            const breaker = new CircuitBreaker({ name: service, ...this.circuitBreaker });
+            breaker.on('stateChange', ({ to, failures, retryAt }) => {
+                if (to === 'open') {
+                    this.logger?.warning(`🔌 Xbox Live ${service} circuit open after ${failures} failures, pausing calls for ${Math.ceil((retryAt - Date.now()) / 1000)}s`);
+                } else if (to === 'closed') {
+                    this.logger?.success(`🔌 Xbox Live ${service} circuit closed, calls resumed`);
+                }
+            });
+            this.breakers.set(service, breaker);
+        }
+        return this.breakers.get(service);
+    }
+
+    // Breaker state per service that has been called
+    getCircuitStatus() {
+        return Object.fromEntries(Array.from(this.breakers, ([service, breaker]) => [service, breaker.getStatus()]));
+    }
+
+    getOpenCircuits() {
+        return Array.from(this.breakers.values()).filter(breaker => breaker.isOpen()).map(breaker => breaker.name);
+    }
+
+    url(service, path = '') {
+        const baseUrl = this.baseUrls[service];
+        if (!baseUrl) {
+            throw new Error(`Unknown Xbox Live service: ${service}`);
+        }
+        return `${baseUrl.replace(/\/$/, '')}${path}`;
+    }
+
+    /**
+     * Send a request as account (its XBL3.0 authHeader). Objects passed as body
+     * are sent as JSON. Timeouts, dropped connections and 5xx answers are retried
+     * with the shared policy (retry: false or policy overrides per call); the final
+     * Response is returned whatever its status, network failures throw an XboxNetworkError.
+     * While the service's breaker is open calls fail fast with a CircuitOpenError
+     */
+    async request(service, path, options = {}) {
+        const headers = { ...options.headers };
+
+        if (options.account) {
+            headers['Authorization'] = options.account.authHeader;
+        }
+        if (options.contractVersion) {
+            headers['x-xbl-contract-version'] = options.contractVersion;
+        }
+
+        let body = options.body;
+        if (body !== undefined && typeof body !== 'string') {
+            body = JSON.stringify(body);
+            headers['Content-Type'] = 'application/json';
+        }
+
+        const method = options.method || 'GET';
+        const url = this.url(service, path);
+        const breaker = this.getBreaker(service);
+        const policy = options.retry === false ? this.retryPolicy.with({ maxRetries: 0 }) : this.retryPolicy.with(options.retry);
+
+        return policy.run(async (attempt) => {
+            breaker.acquire();
+
+            let response;
+            try {
+                response = await this.fetch(url, {
+                    method,
+                    headers,
+                    body,
+                    timeout: options.timeout || this.timeout
+                });
+            } catch (error) {
+                const classified = classifyError(error, service);
+                breaker.recordFailure(classified);
+                throw classified;
+            }
+
+            // Only outages count against the service, 4xx answers show it is up
+            if (response.status >= 500) {
+                breaker.recordFailure(new Error(`${method} ${service}${path.split('?')[0]} answered ${response.status}`));
+            } else {
+                breaker.recordSuccess();
+            }
+
+            // The last answer goes back to the caller, which knows what its statuses mean
+            if (RETRYABLE_STATUSES.has(response.status) && attempt <= policy.maxRetries) {
+                throw await fromResponse(response, `${method} ${service}${path.split('?')[0]} failed`, service);
+            }
+
+            return response;
+        }, {
+            onRetry: (error, attempt, delay) => {
+                this.logger?.debug(`🔁 ${method} ${service}${path.split('?')[0]} failed (${error.message}), retry ${attempt}/${policy.maxRetries} in ${delay}ms`);
+            }
+        });
+    }
+}
+
+// Empty strings in the config mean "use the default"
+function stripEmpty(baseUrls = {}) {
+    return Object.fromEntries(Object.entries(baseUrls).filter(([, url]) => url));
+}
+
+module.exports = { XboxLiveClient, DEFAULT_BASE_URLS };
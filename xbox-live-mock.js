@@ -0,0 +1,408 @@
+const http = require('http');
+const crypto = require('crypto');
+
+const SERVICES = ['sessionDirectory', 'social', 'peopleHub', 'profile', 'xsts'];
+const SESSION_PATH = /^\/serviceconfigs\/([^/]+)\/sessionTemplates\/([^/]+)\/sessions\/([^/]+)$/;
+
+/**
+ * In-process stand-in for the Xbox Live services FriendConnect talks to: MPSD
+ * sessions, the social people list, peoplehub, profile settings and XSTS authorize.
+ * Point xboxLive.baseUrls at start()'s result to run the managers offline.
+ * RTA is not emulated, run sessions against it with session.enableRTA off
+ */
+class XboxLiveMockServer {
+    constructor(options = {}) {
+        this.host = options.host || '127.0.0.1';
+        this.port = options.port || 0;
+        this.logger = options.logger;
+
+        this.server = null;
+        this.users = new Map(); // xuid -> { xuid, gamertag, gamerscore, tenure, userHash, token, userToken }
+        this.follows = new Map(); // xuid -> Map(followed xuid -> addedDateTimeUtc)
+        this.sessions = new Map(); // session path -> session document
+        this.revoked = new Set();
+        this.faults = [];
+        this.requests = []; // { method, service, path, xuid, body } of every request, for assertions
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                resolve();
+            });
+        });
+
+        this.logger?.info(`🧪 Xbox Live mock listening on ${this.getUrl()}`);
+        return this.getBaseUrls();
+    }
+
+    async stop() {
+        if (!this.server) {
+            return;
+        }
+
+        // Keep-alive sockets from the client's agent would hold close() open
+        const closed = new Promise(resolve => this.server.close(resolve));
+        this.server.closeAllConnections();
+        await closed;
+        this.server = null;
+    }
+
+    getUrl() {
+        return `http://${this.host}:${this.server.address().port}`;
+    }
+
+    // Ready to use as xboxLive.baseUrls / XboxLiveClient's baseUrls
+    getBaseUrls() {
+        const url = this.getUrl();
+        return Object.fromEntries(SERVICES.map(service => [service, `${url}/${service}`]));
+    }
+
+    /**
+     * Register a player and return an account shaped like the AccountRegistry's,
+     * plus the userToken XSTS authorize accepts for it
+     */
+    addUser(options = {}) {
+        const xuid = String(options.xuid || 2535400000000000 + this.users.size + 1);
+        const user = {
+            xuid,
+            gamertag: options.gamertag || `Player${this.users.size + 1}`,
+            gamerscore: options.gamerscore ?? 0,
+            tenure: options.tenure ?? 1,
+            userHash: crypto.randomBytes(8).toString('hex'),
+            token: crypto.randomBytes(16).toString('hex'),
+            userToken: crypto.randomBytes(16).toString('hex')
+        };
+
+        this.users.set(xuid, user);
+        this.follows.set(xuid, new Map());
+
+        return {
+            email: options.email || `${user.gamertag.toLowerCase()}@example.com`,
+            xuid,
+            gamertag: user.gamertag,
+            userHash: user.userHash,
+            authHeader: `XBL3.0 x=${user.userHash};${user.token}`,
+            expiresAt: Date.now() + 16 * 60 * 60 * 1000,
+            userToken: user.userToken
+        };
+    }
+
+    follow(fromXuid, toXuid) {
+        this.follows.get(String(fromXuid)).set(String(toXuid), new Date().toISOString());
+    }
+
+    isFollowing(fromXuid, toXuid) {
+        return Boolean(this.follows.get(String(fromXuid))?.has(String(toXuid)));
+    }
+
+    // Every request made with this user's token is answered with 401 from now on
+    revoke(xuid) {
+        this.revoked.add(String(xuid));
+    }
+
+    /**
+     * Answer the next matching request(s) with status instead of handling them.
+     * match is { method, service, path } where path is a substring or RegExp of
+     * the service-relative path; options are { headers, body, times }
+     */
+    failNext(match, status, options = {}) {
+        this.faults.push({ match, status, headers: options.headers || {}, body: options.body, remaining: options.times || 1 });
+    }
+
+    getSession(sessionName) {
+        for (const [sessionPath, session] of this.sessions) {
+            if (sessionPath.endsWith(`/sessions/${sessionName}`)) {
+                return session;
+            }
+        }
+        return null;
+    }
+
+    async handleRequest(req, res) {
+        try {
+            const url = new URL(req.url, this.getUrl());
+            const [, service, ...rest] = url.pathname.split('/');
+            const path = `/${rest.join('/')}`;
+            const body = await readBody(req);
+            const caller = this.authenticate(req);
+
+            this.requests.push({ method: req.method, service, path: `${path}${url.search}`, xuid: caller?.xuid || null, body });
+
+            const fault = this.takeFault(req.method, service, `${path}${url.search}`);
+            if (fault) {
+                return send(res, fault.status, fault.body ?? { code: fault.status }, fault.headers);
+            }
+
+            if (service === 'xsts') {
+                return this.routeXsts(res, req.method, path, body);
+            }
+
+            if (!caller) {
+                return send(res, 401, { code: 'Unauthorized' });
+            }
+
+            const routes = {
+                sessionDirectory: () => this.routeSession(res, req.method, decodeURIComponent(path), body, caller),
+                social: () => this.routeSocial(res, req.method, path, url.searchParams, caller),
+                peopleHub: () => this.routePeopleHub(res, req.method, path),
+                profile: () => this.routeProfile(res, req.method, path, body)
+            };
+
+            if (!routes[service]) {
+                return send(res, 404, { code: 'UnknownService' });
+            }
+            return routes[service]();
+
+        } catch (error) {
+            this.logger?.error(`❌ Xbox Live mock error on ${req.method} ${req.url}:`, error.message);
+            send(res, 500, { code: 'InternalError', message: error.message });
+        }
+    }
+
+    authenticate(req) {
+        const match = /^XBL3\.0 x=([^;]+);(.+)$/.exec(req.headers.authorization || '');
+        if (!match) {
+            return null;
+        }
+
+        for (const user of this.users.values()) {
+            if (user.userHash === match[1] && user.token === match[2]) {
+                return this.revoked.has(user.xuid) ? null : user;
+            }
+        }
+        return null;
+    }
+
+    takeFault(method, service, path) {
+        const fault = this.faults.find(({ match }) =>
+            (!match.method || match.method === method) &&
+            (!match.service || match.service === service) &&
+            (!match.path || (match.path instanceof RegExp ? match.path.test(path) : path.includes(match.path))));
+
+        if (fault && --fault.remaining <= 0) {
+            this.faults.splice(this.faults.indexOf(fault), 1);
+        }
+        return fault;
+    }
+
+    routeXsts(res, method, path, body) {
+        if (method !== 'POST' || path !== '/xsts/authorize') {
+            return send(res, 404, { code: 'NotFound' });
+        }
+
+        const userToken = body?.Properties?.UserTokens?.[0];
+        const user = Array.from(this.users.values()).find(candidate => candidate.userToken === userToken);
+        if (!user || this.revoked.has(user.xuid)) {
+            return send(res, 401, { Identity: '0', XErr: 2148916233, Message: '', Redirect: '' });
+        }
+
+        const now = new Date();
+        send(res, 200, {
+            IssueInstant: now.toISOString(),
+            NotAfter: new Date(now.getTime() + 16 * 60 * 60 * 1000).toISOString(),
+            Token: user.token,
+            DisplayClaims: { xui: [{ uhs: user.userHash, xid: user.xuid, gtg: user.gamertag }] }
+        });
+    }
+
+    routeSession(res, method, path, body, caller) {
+        if (!SESSION_PATH.test(path)) {
+            return send(res, 404, { code: 'NotFound' });
+        }
+
+        const session = this.sessions.get(path);
+
+        if (method === 'GET') {
+            return session ? send(res, 200, session) : send(res, 404, { code: 'SessionNotFound' });
+        }
+
+        if (method === 'DELETE') {
+            this.sessions.delete(path);
+            return send(res, 204);
+        }
+
+        if (method !== 'PUT') {
+            return send(res, 405, { code: 'MethodNotAllowed' });
+        }
+
+        const document = session || { constants: {}, properties: {}, members: {} };
+        const { members, ...rest } = body || {};
+        merge(document, rest);
+
+        // Members are only ever written through "me", MPSD assigns the index
+        if (members && 'me' in members) {
+            const index = Object.keys(document.members).find(key => document.members[key].constants?.system?.xuid === caller.xuid);
+
+            if (members.me === null) {
+                delete document.members[index];
+            } else {
+                const key = index ?? String(nextMemberIndex(document.members));
+                document.members[key] = merge(document.members[key] || {}, members.me);
+                merge(document.members[key], { constants: { system: { xuid: caller.xuid } } });
+            }
+        }
+
+        this.sessions.set(path, document);
+        send(res, session ? 200 : 201, document);
+    }
+
+    routeSocial(res, method, path, query, caller) {
+        if (method === 'GET' && path === '/users/me/people') {
+            const people = this.getPeople(caller.xuid);
+            const startIndex = Number(query.get('startIndex')) || 0;
+            const maxItems = Number(query.get('maxItems')) || people.length;
+            return send(res, 200, { totalCount: people.length, people: people.slice(startIndex, startIndex + maxItems) });
+        }
+
+        const match = /^\/users\/me\/people\/xuid\((\d+)\)$/.exec(path);
+        if (!match) {
+            return send(res, 404, { code: 'NotFound' });
+        }
+
+        const target = match[1];
+        if (!this.users.has(target)) {
+            return send(res, 404, { code: 'UserNotFound' });
+        }
+
+        if (method === 'PUT') {
+            if (!this.isFollowing(caller.xuid, target)) {
+                this.follow(caller.xuid, target);
+            }
+            return send(res, 204);
+        }
+
+        if (method === 'DELETE') {
+            this.follows.get(caller.xuid).delete(target);
+            return send(res, 204);
+        }
+
+        const person = this.getPeople(caller.xuid).find(candidate => candidate.xuid === target);
+        return person ? send(res, 200, person) : send(res, 404, { code: 'NotInPeopleList' });
+    }
+
+    routePeopleHub(res, method, path) {
+        const match = /^\/users\/me\/people\/xuids\(([\d,]+)\)\/decoration\/detail$/.exec(path);
+        if (method !== 'GET' || !match) {
+            return send(res, 404, { code: 'NotFound' });
+        }
+
+        const people = match[1].split(',')
+            .map(xuid => this.users.get(xuid))
+            .filter(Boolean)
+            .map(user => ({
+                xuid: user.xuid,
+                gamertag: user.gamertag,
+                gamerScore: String(user.gamerscore),
+                detail: { tenure: String(user.tenure) }
+            }));
+
+        send(res, 200, { people });
+    }
+
+    routeProfile(res, method, path, body) {
+        if (method === 'POST' && path === '/users/batch/profile/settings') {
+            const profileUsers = (body?.userIds || [])
+                .map(xuid => this.users.get(String(xuid)))
+                .filter(Boolean)
+                .map(toProfile);
+            return send(res, 200, { profileUsers });
+        }
+
+        const match = /^\/users\/gt\(([^)]+)\)\/profile\/settings$/.exec(path);
+        if (method === 'GET' && match) {
+            const gamertag = decodeURIComponent(match[1]).toLowerCase();
+            const user = Array.from(this.users.values()).find(candidate => candidate.gamertag.toLowerCase() === gamertag);
+            return user ? send(res, 200, { profileUsers: [toProfile(user)] }) : send(res, 404, { code: 'UserNotFound' });
+        }
+
+        send(res, 404, { code: 'NotFound' });
+    }
+
+    // Everyone the user follows or is followed by, as the social service lists them
+    getPeople(xuid) {
+        const following = this.follows.get(xuid) || new Map();
+        const xuids = new Set(following.keys());
+
+        for (const [follower, followed] of this.follows) {
+            if (followed.has(xuid)) {
+                xuids.add(follower);
+            }
+        }
+
+        return Array.from(xuids).map(other => ({
+            xuid: other,
+            isFavorite: false,
+            isFollowingCaller: this.isFollowing(other, xuid),
+            isFollowedByCaller: following.has(other),
+            addedDateTimeUtc: following.get(other) || this.follows.get(other).get(xuid)
+        }));
+    }
+}
+
+function toProfile(user) {
+    return { id: user.xuid, settings: [{ id: 'Gamertag', value: user.gamertag }] };
+}
+
+function nextMemberIndex(members) {
+    const indexes = Object.keys(members).map(Number);
+    return indexes.length > 0 ? Math.max(...indexes) + 1 : 0;
+}
+
+function merge(target, source) {
+    for (const [key, value] of Object.entries(source || {})) {
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            target[key] = merge(target[key] && typeof target[key] === 'object' ? target[key] : {}, value);
+        } else {
+            target[key] = value;
+        }
+    }
+    return target;
+}
+
+async function readBody(req) {
+    let raw = '';
+    for await (const chunk of req) {
+        raw += chunk;
+    }
+
+    if (!raw) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return raw;
+    }
+}
+
+function send(res, status, body, headers = {}) {
+    if (body === undefined) {
+        res.writeHead(status, headers);
+        return res.end();
+    }
+
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+if (require.main === module) {
+    const [port = 0, users = 3] = process.argv.slice(2).map(Number);
+    const mock = new XboxLiveMockServer({ port });
+
+    mock.start().then(baseUrls => {
+        const accounts = Array.from({ length: users }, () => mock.addUser());
+        console.log(`🧪 Xbox Live mock listening on ${mock.getUrl()}`);
+        console.log(JSON.stringify({ xboxLive: { baseUrls }, accounts }, null, 2));
+    }).catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { XboxLiveMockServer };
@@ -3,24 +3,21 @@
  * Handles the "Unexpected end of JSON input" error by implementing custom request handling
  */
 
-const https = require('https');
-const http = require('http');
-const { URL } = require('url');
+const { XboxLiveClient } = require('./xbox-live-client');
+const { classifyError, fromResponse } = require('./xbox-errors');
 
 class XSTSTokenHandler {
     constructor(options = {}) {
         this.logger = options.logger || console;
-        this.timeout = options.timeout || 30000;
-        this.maxRetries = options.maxRetries || 3;
-        this.retryDelay = options.retryDelay || 2000;
+        this.xbl = options.xboxLiveClient || new XboxLiveClient();
+        this.timeout = options.timeout || this.xbl.timeout;
+        this.retryPolicy = options.retryPolicy || this.xbl.retryPolicy;
     }
 
     /**
      * Custom XSTS token request with enhanced error handling
      */
     async getXSTSTokenCustom(userToken, deviceToken, titleToken, relyingParty) {
-        const xstsUrl = 'https://xsts.auth.xboxlive.com/xsts/authorize';
-        
         const requestBody = {
             Properties: {
                 SandboxId: 'RETAIL',
@@ -40,112 +37,53 @@ class XSTSTokenHandler {
             this.logger.debug(`🎮 Added title token to XSTS request`);
         }
 
-        let lastError;
-        
-        for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+        // Truncated bodies and 5xx answers are retried, XErr rejections fail straight away
+        return this.retryPolicy.run(async () => {
             try {
-                this.logger.debug(`🔄 XSTS token request attempt ${attempt}/${this.maxRetries}`);
-                
-                const response = await this.makeXSTSRequest(xstsUrl, requestBody);
-                
-                // Parse response with enhanced error handling
+                const response = await this.makeXSTSRequest(requestBody);
                 const tokenData = this.parseXSTSResponse(response);
-                
-                if (tokenData && tokenData.Token && tokenData.DisplayClaims) {
-                    this.logger.debug(`✅ XSTS token obtained successfully`);
-                    return tokenData;
+
+                if (!tokenData || !tokenData.Token || !tokenData.DisplayClaims) {
+                    throw new Error('Invalid XSTS token response structure');
                 }
-                
-                throw new Error('Invalid XSTS token response structure');
-                
+
+                this.logger.debug(`✅ XSTS token obtained successfully`);
+                return tokenData;
+
             } catch (error) {
-                lastError = error;
-                
-                if (error.message.includes('Unexpected end of JSON input')) {
-                    this.logger.info(`⚠️ XSTS JSON parse error on attempt ${attempt}/${this.maxRetries}`);
-                    
-                    if (attempt < this.maxRetries) {
-                        const delay = this.retryDelay * Math.pow(2, attempt - 1);
-                        this.logger.info(`⏳ Retrying XSTS request in ${delay}ms...`);
-                        await this.delay(delay);
-                        continue;
-                    }
-                } else if (error.message.includes('2148916233')) {
-                    // Xbox Live account doesn't exist or doesn't have Xbox Live access
-                    throw new Error('Xbox Live account not found or lacks Xbox Live access');
-                } else if (error.message.includes('2148916238')) {
-                    // Child account restrictions
-                    throw new Error('Child account restrictions prevent Xbox Live access');
-                } else if (attempt < this.maxRetries) {
-                    this.logger.info(`⚠️ XSTS request error on attempt ${attempt}/${this.maxRetries}: ${error.message}`);
-                    const delay = this.retryDelay * attempt;
-                    await this.delay(delay);
-                    continue;
-                }
-                
-                break;
+                throw classifyError(error, 'xsts');
             }
-        }
-        
-        throw lastError;
+        }, {
+            onRetry: (error, attempt, delay) => {
+                this.logger.info(`⚠️ XSTS request failed on attempt ${attempt}/${this.retryPolicy.maxRetries + 1}: ${error.message}`);
+                this.logger.info(`⏳ Retrying XSTS request in ${delay}ms...`);
+            }
+        });
     }
 
     /**
-     * Make HTTP request with custom timeout and error handling
+     * Make HTTP request with custom timeout and error handling.
+     * Resolves with the raw body so truncated responses can still be repaired
      */
-    async makeXSTSRequest(url, requestBody) {
-        return new Promise((resolve, reject) => {
-            const urlObj = new URL(url);
-            const postData = JSON.stringify(requestBody);
-            
-            const options = {
-                hostname: urlObj.hostname,
-                port: urlObj.port || 443,
-                path: urlObj.pathname,
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Content-Length': Buffer.byteLength(postData),
-                    'Accept': 'application/json',
-                    'User-Agent': 'XboxServicesAPI/2021.11.20201204.000 c',
-                    'x-xbl-contract-version': '1'
-                },
-                timeout: this.timeout
-            };
-
-            const req = https.request(options, (res) => {
-                let data = '';
-                
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-                
-                res.on('end', () => {
-                    if (res.statusCode >= 200 && res.statusCode < 300) {
-                        resolve(data);
-                    } else {
-                        reject(new Error(`HTTP ${res.statusCode}: ${data}`));
-                    }
-                });
-                
-                res.on('error', (error) => {
-                    reject(error);
-                });
-            });
-            
-            req.on('timeout', () => {
-                req.destroy();
-                reject(new Error('XSTS request timeout'));
-            });
-            
-            req.on('error', (error) => {
-                this.logger.error(`❌ XSTS request failed: ${error.message}`);
-                reject(error);
-            });
-            
-            req.write(postData);
-            req.end();
+    async makeXSTSRequest(requestBody) {
+        // getXSTSTokenCustom() retries the whole exchange, including unparseable bodies
+        const response = await this.xbl.request('xsts', '/xsts/authorize', {
+            method: 'POST',
+            contractVersion: '1',
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': 'XboxServicesAPI/2021.11.20201204.000 c'
+            },
+            body: requestBody,
+            timeout: this.timeout,
+            retry: false
         });
+
+        if (!response.ok) {
+            throw await fromResponse(response, 'XSTS authorize failed', 'xsts');
+        }
+
+        return response.text();
     }
 
     /**
@@ -212,9 +150,14 @@ class XSTSTokenHandler {
                 try {
                     displayClaims = JSON.parse(displayClaimsMatch[1]);
                 } catch (claimsError) {
-                    // Create minimal display claims structure
+                    // Real claims nest objects the pattern above stops inside of, pick the user claims out directly
+                    const claim = (name) => responseData.match(new RegExp(`"${name}":"([^"]+)"`))?.[1];
+                    if (!claim('uhs')) {
+                        throw new Error('No user hash in XSTS response');
+                    }
+
                     displayClaims = {
-                        xui: [{ uhs: "temp_hash" }]
+                        xui: [{ uhs: claim('uhs'), xid: claim('xid'), gtg: claim('gtg') }]
                     };
                 }
                 
@@ -241,13 +184,6 @@ class XSTSTokenHandler {
         }
     }
 
-    /**
-     * Delay utility
-     */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-
     /**
      * Validate XSTS token structure
      */